@@ -4,6 +4,8 @@
 const User = require("../models/User");
 const reportService = require("../services/report.service");
 const tradeEngine = require("../services/tradeEngine.service");
+const risk = require("../services/risk.service");
+const { hasOrderAdapter } = require("../services/brokers");
 
 // 1. Strategy performance snapshot
 // GET /admin/overview
@@ -19,11 +21,30 @@ exports.getOverview = async (req, res, next) => {
     // Count how many users have enabled automation (potential live risk)
     const autoUsers = await User.countDocuments({ autoTradingEnabled: true });
 
+    // Users currently stopped by their daily loss / losing-streak limits
+    const limitedUsers = await User.find({
+      $or: [
+        { "strategy.dailyMaxLoss": { $gt: 0 } },
+        { "strategy.dailyMaxLossPct": { $gt: 0 } },
+        { "strategy.maxConsecutiveLosses": { $gt: 0 } }
+      ]
+    }).select("name email strategy riskReset").lean();
+
+    const riskBlocked = [];
+    for (const u of limitedUsers) {
+      const state = await risk.getDailyRiskState(u);
+      if (state.blocked) {
+        riskBlocked.push({ userId: u._id, name: u.name, email: u.email, ...state });
+      }
+    }
+
     res.json({
       ok: true,
       dailySummary: daily.summary || {},
       openTradesCount: openTrades.length,
-      autoUsersCount: autoUsers
+      autoUsersCount: autoUsers,
+      riskBlockedCount: riskBlocked.length,
+      riskBlocked
     });
   } catch (err) {
     next(err);
@@ -141,9 +162,9 @@ exports.setUserAngelConfig = async (req, res, next) => {
 
     if (liveEnabled !== undefined) {
       const boolVal = liveEnabled === true || liveEnabled === "true" || liveEnabled === 1 || liveEnabled === "1";
-      const brokerOk = user.broker?.connected && user.broker?.brokerName === "ANGEL";
+      const brokerOk = user.broker?.connected && hasOrderAdapter(user.broker?.brokerName);
       if (boolVal && !brokerOk) {
-        return res.status(400).json({ ok: false, error: "Connect Angel broker first" });
+        return res.status(400).json({ ok: false, error: "User has no broker that supports live orders" });
       }
       user.angelLiveEnabled = boolVal;
     }
@@ -162,16 +183,60 @@ exports.setUserAngelConfig = async (req, res, next) => {
     next(err);
   }
 };
+// 5b. Reset a user's daily kill switch (earlier losses stop counting today)
+// POST /admin/user/risk/reset
+// body: { userId }
+exports.resetUserRisk = async (req, res, next) => {
+  try {
+    const { userId } = req.body || {};
+    if (!userId) {
+      return res.status(400).json({ ok: false, error: "userId required" });
+    }
+
+    const state = await risk.resetDailyRisk(userId, req.user?.email || "admin");
+    if (!state) return res.status(404).json({ ok: false, error: "user not found" });
+
+    res.json({ ok: true, risk: state });
+  } catch (err) {
+    next(err);
+  }
+};
+
 const settingsService = require("../services/settings.service");
+const reconcile = require("../services/reconcile.service");
 
-// 6. Get system settings
+// 5c. Live trade vs broker reconciliation (today)
+// GET /admin/reconciliation?all=1
+exports.getReconciliation = async (req, res, next) => {
+  try {
+    const all = req.query.all === "1" || req.query.all === "true";
+    res.json(await reconcile.getReconciliationReport({ all }));
+  } catch (err) {
+    next(err);
+  }
+};
+
+// POST /admin/reconciliation/run
+// body: { userId? } — omit to reconcile every user with live trades today
+exports.runReconciliation = async (req, res, next) => {
+  try {
+    const { userId } = req.body || {};
+    const result = userId ? await reconcile.reconcileUser(userId) : await reconcile.reconcileAll();
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 6. Get system settings (+ last changed by/at per key)
 // GET /admin/system
 exports.getSystemSettings = async (req, res, next) => {
   try {
-    const s = settingsService.getSettings();
+    const { settings, meta } = await settingsService.getSettingsWithMeta();
     res.json({
       ok: true,
-      settings: s
+      settings,
+      meta
     });
   } catch (err) {
     next(err);
@@ -187,7 +252,13 @@ exports.updateSystemSetting = async (req, res, next) => {
     if (!key) {
       return res.status(400).json({ ok:false, error:"key required" });
     }
-    const newState = settingsService.setSetting(key, value);
+    const changedBy = req.user?.email || String(req.user?._id || "admin");
+    let newState;
+    try {
+      newState = await settingsService.setSetting(key, value, changedBy);
+    } catch (e) {
+      return res.status(400).json({ ok:false, error:e.message });
+    }
     res.json({
       ok: true,
       settings: newState
@@ -196,3 +267,18 @@ exports.updateSystemSetting = async (req, res, next) => {
     next(err);
   }
 };
+
+// 8. Settings change log (append-only)
+// GET /admin/system/history?key=&limit=
+exports.getSystemHistory = async (req, res, next) => {
+  try {
+    const { key, limit } = req.query || {};
+    const history = await settingsService.getHistory({ key, limit });
+    res.json({
+      ok: true,
+      history
+    });
+  } catch (err) {
+    next(err);
+  }
+};
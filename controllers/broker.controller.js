@@ -3,6 +3,7 @@
 
 const User = require("../models/User");
 const { isAngelTokenExpired } = require("../services/angel.service");
+const { hasOrderAdapter } = require("../services/brokers");
 
 
 /**
@@ -61,7 +62,7 @@ exports.connectBroker = async (req, res, next) => {
 exports.getAngelSettings = async (req, res, next) => {
   try {
     const allowed = Number(req.user.angelAllowedMarginPct ?? 0.5);
-    const isConnected = await validateAngelConnection(req.user);
+    const isConnected = await validateBrokerConnection(req.user);
     res.json({
       ok: true,
       angel: {
@@ -101,11 +102,11 @@ exports.updateAngelSettings = async (req, res, next) => {
 
     if (liveEnabled !== undefined) {
       const boolVal = liveEnabled === true || liveEnabled === "true" || liveEnabled === 1 || liveEnabled === "1";
-      const brokerOk = await validateAngelConnection(req.user);
+      const brokerOk = await validateBrokerConnection(req.user);
       if (boolVal && !brokerOk) {
         return res.status(400).json({
           ok: false,
-          error: "Connect Angel broker first"
+          error: "Connect a broker that supports live orders first"
         });
       }
       req.user.angelLiveEnabled = boolVal;
@@ -139,7 +140,7 @@ exports.setAutomation = async (req, res, next) => {
 
     // Safety rule:
     // Can only enable automation if broker is connected.
-    const brokerOk = await validateAngelConnection(req.user);
+    const brokerOk = await validateBrokerConnection(req.user);
     if (enable && !brokerOk) {
       return res.status(400).json({
         ok: false,
@@ -211,6 +212,20 @@ async function validateAngelConnection(user) {
 
 exports.validateAngelConnection = validateAngelConnection;
 
+/**
+ * Connected to a broker the engine can place orders with.
+ * Angel also gets its token-expiry check; other brokers trust the stored creds.
+ * @param {Object} user - User object
+ * @returns {boolean}
+ */
+async function validateBrokerConnection(user) {
+  const name = user.broker?.brokerName;
+  if (name === "ANGEL") return validateAngelConnection(user);
+  return !!user.broker?.connected && hasOrderAdapter(name);
+}
+
+exports.validateBrokerConnection = validateBrokerConnection;
+
 /**
  * GET /user/broker/status
  * Returns broker + automation info for dashboard.
@@ -218,7 +233,7 @@ exports.validateAngelConnection = validateAngelConnection;
 exports.getStatus = async (req, res, next) => {
   try {
     const u = req.user;
-    const isConnected = await validateAngelConnection(u);
+    const isConnected = await validateBrokerConnection(u);
     res.json({
       ok: true,
       broker: {
@@ -0,0 +1,58 @@
+// controllers/market.controller.js
+"use strict";
+
+const { DateTime } = require("luxon");
+const { IST } = require("../utils/time");
+const { TF_MINUTES } = require("../utils/candles");
+const { toFyersSymbol } = require("../services/fyersSdk");
+const candleStore = require("../services/candle.service");
+const feedHealth = require("../services/feedHealth.service");
+
+// epoch ms, or an ISO date / datetime read in IST
+function parseTime(v) {
+  if (v === undefined || v === "") return null;
+  if (/^\d+$/.test(String(v))) return Number(v);
+  const dt = DateTime.fromISO(String(v), { zone: IST });
+  return dt.isValid ? dt.toMillis() : NaN;
+}
+
+// 1. Stored candles for charts and backtests
+// GET /market/candles?symbol=SBIN&tf=5m&from=2025-01-06&to=2025-01-06T15:30&limit=500
+// from defaults to today's IST midnight; a date-only `to` covers that whole day
+exports.getCandles = async (req, res, next) => {
+  try {
+    const { symbol, tf = "1m", limit } = req.query;
+    if (!symbol) return res.status(400).json({ ok: false, error: "symbol required" });
+    if (!TF_MINUTES[tf]) {
+      return res.status(400).json({ ok: false, error: `tf must be one of ${Object.keys(TF_MINUTES).join(", ")}` });
+    }
+
+    const from = parseTime(req.query.from) ?? DateTime.now().setZone(IST).startOf("day").toMillis();
+    let to = parseTime(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ ok: false, error: "from / to must be epoch ms or ISO dates" });
+    }
+    if (to !== null && /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.to))) {
+      to = DateTime.fromMillis(to, { zone: IST }).endOf("day").toMillis();
+    }
+
+    const max = candleStore.CFG.MAX_QUERY_BARS;
+    const n = Math.min(Math.max(Number(limit) || max, 1), max);
+    const fySymbol = toFyersSymbol(String(symbol).toUpperCase());
+    const candles = await candleStore.getCandles(fySymbol, { tf, from, to, limit: n });
+
+    res.json({ ok: true, symbol: fySymbol, tf, from, to, count: candles.length, candles });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. Feed health: provider, connection counts, tick rate, per-symbol tick age
+// GET /admin/market/health
+exports.getHealth = async (req, res, next) => {
+  try {
+    res.json({ ok: true, health: feedHealth.getHealth() });
+  } catch (err) {
+    next(err);
+  }
+};
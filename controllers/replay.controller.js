@@ -0,0 +1,57 @@
+// controllers/replay.controller.js
+"use strict";
+
+const recorder = require("../services/tickRecorder.service");
+const replay = require("../services/tickReplay.service");
+
+// 1. Recorder + replay state and the recorded days
+// GET /admin/ticks
+exports.getStatus = async (req, res, next) => {
+  try {
+    res.json({
+      ok: true,
+      recorder: recorder.getStatus(),
+      replay: replay.getStatus(),
+      recordings: recorder.listRecordings(),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. Toggle the tick recorder
+// POST /admin/ticks/recorder   body: { enabled: true|false }
+exports.setRecorder = async (req, res, next) => {
+  try {
+    const { enabled } = req.body || {};
+    if (typeof enabled !== "boolean") {
+      return res.status(400).json({ ok: false, error: "enabled (boolean) required" });
+    }
+    const result = enabled ? recorder.startRecorder() : await recorder.stopRecorder();
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 3. Replay a recorded day into the market socket
+// POST /admin/ticks/replay   body: { date, speed?, rebase?, maxGapMs? }
+exports.startReplay = async (req, res, next) => {
+  try {
+    const result = await replay.startReplay(req.body || {});
+    if (!result.ok) return res.status(400).json(result);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 4. Stop a running replay (live feed resumes on the next socket start)
+// POST /admin/ticks/replay/stop
+exports.stopReplay = async (req, res, next) => {
+  try {
+    res.json(replay.stopReplay());
+  } catch (err) {
+    next(err);
+  }
+};
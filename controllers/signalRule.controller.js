@@ -0,0 +1,61 @@
+// controllers/signalRule.controller.js
+"use strict";
+
+const mongoose = require("mongoose");
+const signalRules = require("../services/signalRule.service");
+
+const actor = (req) => req.user?.email || String(req.user?._id || "admin");
+
+// 1. All rules (enabled and disabled) in evaluation order
+// GET /admin/signal-rules
+exports.listRules = async (req, res, next) => {
+  try {
+    const rules = await signalRules.listRules();
+    res.json({ ok: true, activeCount: signalRules.getActiveRules().length, rules });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. Create a rule (validated before save)
+// POST /admin/signal-rules
+// body: { name, side?, priority?, enabled?, description?, when }
+exports.createRule = async (req, res, next) => {
+  try {
+    const result = await signalRules.createRule(req.body || {}, actor(req));
+    if (!result.ok) return res.status(400).json(result);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 3. Update a rule (partial body, merged rule re-validated)
+// POST /admin/signal-rules/:id
+exports.updateRule = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ ok: false, error: "invalid rule id" });
+    }
+    const result = await signalRules.updateRule(req.params.id, req.body || {}, actor(req));
+    if (!result.ok) return res.status(result.notFound ? 404 : 400).json(result);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 4. Delete a rule
+// DELETE /admin/signal-rules/:id
+exports.deleteRule = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ ok: false, error: "invalid rule id" });
+    }
+    const result = await signalRules.deleteRule(req.params.id);
+    if (!result.ok) return res.status(404).json(result);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,82 @@
+// controllers/strategy.controller.js
+"use strict";
+
+const strategyConfig = require("../services/strategyConfig.service");
+
+// 1. Active version + full history
+// GET /admin/strategy
+exports.listVersions = async (req, res, next) => {
+  try {
+    await strategyConfig.loadActiveConfig(); // seeds v1 on first visit
+    const versions = await strategyConfig.listVersions();
+    res.json({
+      ok: true,
+      active: versions.find((v) => v.isActive) || null,
+      runningVersion: strategyConfig.getActiveConfig().version,
+      versions
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. Results grouped by config version
+// GET /admin/strategy/performance
+exports.getPerformance = async (req, res, next) => {
+  try {
+    const rows = await strategyConfig.getPerformanceByVersion();
+    res.json({ ok: true, versions: rows });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 3. Single version
+// GET /admin/strategy/:version
+exports.getVersion = async (req, res, next) => {
+  try {
+    const config = await strategyConfig.getVersion(req.params.version);
+    if (!config) return res.status(404).json({ ok: false, error: "version not found" });
+    res.json({ ok: true, config });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 4. Create a new version (edits are new versions)
+// POST /admin/strategy
+// body: { params: { m2: { RSI_MIN: 38 } }, label?, notes?, baseVersion?, activate? }
+exports.createVersion = async (req, res, next) => {
+  try {
+    const { params, label, notes, baseVersion, activate } = req.body || {};
+    if (!params || typeof params !== "object") {
+      return res.status(400).json({ ok: false, error: "params object required" });
+    }
+
+    const createdBy = req.user?.email || String(req.user?._id || "admin");
+    const result = await strategyConfig.createVersion({ params, label, notes, baseVersion, createdBy });
+    if (!result.ok) return res.status(400).json(result);
+
+    if (activate) {
+      const activated = await strategyConfig.activateVersion(result.config.version, createdBy);
+      return res.json(activated);
+    }
+
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 5. Activate a version (engines pick it up at the next day start)
+// POST /admin/strategy/:version/activate
+exports.activateVersion = async (req, res, next) => {
+  try {
+    const activatedBy = req.user?.email || String(req.user?._id || "admin");
+    const result = await strategyConfig.activateVersion(req.params.version, activatedBy);
+    if (!result.ok) return res.status(result.conflict ? 409 : 404).json(result);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -82,20 +82,27 @@ async function closeManual(req, res) {
       return res.status(403).json({ ok: false, error: "Not allowed" });
     }
 
-    // For manual close, recompute exit from entry if LTP missing (engine handles live PnL normally)
-    const exitPx = tr.entryPrice; // safe fallback; UI may also call checkExit to realize proper LTP-based exit
-    const pnlAbs = (exitPx - tr.entryPrice) * tr.qty;
-    const pnlPct = ((exitPx - tr.entryPrice) / tr.entryPrice) * 100;
-
-    tr.exitPrice = exitPx;
-    tr.exitTime = new Date();
-    tr.pnlAbs = pnlAbs;
-    tr.pnlPct = pnlPct;
-    tr.status = "CLOSED";
-    tr.notes = "MANUAL";
-    await tr.save();
-
-    res.json({ ok: true, trade: tr });
+    // Exits at LTP; live trades are squared off with the broker first
+    const result = await engine.closeTradeManually(tr._id, "MANUAL");
+    if (!result.ok) {
+      const status = result.error === "Trade already closed" ? 409 : 502;
+      return res.status(status).json(result);
+    }
+
+    res.json(result);
+  } catch (e) {
+    res.status(500).json({ ok: false, error: e.message });
+  }
+}
+
+// Close every open trade of the current user (admin may target ?userId=...)
+async function closeAll(req, res) {
+  try {
+    const userId = isAdmin(req) ? pickUserId(req) : String(req.user?._id || "");
+    if (!userId) return res.status(400).json({ ok: false, error: "userId required" });
+
+    const result = await engine.closeAllTradesForUser(userId, "MANUAL");
+    res.json(result);
   } catch (e) {
     res.status(500).json({ ok: false, error: e.message });
   }
@@ -119,5 +126,6 @@ module.exports = {
   checkExit,
   getAll,
   closeManual,
+  closeAll,
   livePnL,
 };
@@ -0,0 +1,98 @@
+// controllers/universe.controller.js
+"use strict";
+
+const universes = require("../services/universe.service");
+const strategyConfig = require("../services/strategyConfig.service");
+
+const actor = (req) => req.user?.email || String(req.user?._id || "admin");
+
+// 1. All universes (summaries, no symbol lists)
+// GET /admin/universes
+exports.listUniverses = async (req, res, next) => {
+  try {
+    const list = await universes.listUniverses();
+    const active = strategyConfig.getActiveConfig().params?.m1?.UNIVERSE || universes.DEFAULT_NAME;
+    res.json({ ok: true, active, universes: list });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 2. One universe with its symbols and the resolved (post-exclusion) count
+// GET /admin/universes/:name
+exports.getUniverse = async (req, res, next) => {
+  try {
+    const universe = await universes.getUniverse(req.params.name);
+    if (!universe) return res.status(404).json({ ok: false, error: "universe not found" });
+    const resolved = await universes.resolveUniverse(universe.name);
+    res.json({ ok: true, universe, resolvedCount: resolved.symbols.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 3. Create
+// POST /admin/universes
+// body: { name, kind?, description?, symbols?, filters?, excludeLists?, exclude? }
+exports.createUniverse = async (req, res, next) => {
+  try {
+    const result = await universes.createUniverse(req.body || {}, actor(req));
+    if (!result.ok) return res.status(400).json(result);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 4. Update (partial)
+// POST /admin/universes/:name
+exports.updateUniverse = async (req, res, next) => {
+  try {
+    const result = await universes.updateUniverse(req.params.name, req.body || {}, actor(req));
+    if (!result.ok) return res.status(result.notFound ? 404 : 400).json(result);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 5. Delete (the universe M1 is configured to scan can't be removed)
+// DELETE /admin/universes/:name
+exports.deleteUniverse = async (req, res, next) => {
+  try {
+    const name = String(req.params.name).toUpperCase();
+    const active = strategyConfig.getActiveConfig().params?.m1?.UNIVERSE || universes.DEFAULT_NAME;
+    if (name === active || name === universes.DEFAULT_NAME) {
+      return res.status(400).json({ ok: false, error: `${name} is in use and can't be deleted` });
+    }
+    const result = await universes.deleteUniverse(name);
+    if (!result.ok) return res.status(404).json(result);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// 6. CSV import (creates the universe when missing)
+// POST /admin/universes/:name/import?mode=replace|append&kind=EXCLUSION
+// body: text/csv, or JSON { csv, mode?, kind? }
+exports.importCsv = async (req, res, next) => {
+  try {
+    const body = req.body;
+    const csv = typeof body === "string" ? body : body?.csv;
+    if (!csv || typeof csv !== "string") {
+      return res.status(400).json({ ok: false, error: "CSV body required" });
+    }
+
+    const opts = typeof body === "object" && body ? body : {};
+    const result = await universes.importCsv(req.params.name, csv, {
+      mode: req.query.mode || opts.mode || "replace",
+      kind: req.query.kind || opts.kind,
+      by: actor(req),
+    });
+    if (!result.ok) return res.status(400).json(result);
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,124 @@
+// controllers/userStrategy.controller.js
+"use strict";
+
+const { getUserProfile } = require("../services/tradeEngine.service");
+const { MODES } = require("../services/sizing.service");
+
+// field → [min, max, integer?]; null/"" clears the field back to the engine default
+const FIELDS = {
+  targetPct: [0.1, 20, false],
+  stopPct: [0.1, 20, false],
+  maxTradesPerDay: [1, 100, true],
+  maxCapitalPerTrade: [0, 1e9, false],
+  paperQty: [1, 100000, true],
+  dailyMaxLoss: [1, 1e9, false],
+  dailyMaxLossPct: [0.1, 100, false],
+  riskCapital: [1000, 1e10, false],
+  maxConsecutiveLosses: [1, 50, true],
+  sizingQty: [1, 100000, true],
+  sizingAmount: [100, 1e9, false],
+  sizingCapitalPct: [0.1, 100, false],
+  sizingRisk: [1, 1e7, false],
+  misLeverage: [1, 20, false],
+  maxNotionalPerSymbol: [100, 1e9, false]
+};
+
+// sizing mode → the field it sizes from
+const MODE_PARAM = {
+  FIXED_QTY: "sizingQty",
+  FIXED_AMOUNT: "sizingAmount",
+  PCT_CAPITAL: "sizingCapitalPct",
+  FIXED_RISK: "sizingRisk"
+};
+
+function toView(user) {
+  const s = user.strategy || {};
+  return {
+    targetPct: s.targetPct ?? null,
+    stopPct: s.stopPct ?? null,
+    maxTradesPerDay: s.maxTradesPerDay ?? null,
+    maxCapitalPerTrade: s.maxCapitalPerTrade ?? null,
+    paperQty: s.paperQty ?? 1,
+    dailyMaxLoss: s.dailyMaxLoss ?? null,
+    dailyMaxLossPct: s.dailyMaxLossPct ?? null,
+    riskCapital: s.riskCapital ?? null,
+    maxConsecutiveLosses: s.maxConsecutiveLosses ?? null,
+    flattenOnBreach: !!s.flattenOnBreach,
+    sizingMode: s.sizingMode || "MARGIN_PCT",
+    sizingQty: s.sizingQty ?? null,
+    sizingAmount: s.sizingAmount ?? null,
+    sizingCapitalPct: s.sizingCapitalPct ?? null,
+    sizingRisk: s.sizingRisk ?? null,
+    misLeverage: s.misLeverage ?? null,
+    maxNotionalPerSymbol: s.maxNotionalPerSymbol ?? null,
+    effective: getUserProfile(user)
+  };
+}
+
+/**
+ * GET /user/strategy
+ * Returns the user's stored prefs plus the values the engine will actually use.
+ */
+exports.getStrategy = async (req, res, next) => {
+  try {
+    res.json({ ok: true, strategy: toView(req.user) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /user/strategy
+ * Body: { targetPct?, stopPct?, maxTradesPerDay?, maxCapitalPerTrade?, paperQty?,
+ *         dailyMaxLoss?, dailyMaxLossPct?, riskCapital?, maxConsecutiveLosses?, flattenOnBreach?,
+ *         sizingMode?, sizingQty?, sizingAmount?, sizingCapitalPct?, sizingRisk?,
+ *         misLeverage?, maxNotionalPerSymbol? }
+ */
+exports.updateStrategy = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    if (!req.user.strategy) req.user.strategy = {};
+
+    for (const [key, [min, max, isInt]] of Object.entries(FIELDS)) {
+      if (body[key] === undefined) continue;
+
+      if (body[key] === null || body[key] === "") {
+        req.user.strategy[key] = key === "paperQty" ? 1 : null;
+        continue;
+      }
+
+      const val = Number(body[key]);
+      if (!Number.isFinite(val) || (isInt && !Number.isInteger(val))) {
+        return res.status(400).json({ ok: false, error: `Invalid ${key}` });
+      }
+      if (val < min || val > max) {
+        return res.status(400).json({ ok: false, error: `${key} must be between ${min} and ${max}` });
+      }
+      req.user.strategy[key] = val;
+    }
+
+    if (body.sizingMode !== undefined) {
+      const mode = String(body.sizingMode || "MARGIN_PCT").toUpperCase();
+      if (!MODES.includes(mode)) {
+        return res.status(400).json({ ok: false, error: `sizingMode must be one of ${MODES.join(", ")}` });
+      }
+      req.user.strategy.sizingMode = mode;
+    }
+
+    const needs = MODE_PARAM[req.user.strategy.sizingMode];
+    if (needs && !(Number(req.user.strategy[needs]) > 0)) {
+      return res.status(400).json({ ok: false, error: `${req.user.strategy.sizingMode} sizing needs ${needs}` });
+    }
+
+    if (body.flattenOnBreach !== undefined) {
+      const v = body.flattenOnBreach;
+      req.user.strategy.flattenOnBreach = v === true || v === "true" || v === 1 || v === "1";
+    }
+
+    await req.user.save();
+
+    res.json({ ok: true, strategy: toView(req.user) });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,35 @@
+// models/Candle.js
+"use strict";
+
+const mongoose = require("mongoose");
+
+// Finalized 1m bars (tick-built by M2 or seeded from broker history) in a
+// MongoDB time-series collection. Time-series collections have no unique
+// indexes: readers de-duplicate by ts (see candle.service).
+const RETENTION_DAYS = Number(process.env.CANDLE_RETENTION_DAYS) || 60;
+
+const candleSchema = new mongoose.Schema(
+  {
+    ts: { type: Date, required: true },  // bucket start
+    meta: {
+      symbol: { type: String, required: true },
+      tf: { type: String, default: "1m" },
+    },
+    o: Number,
+    h: Number,
+    l: Number,
+    c: Number,
+    v: { type: Number, default: 0 },
+    source: { type: String, enum: ["tick", "history"], default: "tick" },
+  },
+  {
+    versionKey: false,
+    timeseries: { timeField: "ts", metaField: "meta", granularity: "minutes" },
+    expireAfterSeconds: RETENTION_DAYS * 86400,
+    collection: "candles",
+  }
+);
+
+candleSchema.index({ "meta.symbol": 1, "meta.tf": 1, ts: 1 });
+
+module.exports = mongoose.model("Candle", candleSchema);
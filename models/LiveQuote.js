@@ -26,6 +26,15 @@ const liveQuoteSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  changeAmt: Number,
+  open: Number,
+  dayHigh: Number,
+  dayLow: Number,
+  volume: Number,
+  avgVolume20: Number,   // average daily volume (VolumeStat), M1 candidates only
+  relVolume: Number,     // volume / avgVolume20
+  gapPct: Number,        // open vs prevClose
+  fromHighPct: Number,   // % below the day high
   fetchedAt: {
     type: Date,
     default: Date.now,
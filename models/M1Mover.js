@@ -5,8 +5,24 @@ const moverSchema = new mongoose.Schema({
   prevClose: Number,
   ltp: Number,
   changePct: Number,
+  side: { type: String, enum: ["BUY", "SELL"], default: "BUY" }, // SELL = falling mover
+  open: Number,
+  dayHigh: Number,
+  dayLow: Number,
+  volume: Number,
+  avgVolume20: Number,   // average daily volume over the last 20 sessions
+  relVolume: Number,     // volume / avgVolume20 (null without history)
+  gapPct: Number,
+  fromHighPct: Number,
+  fromLowPct: Number,
+  score: Number,         // composite ranking score (m1 SCORE_WEIGHTS)
+  rank: Number,          // 1 = best
   moverDate: { type: String, index: true },  // YYYY-MM-DD format
-  capturedAt: { type: Date, default: Date.now },
+  capturedAt: { type: Date, default: Date.now },   // latest scan that listed it
+  firstSeenAt: { type: Date, default: Date.now },  // scan that first made it a mover
+  scans: { type: Number, default: 0 },             // scans that listed it today
 });
 
+moverSchema.index({ moverDate: 1, symbol: 1 });
+
 module.exports = mongoose.model("M1Mover", moverSchema);
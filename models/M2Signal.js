@@ -4,10 +4,26 @@ const mongoose = require("mongoose");
 const m2SignalSchema = new mongoose.Schema({
   symbol: { type: String, index: true, required: true },
   rsi: { type: Number, default: null },
-  timeframe: { type: String, default: "5m" },
+  side: { type: String, enum: ["BUY", "SELL"], default: "BUY" },
+  timeframe: { type: String, default: "5m" },     // timeframe of `rsi` (M2 SIGNAL_TF)
+  // per-timeframe indicator values at the last evaluation
+  timeframes: {
+    type: [{ _id: false, tf: String, rsi: Number, close: Number, bars: Number }],
+    default: undefined
+  },
+  // CONFIRM_RULES results for the mover's side
+  confirmations: {
+    type: [{ _id: false, tf: String, min: Number, max: Number, value: Number, pass: Boolean }],
+    default: undefined
+  },
   inEntryZone: { type: Boolean, default: false }, // RSI 40-50 ?
+  // SignalRule that put the symbol in the entry zone (null → legacy RSI zone)
+  ruleId: { type: mongoose.Schema.Types.ObjectId, ref: "SignalRule", default: null },
+  ruleName: { type: String, default: null },
+  configVersion: { type: Number, default: null },  // StrategyConfig version
   capturedAt: { type: Date, default: Date.now },
   consumedAt: { type: Date, default: null },
+  consumeReason: { type: String, default: null }, // entered | no-trades | stale
   updatedAt: { type: Date, default: Date.now }
 });
 
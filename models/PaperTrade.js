@@ -14,19 +14,110 @@ const PaperTradeSchema = new Schema(
     // --- Core trade fields (existing-compatible) ---
     symbol: { type: String, required: true },
     qty: { type: Number, default: 1, min: 1 },
+    side: { type: String, enum: ["BUY", "SELL"], default: "BUY", index: true },
 
     entryPrice: { type: Number, required: true },
+    entryLtp: { type: Number }, // market price before simulated slippage (paper)
     entryTime: { type: Date, default: Date.now },
 
     targetPrice: { type: Number, required: true },
     stopPrice: { type: Number, required: true },
 
+    // stop management: stopPrice moves, initialStopPrice keeps the entry stop
+    initialStopPrice: { type: Number },
+    stopMode: { type: String, enum: ["FIXED", "BREAKEVEN", "TRAIL"], default: "FIXED" },
+    bestPrice: { type: Number }, // most favourable LTP seen while open
+    stopAdjustments: {
+      type: [
+        {
+          _id: false,
+          at: { type: Date },
+          from: { type: Number },
+          to: { type: Number },
+          rule: { type: String }, // BREAKEVEN | TRAIL
+          ltp: { type: Number }
+        }
+      ],
+      default: undefined
+    },
+
+    // position sizing inputs at entry (services/sizing.service.js)
+    sizing: {
+      type: {
+        _id: false,
+        mode: { type: String },
+        param: { type: Number },        // qty / ₹ amount / % / ₹ risk / margin fraction
+        entryPrice: { type: Number },
+        stopPrice: { type: Number },
+        riskPerShare: { type: Number },
+        capital: { type: Number },      // available cash seen at entry (live)
+        leverage: { type: Number },
+        rawQty: { type: Number },
+        qty: { type: Number },
+        notional: { type: Number },
+        riskAbs: { type: Number },
+        capsApplied: { type: [String], default: undefined }
+      },
+      default: undefined
+    },
+
     exitPrice: { type: Number },
+    exitLtp: { type: Number }, // market price that triggered the exit
     exitTime: { type: Date },
 
+    // scale-out: intermediate targets (paper) and every filled exit leg.
+    // qty stays the original size; openQty is what is still in the market.
+    openQty: { type: Number },
+    targets: {
+      type: [
+        {
+          _id: false,
+          level: { type: String }, // T1, T2 …
+          targetPct: { type: Number },
+          qtyPct: { type: Number },
+          price: { type: Number },
+          filled: { type: Boolean, default: false }
+        }
+      ],
+      default: undefined
+    },
+    exitLegs: {
+      type: [
+        {
+          _id: false,
+          leg: { type: String },   // T1 … | FINAL
+          qty: { type: Number },
+          price: { type: Number },
+          time: { type: Date },
+          pnlAbs: { type: Number },
+          pnlPct: { type: Number },
+          reason: { type: String }
+        }
+      ],
+      default: undefined
+    },
+
     pnlAbs: { type: Number, default: 0 },
     pnlPct: { type: Number, default: 0 },
 
+    // set on close (services/paperSim.service.js): pnlAbs is gross, net is after charges
+    grossPnlAbs: { type: Number },
+    netPnlAbs: { type: Number },
+    netPnlPct: { type: Number },
+    charges: {
+      type: {
+        _id: false,
+        brokerage: { type: Number },
+        stt: { type: Number },
+        exchange: { type: Number },
+        sebi: { type: Number },
+        gst: { type: Number },
+        stamp: { type: Number },
+        total: { type: Number }
+      },
+      default: undefined
+    },
+
     status: {
       type: String,
       enum: ["OPEN", "CLOSED"],
@@ -40,6 +131,9 @@ const PaperTradeSchema = new Schema(
     rsiAtEntry: { type: Number },
     changePctAtEntry: { type: Number },
 
+    // StrategyConfig version that produced this trade (audit by parameter set)
+    configVersion: { type: Number, index: true },
+
     // --- New: live/paper bookkeeping ---
     tradeMode: {
       type: String,
@@ -48,11 +142,38 @@ const PaperTradeSchema = new Schema(
       index: true
     },
     broker: {
-      type: String, // e.g. "ANGEL_ONE" or "PAPER"
+      type: String, // adapter tag: "ANGEL_ONE", "FYERS", "FAKE" or "PAPER"
       default: "PAPER",
       index: true
     },
-    brokerOrderId: { type: String }, // Angel order id for audit
+    brokerOrderId: { type: String }, // broker order id for audit
+    exitOrderId: { type: String },   // manual square-off order id
+
+    // --- broker reconciliation (services/reconcile.service.js) ---
+    brokerStatus: {
+      type: String,
+      enum: ["PENDING", "FILLED", "REJECTED", "CANCELLED", "EXITED", "FLAT", "UNKNOWN"]
+    },
+    brokerFillPrice: { type: Number },
+    brokerExitPrice: { type: Number },
+    brokerMessage: { type: String },
+    brokerLegs: {
+      type: [
+        {
+          _id: false,
+          orderid: { type: String },
+          kind: { type: String }, // TARGET | STOPLOSS | EXIT
+          status: { type: String },
+          price: { type: Number },
+          qty: { type: Number },
+          time: { type: String }
+        }
+      ],
+      default: undefined
+    },
+    reconStatus: { type: String, enum: ["OK", "FIXED", "MISMATCH"], index: true },
+    reconNote: { type: String },
+    reconciledAt: { type: Date },
   },
   { timestamps: true }
 );
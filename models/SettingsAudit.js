@@ -0,0 +1,21 @@
+// models/SettingsAudit.js
+"use strict";
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+// Append-only: one row per admin settings change
+const SettingsAuditSchema = new Schema(
+  {
+    key: { type: String, required: true, index: true },
+    oldValue: { type: Schema.Types.Mixed, default: null },
+    newValue: { type: Schema.Types.Mixed, default: null },
+    changedBy: { type: String, default: "system" },
+    changedAt: { type: Date, default: Date.now, index: true },
+  },
+  { versionKey: false }
+);
+
+SettingsAuditSchema.index({ changedAt: -1 });
+
+module.exports = mongoose.model("SettingsAudit", SettingsAuditSchema);
@@ -0,0 +1,32 @@
+// models/SignalRule.js
+"use strict";
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/*
+  Declarative M2 entry rule. `when` is the condition tree validated by
+  services/signalRule.service.js (zod) before every save, e.g.
+    { all: [
+        { left: { ind: "RSI", period: 14, tf: "5m" }, op: "between", right: [40, 50] },
+        { left: { field: "close" }, op: ">", right: { ind: "VWAP" } },
+        { left: { field: "volume" }, op: ">", right: { ind: "SMA", period: 20, source: "volume", times: 1.5 } }
+    ] }
+*/
+
+const SignalRuleSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true },
+    description: { type: String, default: "" },
+    side: { type: String, enum: ["BUY", "SELL", "ANY"], default: "ANY", index: true },
+    enabled: { type: Boolean, default: true, index: true },
+    priority: { type: Number, default: 100 }, // lower is evaluated first
+    when: { type: Schema.Types.Mixed, required: true },
+
+    createdBy: { type: String, default: "admin" },
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("SignalRule", SignalRuleSchema);
@@ -0,0 +1,37 @@
+// models/StrategyConfig.js
+"use strict";
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/*
+  One document per parameter set. Versions are immutable once created:
+  "editing" a strategy means creating the next version and activating it.
+  Engines pick up the active version at the start of each market day.
+*/
+
+const StrategyConfigSchema = new Schema(
+  {
+    version: { type: Number, required: true, unique: true, index: true },
+    label: { type: String, default: "" },
+    notes: { type: String, default: "" },
+
+    // grouped per engine: { m1: {...}, m2: {...}, trade: {...}, scheduler: {...} }
+    params: { type: Schema.Types.Mixed, required: true },
+
+    isActive: { type: Boolean, default: false },
+    activatedAt: { type: Date, default: null },
+
+    createdBy: { type: String, default: "system" },   // admin email / "system"
+    activatedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+// At most one active version; a racing activation fails instead of leaving two
+StrategyConfigSchema.index(
+  { isActive: 1 },
+  { name: "one_active_version", unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model("StrategyConfig", StrategyConfigSchema);
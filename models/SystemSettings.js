@@ -0,0 +1,21 @@
+// models/SystemSettings.js
+"use strict";
+
+const mongoose = require("mongoose");
+const { Schema } = mongoose;
+
+/*
+  Singleton document (key: "global") holding admin runtime toggles.
+  `meta` mirrors `values` keys with { changedBy, changedAt } for the admin table.
+*/
+
+const SystemSettingsSchema = new Schema(
+  {
+    key: { type: String, default: "global", unique: true, index: true },
+    values: { type: Schema.Types.Mixed, default: () => ({}) },
+    meta: { type: Schema.Types.Mixed, default: () => ({}) },
+  },
+  { timestamps: true, minimize: false }
+);
+
+module.exports = mongoose.model("SystemSettings", SystemSettingsSchema);
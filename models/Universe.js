@@ -0,0 +1,38 @@
+// models/Universe.js
+"use strict";
+
+const mongoose = require("mongoose");
+
+/*
+  Named symbol list scanned by M1 (m1.UNIVERSE in StrategyConfig picks one).
+  EXCLUSION lists (ASM, GSM, T2T …) are universes too; other lists reference
+  them by name in `excludeLists`. Symbols are stored in Fyers format (NSE:XYZ-EQ).
+*/
+
+const universeSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String, default: "" },
+    kind: {
+      type: String,
+      enum: ["INDEX", "FNO", "WATCHLIST", "EXCLUSION", "CUSTOM"],
+      default: "CUSTOM",
+    },
+    symbols: { type: [String], default: [] },
+
+    // applied by M1 on live data; null = no limit
+    filters: {
+      minPrice: { type: Number, default: null },
+      maxPrice: { type: Number, default: null },
+      minAvgVolume: { type: Number, default: null }, // 20-session average (VolumeStat)
+    },
+    excludeLists: { type: [String], default: [] }, // EXCLUSION universe names
+    exclude: { type: [String], default: [] },      // individual symbols
+
+    createdBy: { type: String, default: "admin" },
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Universe", universeSchema);
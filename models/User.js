@@ -23,10 +23,10 @@ const BrokerSchema = new mongoose.Schema(
   {
     connected: { type: Boolean, default: false },
 
-    // keep your original enum; ANGEL is required for Publisher flow
+    // ANGEL is required for Publisher flow; order adapters live in services/brokers
     brokerName: {
       type: String,
-      enum: ["", "ANGEL"],
+      enum: ["", "ANGEL", "FYERS", "ZERODHA"],
       default: ""
     },
 
@@ -35,6 +35,38 @@ const BrokerSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Per-user risk profile; null means "use the engine default" / no limit
+const StrategyPrefsSchema = new mongoose.Schema(
+  {
+    targetPct: { type: Number, min: 0.1, max: 20, default: null },
+    stopPct: { type: Number, min: 0.1, max: 20, default: null },
+    maxTradesPerDay: { type: Number, min: 1, default: null },
+    maxCapitalPerTrade: { type: Number, min: 0, default: null }, // ₹ per position
+    paperQty: { type: Number, min: 1, default: 1 },
+
+    // live position sizing (see services/sizing.service.js)
+    sizingMode: {
+      type: String,
+      enum: ["MARGIN_PCT", "FIXED_QTY", "FIXED_AMOUNT", "PCT_CAPITAL", "FIXED_RISK"],
+      default: "MARGIN_PCT"
+    },
+    sizingQty: { type: Number, min: 1, default: null },
+    sizingAmount: { type: Number, min: 0, default: null },      // ₹ notional
+    sizingCapitalPct: { type: Number, min: 0, default: null },  // % of available cash
+    sizingRisk: { type: Number, min: 0, default: null },        // ₹ at risk to the stop
+    misLeverage: { type: Number, min: 1, default: null },       // cash × leverage cap
+    maxNotionalPerSymbol: { type: Number, min: 0, default: null },
+
+    // daily circuit breaker (see services/risk.service.js)
+    dailyMaxLoss: { type: Number, min: 0, default: null },      // ₹
+    dailyMaxLossPct: { type: Number, min: 0, default: null },   // net realised loss, % of riskCapital
+    riskCapital: { type: Number, min: 0, default: null },       // ₹ base for dailyMaxLossPct
+    maxConsecutiveLosses: { type: Number, min: 1, default: null },
+    flattenOnBreach: { type: Boolean, default: false }
+  },
+  { _id: false }
+);
+
 const userSchema = new mongoose.Schema(
   {
     // ---- identity ----
@@ -63,6 +95,14 @@ const userSchema = new mongoose.Schema(
       min: 0,
       max: 1,
       default: 0.5
+    },
+
+    strategy: { type: StrategyPrefsSchema, default: () => ({}) },
+
+    // last admin reset of the daily kill switch
+    riskReset: {
+      at: { type: Date, default: null },
+      by: { type: String, default: null }
     }
   },
   { timestamps: true }
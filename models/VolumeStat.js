@@ -0,0 +1,18 @@
+// models/VolumeStat.js
+"use strict";
+
+const mongoose = require("mongoose");
+
+// Average daily volume per symbol (M1 relative volume); refreshed once per day
+const volumeStatSchema = new mongoose.Schema(
+  {
+    symbol: { type: String, required: true, unique: true },
+    avgVolume: { type: Number, default: null },
+    days: { type: Number, default: 0 },        // daily bars in the average
+    asOf: { type: String, default: null },     // YYYY-MM-DD of the last bar used
+    refreshedOn: { type: String, index: true }, // IST date of the refresh
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("VolumeStat", volumeStatSchema);
@@ -173,6 +173,16 @@
 
     $("#ovOpenTrades") && ($("#ovOpenTrades").textContent = data.openTradesCount ?? "--");
     $("#ovAutoUsers") && ($("#ovAutoUsers").textContent = data.autoUsersCount ?? "--");
+
+    $("#ovRiskBlocked") && ($("#ovRiskBlocked").textContent = data.riskBlockedCount ?? "--");
+    if ($("#ovRiskBlockedUsers")) {
+      const blocked = data.riskBlocked || [];
+      $("#ovRiskBlockedUsers").textContent = blocked.length
+        ? blocked
+            .map((u) => `${u.email || u.userId} (${(u.reasons || []).join(", ")}; net ${formatCurrency(u.realizedPnl ?? 0)})`)
+            .join("; ")
+        : "Users blocked by daily loss limits.";
+    }
   }
 
   // -------------------------------
@@ -278,7 +288,7 @@
       try { tr.setAttribute('data-tradeid', trade._id); } catch(e) {}
       tr.innerHTML = `
         <td><div class="admin-user-cell">${userName}</div></td>
-        <td>${trade.symbol}</td>
+        <td>${trade.symbol}${trade.direction === "SELL" ? " (SHORT)" : ""}</td>
         <td>${trade.quantity || trade.qty || "--"}</td>
         <td>${formatCurrency(trade.entryPrice)}</td>
         <td>${formatCurrency(currentPrice)}</td>
@@ -354,6 +364,7 @@
             <button class="admin-mini-btn" data-action="angel-margin" data-id="${user._id}" data-margin="${marginPct}">Set Margin</button>
             <button class="admin-mini-btn" data-action="angel-live" data-id="${user._id}" data-live="${liveEnabled}">${liveEnabled ? "Disable Live" : "Enable Live"}</button>
             <button class="admin-mini-btn" data-action="auto-toggle" data-id="${user._id}" data-auto="${autoEnabled}">${autoEnabled ? "Auto OFF" : "Auto ON"}</button>
+            <button class="admin-mini-btn" data-action="risk-reset" data-id="${user._id}">Reset Kill Switch</button>
           </div>
         </td>
       `;
@@ -384,6 +395,17 @@
       return;
     }
 
+    if (action === "risk-reset") {
+      if (!confirm("Reset today's loss limits for this user? Earlier losses will stop counting.")) return;
+      const resp = await jpostAuth("/admin/user/risk/reset", { userId });
+      if (!resp.ok) {
+        alert(resp.error || "Failed to reset kill switch");
+        return;
+      }
+      await loadOverview();
+      return;
+    }
+
     if (action === "auto-toggle") {
       const current = btn.getAttribute("data-auto") === "true";
       const resp = await jpostAuth("/admin/user/automation", { userId, enable: !current });
@@ -456,6 +478,7 @@
     }
 
     const settings = resp.settings || {};
+    const meta = resp.meta || {};
     const keys = Object.keys(settings);
     if (!keys.length) {
       body.innerHTML = `<tr><td colspan="4" class="admin-table-placeholder">No settings tracked</td></tr>`;
@@ -463,12 +486,14 @@
     }
 
     keys.forEach((key) => {
+      const value = settings[key];
+      const m = meta[key] || {};
       const tr = document.createElement("tr");
       tr.innerHTML = `
         <td>${key}</td>
-        <td>${String(settings[key])}</td>
-        <td>--</td>
-        <td>${new Date().toLocaleTimeString()}</td>
+        <td>${typeof value === "object" ? JSON.stringify(value) : String(value)}</td>
+        <td>${m.changedBy || "--"}</td>
+        <td>${m.changedAt ? new Date(m.changedAt).toLocaleString() : "--"}</td>
       `;
       body.appendChild(tr);
     });
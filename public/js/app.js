@@ -126,6 +126,8 @@
   const startAngelLoginBtn = $("#startAngelLoginBtn");
   const angelMarginForm = $("#angelMarginForm");
   const angelMarginSaveBtn = $("#angelMarginSaveBtn");
+  const strategyPrefsForm = $("#strategyPrefsForm");
+  const strategyPrefsSaveBtn = $("#strategyPrefsSaveBtn");
   const tradingEngineToggleBtn = $("#tradingEngineToggleBtn");
   const angelClientIdInput = $("#angelClientIdInput");
   const saveAngelClientIdBtn = $("#saveAngelClientIdBtn");
@@ -439,10 +441,53 @@
     }
   });
 
+  strategyPrefsForm?.addEventListener("submit", async (event) => {
+    event.preventDefault();
+
+    const payload = {};
+    STRATEGY_PREF_FIELDS.forEach(([id, key]) => {
+      const input = $(`#${id}`);
+      if (!input) return;
+      const raw = input.value.trim();
+      payload[key] = raw === "" ? null : Number(raw);
+    });
+    const flatten = $("#prefFlattenOnBreach");
+    if (flatten) payload.flattenOnBreach = flatten.checked;
+    const sizingMode = $("#prefSizingMode");
+    if (sizingMode) payload.sizingMode = sizingMode.value;
+
+    if (strategyPrefsSaveBtn) {
+      strategyPrefsSaveBtn.disabled = true;
+      strategyPrefsSaveBtn.textContent = "Saving...";
+    }
+
+    const msgEl = $("#strategyPrefsMsg");
+    const resp = await jpostAuth("/user/strategy", payload);
+
+    if (!resp.ok) {
+      if (msgEl) {
+        msgEl.textContent = resp.error || "Failed to save preferences";
+        msgEl.style.color = "var(--app-danger)";
+      }
+    } else {
+      updateStrategyPrefsUI(resp.strategy || {});
+      if (msgEl) {
+        msgEl.textContent = "Preferences saved. They apply to your next trade.";
+        msgEl.style.color = "var(--app-success)";
+      }
+    }
+
+    if (strategyPrefsSaveBtn) {
+      strategyPrefsSaveBtn.disabled = false;
+      strategyPrefsSaveBtn.textContent = "Save Preferences";
+    }
+  });
+
   tradingEngineToggleBtn?.addEventListener("click", async () => {
     // Check conditions and show alerts if disabled
     const hasAccess = (currentUserProfile?.plan && currentUserProfile.plan !== "Free") || currentUserProfile?.role === "Admin";
-    const connected = currentUserProfile?.broker?.connected && currentUserProfile?.broker?.brokerName === "ANGEL";
+    // profile.broker.connected is only true for brokers the engine can trade through
+    const connected = !!currentUserProfile?.broker?.connected;
     const liveEnabledFlag = !!(currentUserProfile?.angel?.liveEnabled ?? currentUserProfile?.angelLiveEnabled);
     const autoEnabledFlag = !!currentUserProfile?.autoTradingEnabled;
 
@@ -452,12 +497,12 @@
     }
 
     if (hasAccess && !connected) {
-      alert("Please connect your Angel One Broker first");
+      alert("Please connect your broker (Angel One or Fyers) first");
       return;
     }
 
     if (!hasAccess && !connected) {
-      alert("Please Buy The Subscription and connect your Angel One Broker to Enable the Trading Engine..");
+      alert("Please Buy The Subscription and connect your broker (Angel One or Fyers) to Enable the Trading Engine..");
       return;
     }
 
@@ -932,6 +977,44 @@
     }
   }
 
+  // [input id, field]
+  const STRATEGY_PREF_FIELDS = [
+    ["prefTargetPct", "targetPct"],
+    ["prefStopPct", "stopPct"],
+    ["prefMaxTrades", "maxTradesPerDay"],
+    ["prefMaxCapital", "maxCapitalPerTrade"],
+    ["prefPaperQty", "paperQty"],
+    ["prefDailyMaxLoss", "dailyMaxLoss"],
+    ["prefDailyMaxLossPct", "dailyMaxLossPct"],
+    ["prefRiskCapital", "riskCapital"],
+    ["prefMaxConsecLosses", "maxConsecutiveLosses"],
+    ["prefSizingQty", "sizingQty"],
+    ["prefSizingAmount", "sizingAmount"],
+    ["prefSizingCapitalPct", "sizingCapitalPct"],
+    ["prefSizingRisk", "sizingRisk"],
+    ["prefMisLeverage", "misLeverage"],
+    ["prefMaxNotional", "maxNotionalPerSymbol"]
+  ];
+
+  function updateStrategyPrefsUI(strategy) {
+    const effective = strategy.effective || {};
+    STRATEGY_PREF_FIELDS.forEach(([id, key]) => {
+      const input = $(`#${id}`);
+      if (!input || document.activeElement === input) return;
+      input.value = strategy[key] ?? "";
+      if (effective[key] != null) input.placeholder = `Default ${effective[key]}`;
+    });
+    const flatten = $("#prefFlattenOnBreach");
+    if (flatten) flatten.checked = !!strategy.flattenOnBreach;
+    const sizingMode = $("#prefSizingMode");
+    if (sizingMode) sizingMode.value = strategy.sizingMode || "MARGIN_PCT";
+  }
+
+  async function loadStrategyPrefs() {
+    const resp = await jgetAuth("/user/strategy");
+    if (resp && resp.ok) updateStrategyPrefsUI(resp.strategy || {});
+  }
+
   async function loadProfile() {
     const profile = await jgetAuth("/user/profile");
     if (!profile || !profile.ok) return currentUserProfile;
@@ -1019,8 +1102,10 @@
     }
 
     if (pnlEl) {
-      const pnl = Number(s.grossPnLAbs ?? 0);
+      // after brokerage + taxes; gross and charges on hover
+      const pnl = Number(s.netPnLAbs ?? s.grossPnLAbs ?? 0);
       pnlEl.textContent = formatCurrency(pnl);
+      pnlEl.title = `Gross ${formatCurrency(Number(s.grossPnLAbs ?? 0))} · Charges ${formatCurrency(Number(s.chargesAbs ?? 0))}`;
       pnlEl.style.color = pnl >= 0 ? "var(--app-success)" : "var(--app-danger)";
     }
 
@@ -1031,6 +1116,14 @@
         bestEl.textContent = "--";
       }
     }
+
+    const riskEl = $("#repRisk");
+    if (riskEl) {
+      const risk = rep.risk || {};
+      riskEl.textContent = risk.blocked ? "Paused for today" : "Active";
+      riskEl.title = risk.blocked ? (risk.reasons || []).join(", ") : "";
+      riskEl.style.color = risk.blocked ? "var(--app-danger)" : "var(--app-success)";
+    }
   }
 
   async function loadTrades() {
@@ -1076,17 +1169,21 @@
         const qty = trade.qty || trade.quantity || 1;
         const isOpen = trade.status === "OPEN";
         const liveData = pnlMap.get(String(trade._id));
+        const isShort = trade.side === "SELL";
+        const dir = isShort ? -1 : 1;
+        const openQty = trade.openQty ?? qty;
+        const realized = (trade.exitLegs || []).reduce((sum, leg) => sum + Number(leg.pnlAbs || 0), 0);
 
         const currentPrice = isOpen
           ? (liveData?.ltp ?? trade.currentPrice ?? trade.entryPrice)
           : (trade.exitPrice ?? trade.entryPrice);
 
         const rawPnLAbs = isOpen
-          ? (liveData?.pnlAbs ?? (currentPrice - trade.entryPrice) * qty)
+          ? (liveData?.pnlAbs ?? realized + (currentPrice - trade.entryPrice) * openQty * dir)
           : (trade.pnlAbs ?? 0);
 
         const rawPnLPct = isOpen
-          ? (liveData?.pnlPct ?? ((currentPrice - trade.entryPrice) / trade.entryPrice) * 100)
+          ? (liveData?.pnlPct ?? (rawPnLAbs / (trade.entryPrice * qty)) * 100)
           : (trade.pnlPct ?? 0);
 
         const pnlAbs = Number(rawPnLAbs?.toFixed?.(2) ?? rawPnLAbs ?? 0);
@@ -1098,8 +1195,8 @@
           : `<span class="status-pill">Closed</span>`;
 
         tr.innerHTML = `
-          <td>${trade.symbol}</td>
-          <td>${qty}</td>
+          <td>${trade.symbol}${isShort ? " (SHORT)" : ""}</td>
+          <td>${isOpen && openQty !== qty ? `${openQty} / ${qty}` : qty}</td>
           <td>${formatCurrency(trade.entryPrice)}</td>
           <td>${formatCurrency(currentPrice)}</td>
           <td>${formatCurrency(trade.targetPrice)}</td>
@@ -1115,6 +1212,9 @@
         tr.setAttribute("data-symbol", trade.symbol);
         tr.setAttribute("data-entry", trade.entryPrice);
         tr.setAttribute("data-qty", qty);
+        tr.setAttribute("data-openqty", openQty);
+        tr.setAttribute("data-realized", realized);
+        tr.setAttribute("data-side", isShort ? "SELL" : "BUY");
 
         tableBody.appendChild(tr);
       });
@@ -1229,6 +1329,31 @@
     }
   };
 
+  $("#closeAllTradesBtn")?.addEventListener("click", async (event) => {
+    const btn = event.currentTarget;
+    if (!confirm("Close all your open positions at market price?")) return;
+
+    btn.disabled = true;
+    try {
+      const result = await jpostAuth("/trade/close-all");
+      if (!result) {
+        alert("Failed to close positions");
+      } else if (result.failed) {
+        const errors = (result.results || []).filter((r) => !r.ok).map((r) => `${r.symbol}: ${r.error}`);
+        alert(`Closed ${result.closed}, failed ${result.failed}.\n${errors.join("\n")}`);
+      } else {
+        alert(result.closed ? `Closed ${result.closed} position(s).` : "No open positions.");
+      }
+      loadTrades();
+      loadDailyReport();
+    } catch (err) {
+      console.error("Error closing positions:", err);
+      alert("Error closing positions. Please try again.");
+    } finally {
+      btn.disabled = false;
+    }
+  });
+
   // ----------------------------------------
   // Real-time updates for P&L
   // ----------------------------------------
@@ -1252,13 +1377,19 @@
 
       const entryPrice = Number(row.getAttribute("data-entry") || 0);
       const qty = Number(row.getAttribute("data-qty") || 1);
+      const openQty = Number(row.getAttribute("data-openqty") || qty);
+      const realized = Number(row.getAttribute("data-realized") || 0);
+      const dir = row.getAttribute("data-side") === "SELL" ? -1 : 1;
 
       if (!liveTradeCache[symbol]) liveTradeCache[symbol] = [];
       liveTradeCache[symbol].push({
         tradeId,
         row,
         entryPrice,
-        qty
+        qty,
+        openQty,
+        realized,
+        dir
       });
     });
   }
@@ -1269,8 +1400,9 @@
     if (!trades || !trades.length) return;
 
     trades.forEach((trade) => {
-      const pnlAbs = (currentPrice - trade.entryPrice) * trade.qty;
-      const pnlPct = ((currentPrice - trade.entryPrice) / trade.entryPrice) * 100;
+      // realised scale-out legs + open remainder
+      const pnlAbs = trade.realized + (currentPrice - trade.entryPrice) * trade.openQty * trade.dir;
+      const pnlPct = (pnlAbs / (trade.entryPrice * trade.qty)) * 100;
 
       const row = trade.row;
       if (!row) return;
@@ -1387,6 +1519,7 @@
   // ----------------------------------------
   loadPlanStatus();
   loadProfile();
+  loadStrategyPrefs();
   loadSignals();
   loadDailyReport();
   loadTrades();
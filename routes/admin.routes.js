@@ -5,6 +5,11 @@ const router = express.Router();
 
 const adminRequired = require("../middlewares/adminRequired");
 const adminCtrl = require("../controllers/admin.controller");
+const strategyCtrl = require("../controllers/strategy.controller");
+const signalRuleCtrl = require("../controllers/signalRule.controller");
+const universeCtrl = require("../controllers/universe.controller");
+const replayCtrl = require("../controllers/replay.controller");
+const marketCtrl = require("../controllers/market.controller");
 const angelPublisher = require("../services/angel.publisher.service");
 const User = require("../models/User");
 const { DateTime } = require("luxon");
@@ -58,6 +63,7 @@ router.get("/users", adminRequired, adminCtrl.getUsers);
 router.post("/user/plan", adminRequired, adminCtrl.setUserPlan);
 router.post("/user/automation", adminRequired, adminCtrl.setUserAutomation);
 router.post("/user/angel", adminRequired, adminCtrl.setUserAngelConfig);
+router.post("/user/risk/reset", adminRequired, adminCtrl.resetUserRisk);
 
 // ─────────────────────────────────────────────
 // ✅ Build Angel Login Link for a user (Admin Only)
@@ -93,6 +99,55 @@ router.get("/angel/login-link", adminRequired, async (req, res) => {
 // ─────────────────────────────────────────────
 router.get("/system", adminRequired, adminCtrl.getSystemSettings);
 router.post("/system", adminRequired, adminCtrl.updateSystemSetting);
+router.get("/system/history", adminRequired, adminCtrl.getSystemHistory);
+
+// ─────────────────────────────────────────────
+// ✅ Broker Reconciliation (live trades vs Angel order book)
+// ─────────────────────────────────────────────
+router.get("/reconciliation", adminRequired, adminCtrl.getReconciliation);
+router.post("/reconciliation/run", adminRequired, adminCtrl.runReconciliation);
+
+// ─────────────────────────────────────────────
+// ✅ Strategy Config (versioned parameters)
+// ─────────────────────────────────────────────
+router.get("/strategy", adminRequired, strategyCtrl.listVersions);
+router.get("/strategy/performance", adminRequired, strategyCtrl.getPerformance);
+router.get("/strategy/:version", adminRequired, strategyCtrl.getVersion);
+router.post("/strategy", adminRequired, strategyCtrl.createVersion);
+router.post("/strategy/:version/activate", adminRequired, strategyCtrl.activateVersion);
+
+// ─────────────────────────────────────────────
+// ✅ Signal Rules (M2 entry DSL)
+// ─────────────────────────────────────────────
+router.get("/signal-rules", adminRequired, signalRuleCtrl.listRules);
+router.post("/signal-rules", adminRequired, signalRuleCtrl.createRule);
+router.post("/signal-rules/:id", adminRequired, signalRuleCtrl.updateRule);
+router.delete("/signal-rules/:id", adminRequired, signalRuleCtrl.deleteRule);
+
+// ─────────────────────────────────────────────
+// ✅ Universes (M1 scan lists + exclusion lists)
+// ─────────────────────────────────────────────
+const csvBody = express.text({ type: ["text/csv", "text/plain"], limit: "2mb" });
+
+router.get("/universes", adminRequired, universeCtrl.listUniverses);
+router.get("/universes/:name", adminRequired, universeCtrl.getUniverse);
+router.post("/universes", adminRequired, universeCtrl.createUniverse);
+router.post("/universes/:name", adminRequired, universeCtrl.updateUniverse);
+router.delete("/universes/:name", adminRequired, universeCtrl.deleteUniverse);
+router.post("/universes/:name/import", adminRequired, csvBody, universeCtrl.importCsv);
+
+// ─────────────────────────────────────────────
+// ✅ Tick Recorder & Market Replay
+// ─────────────────────────────────────────────
+router.get("/ticks", adminRequired, replayCtrl.getStatus);
+router.post("/ticks/recorder", adminRequired, replayCtrl.setRecorder);
+router.post("/ticks/replay", adminRequired, replayCtrl.startReplay);
+router.post("/ticks/replay/stop", adminRequired, replayCtrl.stopReplay);
+
+// ─────────────────────────────────────────────
+// ✅ Market Data Health (feed staleness + reconnects)
+// ─────────────────────────────────────────────
+router.get("/market/health", adminRequired, marketCtrl.getHealth);
 
 // ─────────────────────────────────────────────
 // ✅ Engine Control (Live Scanner)
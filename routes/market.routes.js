@@ -0,0 +1,13 @@
+// routes/market.routes.js
+"use strict";
+
+const express = require("express");
+const router = express.Router();
+
+const authRequired = require("../middlewares/authRequired");
+const marketCtrl = require("../controllers/market.controller");
+
+// Stored minute candles (aggregated to ?tf=3m|5m|15m): [ts, o, h, l, c, v]
+router.get("/candles", authRequired, marketCtrl.getCandles);
+
+module.exports = router;
@@ -20,9 +20,12 @@ router.post("/check-exit", authRequired, tradeCtrl.checkExit);
 // List trades (scoped to current user by default; admin may pass ?userId=...)
 router.get("/all", authRequired, tradeCtrl.getAll);
 
-// Manually close a trade (owner or admin)
+// Manually close a trade at LTP (owner or admin); live trades are squared off with Angel
 router.post("/close/:id", authRequired, tradeCtrl.closeManual);
 
+// Close all of the current user's open trades (admin may pass ?userId=...)
+router.post("/close-all", authRequired, tradeCtrl.closeAll);
+
 // Live PnL snapshot (unrealized + today's realized)
 // - Scoped to current user by default; admin may pass ?userId=...
 router.get("/live-pnl", authRequired, tradeCtrl.livePnL);
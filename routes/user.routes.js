@@ -9,9 +9,11 @@ const { IST } = require("../utils/time");
 const m2Service = require("../services/m2.service");
 const tradeEngine = require("../services/tradeEngine.service");
 const reportService = require("../services/report.service");
+const risk = require("../services/risk.service");
 
 const brokerCtrl = require("../controllers/broker.controller");
 const subCtrl = require("../controllers/subscription.controller");
+const strategyCtrl = require("../controllers/userStrategy.controller");
 const angelPublisher = require("../services/angel.publisher.service");
 
 
@@ -20,8 +22,8 @@ const angelPublisher = require("../services/angel.publisher.service");
 // Who am I / profile info
 router.get("/profile", authRequired, async (req, res) => {
   const u = req.user;
-  const { validateAngelConnection } = require("../controllers/broker.controller");
-  const isAngelConnected = await validateAngelConnection(u);
+  const { validateBrokerConnection } = require("../controllers/broker.controller");
+  const isBrokerConnected = await validateBrokerConnection(u);
   res.json({
     ok: true,
     user: {
@@ -33,7 +35,7 @@ router.get("/profile", authRequired, async (req, res) => {
       role: u.role,
       plan: u.plan,
       broker: {
-        connected: isAngelConnected,
+        connected: isBrokerConnected,
         brokerName: u.broker.brokerName,
         clientId: u.broker.creds.clientId || ""
       },
@@ -42,7 +44,7 @@ router.get("/profile", authRequired, async (req, res) => {
         allowedMarginPct: u.angelAllowedMarginPct,
         allowedMarginPercent: Math.round((u.angelAllowedMarginPct ?? 0) * 100),
         liveEnabled: u.angelLiveEnabled,
-        brokerConnected: isAngelConnected
+        brokerConnected: isBrokerConnected
       }
     }
   });
@@ -94,8 +96,11 @@ router.get("/trades", authRequired, async (req, res, next) => {
 router.get("/report-today", authRequired, async (req, res, next) => {
   try {
     const userId = String(req.user?._id || "");
-    const result = await reportService.buildDailyReport({ userId });
-    res.json(result);
+    const [result, riskState] = await Promise.all([
+      reportService.buildDailyReport({ userId }),
+      risk.getDailyRiskState(req.user)
+    ]);
+    res.json({ ...result, risk: riskState });
   } catch (err) {
     next(err);
   }
@@ -118,6 +123,10 @@ router.get("/angel/settings", authRequired, brokerCtrl.getAngelSettings);
 router.post("/angel/settings", authRequired, brokerCtrl.updateAngelSettings);
 router.post("/broker/client-id", authRequired, brokerCtrl.updateAngelClientId);
 
+// per-user strategy prefs / risk profile
+router.get("/strategy", authRequired, strategyCtrl.getStrategy);
+router.post("/strategy", authRequired, strategyCtrl.updateStrategy);
+
 // get angel funds
 router.get("/angel/funds", authRequired, async (req, res, next) => {
   try {
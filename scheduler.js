@@ -9,6 +9,10 @@ const marketSocket = require("./services/marketSocket.service");
 const m1Service = require("./services/m1.service");
 const m2Service = require("./services/m2.service");
 const tradeEngine = require("./services/tradeEngine.service");
+const strategyConfig = require("./services/strategyConfig.service");
+const reconcile = require("./services/reconcile.service");
+const tickRecorder = require("./services/tickRecorder.service");
+const feedHealth = require("./services/feedHealth.service");
 
 // DB
 const M1Mover = require("./models/M1Mover");
@@ -22,10 +26,15 @@ const CONFIG = {
   MARKET_CLOSE_M: 30,
   M1_START_H: 10,
   M1_START_M: 30,
+  M1_RESCAN_MIN: 15,        // intraday M1 rescans until the entry cutoff (0 = single run)
+  CUT_H: 14,
+  CUT_M: 45,
   M1_FORCE_START_ALLOWED: true,
   STARTUP_CYCLE_MS: 15000,  // 15 sec
   TRADE_CYCLE_MS: 15000,    // 15 sec
   SIGNAL_POLL_MS: 6000,     // 6 sec fallback
+  RECON_CYCLE_MS: 60000,    // 1 min broker order-book reconciliation
+  RECON_GRACE_MIN: 15,      // keep reconciling after close (late broker updates)
 };
 
 // ---------------- FLAGS ----------------
@@ -35,6 +44,7 @@ let flags = {
 
   m1Starting: false,
   m1Started: false,
+  m1LastRunAt: 0,
 
   m2Starting: false,
   m2Started: false,
@@ -42,7 +52,8 @@ let flags = {
   tradeStarted: false,
   enginesStopped: false,
 
-  m1WindowLogged: false
+  m1WindowLogged: false,
+  strategyVersion: null
 };
 
 // ---------------- TIME HELPERS ----------------
@@ -73,7 +84,7 @@ function isM1StartWindow() {
 
 function isAfterCutoff() {
   const n = nowIST();
-  const cutoff = 14 * 60 + 45;
+  const cutoff = CONFIG.CUT_H * 60 + CONFIG.CUT_M;
   const nowMin = n.hour * 60 + n.minute;
   return nowMin >= cutoff;
 }
@@ -89,6 +100,7 @@ function resetDailyFlags() {
 
       m1Starting: false,
       m1Started: false,
+      m1LastRunAt: 0,
 
       m2Starting: false,
       m2Started: false,
@@ -96,13 +108,36 @@ function resetDailyFlags() {
       tradeStarted: false,
       enginesStopped: false,
 
-      m1WindowLogged: false
+      m1WindowLogged: false,
+      strategyVersion: null
     };
 
     console.log("[SCHED] New Market Day — Flags Reset");
   }
 }
 
+// ---------------- STRATEGY CONFIG (DAY START) ----------------
+async function applyStrategyForDay() {
+  if (flags.strategyVersion) return;
+
+  try {
+    const strategy = await strategyConfig.loadActiveConfig();
+
+    Object.assign(CONFIG, strategy.params.scheduler);
+    CONFIG.CUT_H = strategy.params.trade.CUT_H;
+    CONFIG.CUT_M = strategy.params.trade.CUT_M;
+
+    m1Service.applyStrategyConfig(strategy);
+    m2Service.applyStrategyConfig(strategy);
+    tradeEngine.applyStrategyConfig(strategy);
+
+    flags.strategyVersion = strategy.version;
+    console.log(`[SCHED] Strategy config v${strategy.version} applied`);
+  } catch (err) {
+    console.error("[SCHED] Strategy config load failed:", err.message);
+  }
+}
+
 // ---------------- START MARKET SOCKET ----------------
 async function startMarketSocket() {
   try {
@@ -129,6 +164,7 @@ async function startM1() {
     const res = await m1Service.startEngine();
     if (res.ok) {
       flags.m1Started = true;
+      flags.m1LastRunAt = Date.now();
       console.log("[SCHED] M1 Completed — Movers Found:", res.movers?.length || 0);
     }
   } catch (err) {
@@ -138,6 +174,34 @@ async function startM1() {
   flags.m1Starting = false;
 }
 
+// ---------------- M1 RESCAN ----------------
+// Later movers are upserted by M1 and handed to the running M2 (hot-add);
+// if M2 had no movers yet, startM2 picks them up on its next attempt.
+async function rescanM1() {
+  if (!flags.m1Started || flags.m1Starting || !CONFIG.M1_RESCAN_MIN || isAfterCutoff()) return;
+  if (Date.now() - flags.m1LastRunAt < CONFIG.M1_RESCAN_MIN * 60000) return;
+
+  flags.m1Starting = true;
+  flags.m1LastRunAt = Date.now();
+
+  try {
+    const res = await m1Service.startEngine();
+    if (res.ok) {
+      if (res.newMovers?.length) {
+        console.log("[SCHED] M1 Rescan — New Movers:", res.newMovers.map((m) => m.symbol).join(", "));
+      }
+      // all current movers: M2 skips tracked ones and retries failed seeds
+      if (flags.m2Started && res.movers?.length) {
+        await m2Service.addMovers(res.movers);
+      }
+    }
+  } catch (err) {
+    console.error("[SCHED] M1 Rescan Error:", err.message);
+  }
+
+  flags.m1Starting = false;
+}
+
 // ---------------- START M2 ----------------
 async function startM2() {
   if (!flags.m1Started || flags.m2Started || flags.m2Starting) return;
@@ -202,6 +266,7 @@ async function stopAllEngines() {
 // ---------------- STARTUP PIPELINE ----------------
 async function startupCycle() {
   resetDailyFlags();
+  await applyStrategyForDay();
 
   if (!isMarketOpen()) return;
 
@@ -216,6 +281,8 @@ async function startupCycle() {
     await startM2();
   }
 
+  await rescanM1();
+
   if (flags.m2Started && !flags.tradeStarted && !isAfterCutoff()) {
     await startTradeEngine();
   }
@@ -236,6 +303,29 @@ async function tradeCycle() {
   }
 }
 
+// ---------------- BROKER RECONCILIATION ----------------
+let reconRunning = false;
+
+async function reconCycle() {
+  if (!isMarketDay() || reconRunning) return;
+  const n = nowIST();
+  const current = n.hour * 60 + n.minute;
+  const open = CONFIG.MARKET_OPEN_H * 60 + CONFIG.MARKET_OPEN_M;
+  const close = CONFIG.MARKET_CLOSE_H * 60 + CONFIG.MARKET_CLOSE_M + CONFIG.RECON_GRACE_MIN;
+  if (current < open || current > close) return;
+
+  reconRunning = true;
+  try {
+    const { results } = await reconcile.reconcileAll();
+    const flagged = results.filter((r) => r.mismatches || r.fixed || !r.ok);
+    if (flagged.length) console.log("[SCHED] Reconciliation:", JSON.stringify(flagged));
+  } catch (e) {
+    console.error("[SCHED] reconCycle:", e.message);
+  } finally {
+    reconRunning = false;
+  }
+}
+
 // ---------------- MARKET CLOSE CHECK ----------------
 function checkMarketClose() {
   if (!isMarketOpen()) {
@@ -247,12 +337,15 @@ function checkMarketClose() {
 function startScheduler() {
   console.log("[SCHED] Scheduler Started (Clean Logs)");
 
+  feedHealth.startMonitor();
   startMarketSocket();
+  if (tickRecorder.CFG.ENABLED) tickRecorder.startRecorder();
 
   setInterval(startupCycle, CONFIG.STARTUP_CYCLE_MS);
   setInterval(tradeCycle, CONFIG.TRADE_CYCLE_MS);
   setInterval(fallbackSignalWatcher, CONFIG.SIGNAL_POLL_MS);
   setInterval(checkMarketClose, 60000); // every 1 min
+  setInterval(reconCycle, CONFIG.RECON_CYCLE_MS);
 }
 
 module.exports = { startScheduler };
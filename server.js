@@ -17,6 +17,7 @@ const authRoutes = require("./routes/auth.routes");
 const userRoutes = require("./routes/user.routes");
 const adminRoutes = require("./routes/admin.routes");
 const fyersRoutes = require("./routes/fyers.routes");
+const marketRoutes = require("./routes/market.routes");
 const errorHandler = require("./middlewares/errorHandler");
 const PaperTrade = require("./models/PaperTrade");
 const { startScheduler } = require("./scheduler");
@@ -74,6 +75,7 @@ app.use("/auth", authRoutes);
 app.use("/user", userRoutes);
 app.use("/admin", adminRoutes);
 app.use("/fyers", fyersRoutes);
+app.use("/market", marketRoutes);
 
 // ---- ✅ Angel Publisher integration ----
 app.use("/", require("./routes/angel.auth.routes")); // /auth/angel/login + /auth/angel/callback
@@ -7,6 +7,16 @@ const BASE_URL = process.env.ANGEL_BASE_URL || "https://apiconnect.angelbroking.
 const ORDER_URL =
   process.env.ANGEL_ORDER_URL ||
   "https://apiconnect.angelbroking.com/rest/secure/angelbroking/order/v1/placeOrder";
+const ORDER_BOOK_URL = `${BASE_URL}/rest/secure/angelbroking/order/v1/getOrderBook`;
+const CANCEL_URL = `${BASE_URL}/rest/secure/angelbroking/order/v1/cancelOrder`;
+const TRADE_BOOK_URL = `${BASE_URL}/rest/secure/angelbroking/order/v1/getTradeBook`;
+const POSITION_URL = `${BASE_URL}/rest/secure/angelbroking/order/v1/getPosition`;
+
+// order-book statuses that can still fill
+const PENDING_STATUSES = ["open", "trigger pending", "open pending", "validation pending", "modify pending"];
+
+// broker-side settle after a bracket exit: positions / trade book re-reads
+const EXIT_POLL = { TRIES: 3, DELAY_MS: 1000 };
 
 function buildHeaders(apiKey, accessToken) {
   if (!apiKey || !accessToken) throw new Error("Missing Angel credentials");
@@ -119,7 +129,185 @@ async function placeMarketOrder({ userId, symbol, symboltoken, qty, side, bracke
   }
 }
 
+async function getOrderBook(userId) {
+  try {
+    const { creds } = await getUserCreds(userId);
+    const headers = buildHeaders(creds.apiKey, creds.accessToken);
+    const { data } = await axios.get(ORDER_BOOK_URL, { headers, timeout: 10000 });
+    return { ok: true, orders: Array.isArray(data?.data) ? data.data : [] };
+  } catch (err) {
+    console.error("[angel.trade] getOrderBook error", err?.response?.data || err.message);
+    return { ok: false, orders: [], error: err?.response?.data?.message || err.message };
+  }
+}
+
+async function getTradeBook(userId) {
+  try {
+    const { creds } = await getUserCreds(userId);
+    const headers = buildHeaders(creds.apiKey, creds.accessToken);
+    const { data } = await axios.get(TRADE_BOOK_URL, { headers, timeout: 10000 });
+    return { ok: true, trades: Array.isArray(data?.data) ? data.data : [] };
+  } catch (err) {
+    console.error("[angel.trade] getTradeBook error", err?.response?.data || err.message);
+    return { ok: false, trades: [], error: err?.response?.data?.message || err.message };
+  }
+}
+
+async function getPositions(userId) {
+  try {
+    const { creds } = await getUserCreds(userId);
+    const headers = buildHeaders(creds.apiKey, creds.accessToken);
+    const { data } = await axios.get(POSITION_URL, { headers, timeout: 10000 });
+    return { ok: true, positions: Array.isArray(data?.data) ? data.data : [] };
+  } catch (err) {
+    console.error("[angel.trade] getPositions error", err?.response?.data || err.message);
+    return { ok: false, positions: [], error: err?.response?.data?.message || err.message };
+  }
+}
+
+async function cancelOrder({ userId, orderid, variety = "ROBO" }) {
+  try {
+    const { creds } = await getUserCreds(userId);
+    const headers = buildHeaders(creds.apiKey, creds.accessToken);
+    const { data } = await axios.post(CANCEL_URL, { variety, orderid }, { headers, timeout: 10000 });
+    if (data?.status === false) throw new Error(data?.message || "cancel rejected");
+    return { ok: true, raw: data };
+  } catch (err) {
+    const message = err?.response?.data?.message || err.message;
+    console.error("[angel.trade] cancelOrder error", { orderid, error: message });
+    return { ok: false, error: message };
+  }
+}
+
+const statusOf = (o) => String(o?.status || o?.orderstatus || "").toLowerCase();
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Volume-weighted fill price of `orderIds` from the trade book (null if not booked yet)
+async function tradeBookFill(userId, orderIds) {
+  const ids = new Set(orderIds.filter(Boolean).map(String));
+  for (let i = 0; i < EXIT_POLL.TRIES; i++) {
+    const book = await getTradeBook(userId);
+    const rows = book.trades.filter((t) => ids.has(String(t.orderid)));
+    const qty = rows.reduce((s, t) => s + Number(t.fillsize || 0), 0);
+    if (qty > 0) {
+      const value = rows.reduce((s, t) => s + Number(t.fillprice || 0) * Number(t.fillsize || 0), 0);
+      return Number((value / qty).toFixed(2));
+    }
+    await sleep(EXIT_POLL.DELAY_MS);
+  }
+  return null;
+}
+
+// Net position row for the token: { netQty (signed), producttype }
+async function netPosition(userId, symboltoken) {
+  const res = await getPositions(userId);
+  if (!res.ok) throw new Error(res.error || "positions unavailable");
+  const rows = res.positions.filter((p) => String(p.symboltoken) === String(symboltoken));
+  const open = rows.find((p) => Number(p.netqty || 0) !== 0) || rows[0];
+  return { netQty: Number(open?.netqty || 0), producttype: open?.producttype || "INTRADAY" };
+}
+
+// Quantity of the entry still open at the broker after the bracket exit settles
+async function remainingAfterExit(userId, symboltoken, side, qty) {
+  const dir = side === "SELL" ? -1 : 1;
+  let pos = { netQty: 0, producttype: "INTRADAY" };
+  for (let i = 0; i < EXIT_POLL.TRIES; i++) {
+    pos = await netPosition(userId, symboltoken);
+    if (pos.netQty * dir <= 0) return { qty: 0, producttype: pos.producttype };
+    await sleep(EXIT_POLL.DELAY_MS);
+  }
+  return { qty: Math.min(Math.abs(pos.netQty), Number(qty) || 1), producttype: pos.producttype };
+}
+
+/**
+ * Manual exit of a bracket (ROBO) position, read from the broker first:
+ *   - a target / stop leg already filled → nothing to send; report that fill
+ *   - entry still pending → cancel the parent order
+ *   - otherwise exit through the bracket: cancelling the pending legs squares
+ *     the position off; only a net quantity still open afterwards goes out as
+ *     a MARKET order in the position's own product type
+ * avgPrice is the trade-book fill of the exit (null if not booked yet).
+ */
+async function squareOffPosition({ userId, brokerOrderId, symbol, symboltoken, qty, side }) {
+  try {
+    const book = await getOrderBook(userId);
+    if (!book.ok) return { ok: false, error: book.error || "order book unavailable" };
+
+    const parent = book.orders.find((o) => brokerOrderId && String(o.orderid) === String(brokerOrderId));
+    const legs = book.orders.filter(
+      (o) => brokerOrderId && String(o.parentorderid || "") === String(brokerOrderId)
+    );
+
+    const filledLeg = legs.find((o) => statusOf(o) === "complete");
+    if (filledLeg) {
+      const avgPrice =
+        (await tradeBookFill(userId, [filledLeg.orderid])) ??
+        (Number(filledLeg.averageprice) > 0 ? Number(filledLeg.averageprice) : null);
+      console.info("[angel.trade] squareOff: bracket leg already filled", { symbol, orderId: filledLeg.orderid, avgPrice });
+      return { ok: true, orderId: filledLeg.orderid, avgPrice, alreadyExited: true, ordertype: filledLeg.ordertype };
+    }
+
+    if (parent && PENDING_STATUSES.includes(statusOf(parent))) {
+      const res = await cancelOrder({ userId, orderid: parent.orderid, variety: parent.variety || "ROBO" });
+      if (!res.ok) return { ok: false, error: `entry cancel failed: ${res.error}` };
+      console.info("[angel.trade] squareOff: pending entry cancelled", { symbol, orderId: parent.orderid });
+      return { ok: true, orderId: null, avgPrice: null, cancelledEntry: true };
+    }
+
+    const pendingLegs = legs.filter((o) => PENDING_STATUSES.includes(statusOf(o)));
+    for (const leg of pendingLegs) {
+      const res = await cancelOrder({ userId, orderid: leg.orderid, variety: leg.variety || "ROBO" });
+      if (!res.ok) return { ok: false, error: `bracket exit failed: ${res.error}` };
+    }
+
+    const exitIds = pendingLegs.map((o) => o.orderid);
+    const remaining = await remainingAfterExit(userId, symboltoken, side, qty);
+
+    let orderId = exitIds[0] || null;
+    if (remaining.qty > 0) {
+      const { creds } = await getUserCreds(userId);
+      const headers = buildHeaders(creds.apiKey, creds.accessToken);
+      const body = {
+        exchange: "NSE",
+        tradingsymbol: symbol,
+        symboltoken,
+        transactiontype: side === "SELL" ? "BUY" : "SELL", // opposite of the entry
+        variety: "NORMAL",
+        ordertype: "MARKET",
+        producttype: remaining.producttype,
+        duration: "DAY",
+        quantity: remaining.qty,
+      };
+      const { data } = await axios.post(ORDER_URL, body, { headers, timeout: 15000 });
+      orderId = extractOrderId(data);
+      if (!orderId) throw new Error(data?.message || "exit order rejected");
+      exitIds.push(orderId);
+    }
+
+    const avgPrice = await tradeBookFill(userId, exitIds);
+
+    console.info("[angel.trade] squareOff done", {
+      symbol,
+      orderId,
+      exitedLegs: pendingLegs.length,
+      marketQty: remaining.qty,
+      avgPrice,
+    });
+    return { ok: true, orderId, avgPrice, cancelledLegs: pendingLegs.length, marketQty: remaining.qty };
+  } catch (err) {
+    const resp = err?.response?.data;
+    const message = resp?.message || err?.message || "Angel square-off failed";
+    console.error("[angel.trade] squareOff error", { symbol, qty, error: message });
+    return { ok: false, error: message };
+  }
+}
+
 module.exports = {
   getFunds,
   placeMarketOrder,
+  getOrderBook,
+  getTradeBook,
+  getPositions,
+  cancelOrder,
+  squareOffPosition,
 };
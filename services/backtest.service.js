@@ -0,0 +1,541 @@
+// services/backtest.service.js — OFFLINE STRATEGY REPLAY
+"use strict";
+
+/**
+ * Backtest Engine
+ * ---------------
+ * Replays stored minute candles through the same rules the live pipeline uses:
+ *   M1  → m1Service.pickMovers() on the 10:30 snapshot
+ *   M2  → m2Service.computeTimeframes() + evaluateSignal() per closed bar
+ *   TE  → tradeEngine.buildTradeLevels() / getExitReason() for TARGET/STOPLOSS/CUTOFF,
+ *         trailStop() on each bar's favourable extreme for BREAKEVEN/TRAIL_STOP,
+ *         getPartialExit() / buildPartialExitUpdate() for scale-out legs and
+ *         buildCloseUpdate() for the paper fill and charges (PnL is net)
+ *   Up to maxOpen positions at once (MAX_OPEN_PER_USER / MAX_OPEN_GLOBAL)
+ *
+ * Candle fixture (one file per trading day, ts in ms):
+ *   data/candles/YYYY-MM-DD.json
+ *   { "NSE:SBIN-EQ": { "prevClose": 812.4, "avgVolume20"?: 1.2e6, "candles": [[ts,o,h,l,c,v], ...] }, ... }
+ *
+ * data/candles/2025-01-06.json is a small synthetic session (two gap-ups, a
+ * gap-down, one flat name) so the file source runs offline out of the box:
+ *   npm run backtest:sample
+ * Real days come from --source fyers --save-fixture (needs a Fyers login).
+ *
+ * CLI:
+ *   node services/backtest.service.js --from 2025-01-06 --to 2025-01-10 [--source fyers] [--save-fixture]
+ *     [--threshold 5] [--rsi-min 40] [--rsi-max 50] [--short-rsi-min 50] [--short-rsi-max 60]
+ *     [--shorts true|false] [--target 1.5] [--stop 0.75] [--capital 100000]
+ *     [--breakeven 0.5] [--trail-trigger 1] [--trail-distance 0.5]
+ *     [--max-open 3] [--scale-out 1:50,1.2:25]   (targetPct:qtyPct legs)
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { DateTime } = require("luxon");
+const fy = require("./fyersSdk");
+const m1Service = require("./m1.service");
+const m2Service = require("./m2.service");
+const tradeEngine = require("./tradeEngine.service");
+const paperSim = require("./paperSim.service");
+const { IST } = require("../utils/time");
+
+// -------------------------------- CONFIG --------------------------------
+const CFG = {
+  FIXTURE_DIR: process.env.BACKTEST_FIXTURE_DIR || path.join(__dirname, "../data/candles"),
+  OUTPUT_DIR: process.env.BACKTEST_OUTPUT_DIR || path.join(__dirname, "../data/backtests"),
+  M1_SCAN_H: 10,
+  M1_SCAN_M: 30,
+  MIN_CANDLES: 20,             // same guard as m2.handleRSI
+  CAPITAL: 100000,             // starting equity, split evenly across open slots
+  HISTORY_DELAY_MS: 120,
+};
+
+// ------------------------------- HELPERS -------------------------------
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+const round2 = (n) => Number(Number(n).toFixed(2));
+
+function atIST(date, hour, minute) {
+  return DateTime.fromISO(date, { zone: IST })
+    .set({ hour, minute, second: 0, millisecond: 0 })
+    .toMillis();
+}
+
+function tradingDays(from, to) {
+  const out = [];
+  let d = DateTime.fromISO(from, { zone: IST }).startOf("day");
+  const end = DateTime.fromISO(to, { zone: IST }).startOf("day");
+  while (d <= end) {
+    if (d.weekday <= 5) out.push(d.toISODate());
+    d = d.plus({ days: 1 });
+  }
+  return out;
+}
+
+function resolveParams(params = {}) {
+  const m2Cfg = m2Service.CFG;
+  const teCfg = tradeEngine.CFG;
+  return {
+    threshold: params.threshold != null ? Number(params.threshold) : undefined, // M1 default
+    rsiMin: Number(params.rsiMin ?? m2Cfg.RSI_MIN),
+    rsiMax: Number(params.rsiMax ?? m2Cfg.RSI_MAX),
+    shortRsiMin: Number(params.shortRsiMin ?? m2Cfg.SHORT_RSI_MIN),
+    shortRsiMax: Number(params.shortRsiMax ?? m2Cfg.SHORT_RSI_MAX),
+    shorts: params.shorts != null ? params.shorts === true || params.shorts === "true" : undefined,
+    targetPct: Number(params.targetPct ?? teCfg.TARGET_PCT),
+    stopPct: Number(params.stopPct ?? teCfg.STOP_PCT),
+    capital: Number(params.capital ?? CFG.CAPITAL),
+    maxOpen: Math.max(1, Number(params.maxOpen ?? Math.min(teCfg.MAX_OPEN_PER_USER, teCfg.MAX_OPEN_GLOBAL))),
+    scaleOut: params.scaleOut ?? teCfg.SCALE_OUT,
+    signalStaleMs: Number(params.signalStaleMs ?? teCfg.SIGNAL_STALE_MS),
+    stops: {
+      BREAKEVEN_TRIGGER_PCT: Number(params.breakevenTriggerPct ?? teCfg.BREAKEVEN_TRIGGER_PCT),
+      TRAIL_TRIGGER_PCT: Number(params.trailTriggerPct ?? teCfg.TRAIL_TRIGGER_PCT),
+      TRAIL_DISTANCE_PCT: Number(params.trailDistancePct ?? teCfg.TRAIL_DISTANCE_PCT),
+    },
+  };
+}
+
+// ---------------------------- CANDLE SOURCES ----------------------------
+async function loadDayFromFile(date) {
+  const file = path.join(CFG.FIXTURE_DIR, `${date}.json`);
+  try {
+    const raw = await fs.readFile(file, "utf8");
+    return JSON.parse(raw || "{}");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+async function fetchPrevClose(symbol, date) {
+  const to = DateTime.fromISO(date, { zone: IST }).minus({ days: 1 });
+  const rows = await fy.getHistory({
+    symbol,
+    resolution: "D",
+    date_format: "1",
+    range_from: to.minus({ days: 10 }).toISODate(),
+    range_to: to.toISODate(),
+    cont_flag: "1",
+  });
+  const last = rows[rows.length - 1];
+  return last ? last.c : null;
+}
+
+async function loadDayFromFyers(date, symbols) {
+  const out = {};
+
+  for (const symbol of symbols) {
+    try {
+      const rows = await fy.getHistory({
+        symbol,
+        resolution: "1",
+        date_format: "1",
+        range_from: date,
+        range_to: date,
+        cont_flag: "1",
+      });
+      const candles = m2Service.normalizeHistory(rows);
+      if (!candles.length) continue;
+
+      const prevClose = await fetchPrevClose(symbol, date);
+      if (!prevClose) continue;
+
+      out[symbol] = { prevClose, candles };
+    } catch (err) {
+      console.warn(`[BT] history failed for ${symbol} ${date}:`, err.message);
+    }
+    await sleep(CFG.HISTORY_DELAY_MS);
+  }
+
+  return out;
+}
+
+async function saveFixture(date, day) {
+  await fs.mkdir(CFG.FIXTURE_DIR, { recursive: true });
+  const file = path.join(CFG.FIXTURE_DIR, `${date}.json`);
+  await fs.writeFile(file, JSON.stringify(day), "utf8");
+  return file;
+}
+
+// ------------------------------ SIMULATION ------------------------------
+// The engine builds Mongo-style updates; apply one to the in-memory trade
+function applyUpdate(trade, { $set = {}, $push = {} }) {
+  Object.assign(trade, $set);
+  for (const [key, value] of Object.entries($push)) trade[key] = [...(trade[key] || []), value];
+  return trade;
+}
+
+// A level crossed inside a bar fills at the level, or at the open if it gapped through
+function levelFill(trade, level, open) {
+  const dir = trade.side === "SELL" ? -1 : 1;
+  return (open - level) * dir >= 0 ? open : level;
+}
+
+// Full exit on this bar: cutoff, a gap through a level, or the stop
+function barExit(trade, bar, isCutoffExit) {
+  const [, o, h, l, c] = bar;
+  if (isCutoffExit) return { reason: "CUTOFF", price: c };
+
+  // Gapped through a level on the open → fill at the open
+  const atOpen = tradeEngine.getExitReason(trade, o, false);
+  if (atOpen) return { reason: atOpen, price: o };
+
+  // Stop checked before any target: conservative when both sit inside one bar
+  const adverse = trade.side === "SELL" ? h : l;
+  const stopHit = tradeEngine.getExitReason(trade, adverse, false);
+  if (tradeEngine.isStopExit(stopHit)) {
+    return { reason: stopHit, price: trade.stopPrice };
+  }
+  return null;
+}
+
+// Final exit through the engine's close update (paper fill, legs, charges)
+function closeTrade(trade, exit, ts) {
+  return applyUpdate(trade, tradeEngine.buildCloseUpdate(trade, exit.price, exit.reason, new Date(ts)));
+}
+
+// One bar against an open trade; returns the trade once it is closed
+function stepTrade(trade, bar, isCutoffExit, ts, stops) {
+  const [, o, h, l] = bar;
+  const at = new Date(ts);
+
+  const exit = barExit(trade, bar, isCutoffExit);
+  if (exit) return closeTrade(trade, exit, ts);
+
+  // Scale-out legs crossed on the way up, nearest first
+  const favourable = trade.side === "SELL" ? l : h;
+  let partial;
+  while ((partial = tradeEngine.getPartialExit(trade, favourable))) {
+    const fill = levelFill(trade, partial.target.price, o);
+    applyUpdate(trade, tradeEngine.buildPartialExitUpdate(trade, partial, fill, at));
+  }
+
+  if (tradeEngine.getExitReason(trade, favourable, false) === "TARGET") {
+    return closeTrade(trade, { reason: "TARGET", price: trade.targetPrice }, ts);
+  }
+
+  // Stop moves only after the bar survives (never inside the same bar)
+  const next = tradeEngine.trailStop(trade, favourable, stops, at.toISOString());
+  trade.bestPrice = next.bestPrice;
+  if (next.adjustment) {
+    trade.stopPrice = next.stopPrice;
+    trade.stopMode = next.stopMode;
+    trade.stopAdjustments.push(next.adjustment);
+  }
+  return null;
+}
+
+// Paper entry as the engine makes it: simulated fill, levels off the fill,
+// scale-out targets; each open slot gets an equal share of capital
+function openTrade(signal, entryLtp, ts, params) {
+  const entryPrice = paperSim.simulateFill(entryLtp, signal.side, tradeEngine.CFG);
+  const levels = tradeEngine.buildTradeLevels(entryPrice, params.targetPct, params.stopPct, signal.side);
+  const qty = Math.max(1, Math.floor(params.capital / params.maxOpen / entryPrice));
+
+  const trade = {
+    symbol: signal.symbol,
+    side: signal.side,
+    qty,
+    openQty: qty,
+    entryPrice,
+    entryLtp,
+    ...levels,
+    initialStopPrice: levels.stopPrice,
+    stopMode: "FIXED",
+    stopAdjustments: [],
+    entryTime: new Date(ts).toISOString(),
+    signalCapturedAt: new Date(signal.capturedAt).toISOString(),
+    rsiAtEntry: signal.rsi,
+    changePctAtEntry: round2(signal.changePct),
+    tradeMode: "paper",
+    status: "OPEN",
+  };
+
+  const targets = tradeEngine.buildScaleOutTargets(entryPrice, signal.side, params.targetPct, params.scaleOut);
+  if (targets.length) trade.targets = targets;
+  return trade;
+}
+
+function simulateDay(date, day, params, startEquity) {
+  const teCfg = tradeEngine.CFG;
+  const m2Cfg = m2Service.CFG;
+
+  const scanTs = atIST(date, CFG.M1_SCAN_H, CFG.M1_SCAN_M);
+  const historyStart = atIST(date, m2Cfg.HISTORY_START_H, m2Cfg.HISTORY_START_M);
+  const entryCutoff = atIST(date, teCfg.CUT_H, teCfg.CUT_M);
+  const exitCutoff = atIST(date, teCfg.EXIT_CUT_H, teCfg.EXIT_CUT_M);
+
+  // ---- M1: snapshot at scan time ----
+  const snapshots = [];
+  for (const [symbol, row] of Object.entries(day)) {
+    const before = (row.candles || []).filter((c) => c[0] < scanTs);
+    const last = before[before.length - 1];
+    if (!last || !row.prevClose) continue;
+    snapshots.push({
+      symbol,
+      prevClose: Number(row.prevClose),
+      ltp: last[4],
+      open: before[0][1],
+      high: Math.max(...before.map((c) => c[2])),
+      low: Math.min(...before.map((c) => c[3])),
+      volume: before.reduce((s, c) => s + (Number(c[5]) || 0), 0),
+      avgVolume: row.avgVolume20 != null ? Number(row.avgVolume20) : null,
+    });
+  }
+  const movers = m1Service.pickMovers(snapshots, params.threshold, params.shorts);
+
+  // ---- Per-mover series from the M2 history window onward ----
+  const series = new Map();
+  const fullSeries = new Map(); // whole session: higher-timeframe aggregation
+  const bars = new Map(); // symbol → Map(ts → candle)
+  const timeline = new Set();
+
+  for (const m of movers) {
+    const candles = (day[m.symbol].candles || [])
+      .filter((c) => c[0] >= historyStart)
+      .sort((a, b) => a[0] - b[0]);
+    series.set(m.symbol, candles);
+    fullSeries.set(m.symbol, [...(day[m.symbol].candles || [])].sort((a, b) => a[0] - b[0]));
+    bars.set(m.symbol, new Map(candles.map((c) => [c[0], c])));
+    for (const c of candles) if (c[0] >= scanTs) timeline.add(c[0]);
+  }
+
+  const minutes = Array.from(timeline).sort((a, b) => a - b);
+  const cursor = new Map(); // symbol → index of last closed bar
+
+  const queue = [];
+  const signaled = new Set();
+  const trades = [];
+  const equityCurve = [];
+  let equity = startEquity;
+  let open = [];
+
+  const book = (closed) => {
+    trades.push(closed);
+    equity += closed.netPnlAbs;
+    equityCurve.push({ ts: closed.exitTime.toISOString(), equity: round2(equity) });
+  };
+
+  for (const ts of minutes) {
+    // ---- Exits first so a freed slot can take a signal on the same bar ----
+    open = open.filter((trade) => {
+      const bar = bars.get(trade.symbol).get(ts);
+      const closed = bar && stepTrade(trade, bar, ts >= exitCutoff, ts, params.stops);
+      if (closed) book(closed);
+      return !closed;
+    });
+
+    // ---- M2: RSI on closed bars ----
+    for (const m of movers) {
+      if (signaled.has(m.symbol)) continue;
+      const arr = series.get(m.symbol);
+      let i = cursor.has(m.symbol) ? cursor.get(m.symbol) : -1;
+      while (i + 1 < arr.length && arr[i + 1][0] <= ts) i++;
+      cursor.set(m.symbol, i);
+      if (i + 1 < CFG.MIN_CANDLES) continue;
+
+      // fixtures hold one session, so higher timeframes warm up from the open
+      const upTo = fullSeries.get(m.symbol).filter((c) => c[0] <= ts);
+      const tfValues = m2Service.computeTimeframes(arr.slice(0, i + 1), upTo, m2Service.activeTimeframes(m2Cfg));
+      const zone = m.side === "SELL"
+        ? { min: params.shortRsiMin, max: params.shortRsiMax }
+        : { min: params.rsiMin, max: params.rsiMax };
+      const { rsi, inZone } = m2Service.evaluateSignal({ side: m.side, tfValues, zone, cfg: m2Cfg });
+      if (!inZone) continue;
+
+      signaled.add(m.symbol);
+      queue.push({ symbol: m.symbol, side: m.side, rsi, capturedAt: ts, changePct: m.changePct });
+    }
+
+    // ---- Entry: oldest signals first while open slots remain ----
+    if (ts >= entryCutoff) continue;
+
+    while (queue.length && ts - queue[0].capturedAt > params.signalStaleMs) queue.shift();
+
+    while (open.length < params.maxOpen) {
+      const idx = queue.findIndex((s) => bars.get(s.symbol).has(ts));
+      if (idx === -1) break;
+
+      const signal = queue.splice(idx, 1)[0];
+      open.push(openTrade(signal, bars.get(signal.symbol).get(ts)[4], ts, params));
+    }
+  }
+
+  // ---- Session ended with positions still open → flat at last close ----
+  for (const trade of open) {
+    const arr = series.get(trade.symbol);
+    const last = arr[arr.length - 1];
+    book(closeTrade(trade, { reason: "CUTOFF", price: last[4] }, last[0]));
+  }
+
+  const pnlAbs = trades.reduce((sum, t) => sum + t.pnlAbs, 0);
+  const netPnlAbs = trades.reduce((sum, t) => sum + t.netPnlAbs, 0);
+
+  return {
+    date,
+    universe: snapshots.length,
+    movers: movers.map((m) => ({ symbol: m.symbol, side: m.side, changePct: round2(m.changePct) })),
+    signals: signaled.size,
+    trades,
+    wins: trades.filter((t) => t.netPnlAbs > 0).length,
+    losses: trades.filter((t) => t.netPnlAbs < 0).length,
+    pnlAbs: round2(pnlAbs),
+    chargesAbs: round2(pnlAbs - netPnlAbs),
+    netPnlAbs: round2(netPnlAbs),
+    equityStart: round2(startEquity),
+    equityEnd: round2(equity),
+    equityCurve,
+  };
+}
+
+function summarize(days, params) {
+  const trades = days.flatMap((d) => d.trades);
+  const curve = days.flatMap((d) => d.equityCurve);
+
+  let peak = params.capital;
+  let maxDrawdown = 0;
+  for (const p of curve) {
+    peak = Math.max(peak, p.equity);
+    maxDrawdown = Math.max(maxDrawdown, peak - p.equity);
+  }
+
+  const wins = trades.filter((t) => t.netPnlAbs > 0).length;
+  const grossPnL = trades.reduce((sum, t) => sum + t.pnlAbs, 0);
+  const netPnL = trades.reduce((sum, t) => sum + t.netPnlAbs, 0);
+
+  return {
+    days: days.length,
+    totalTrades: trades.length,
+    wins,
+    losses: trades.filter((t) => t.netPnlAbs < 0).length,
+    winRatePct: trades.length ? round2((wins / trades.length) * 100) : 0,
+    grossPnLAbs: round2(grossPnL),
+    chargesAbs: round2(grossPnL - netPnL),
+    netPnLAbs: round2(netPnL),
+    returnPct: round2((netPnL / params.capital) * 100),
+    maxDrawdownAbs: round2(maxDrawdown),
+    endingEquity: round2(params.capital + netPnL),
+  };
+}
+
+// ------------------------------- RUNNER ---------------------------------
+async function runBacktest(options = {}) {
+  const { from, to, source = "file", params: rawParams = {} } = options;
+  if (!from || !to) return { ok: false, error: "from & to required (YYYY-MM-DD)" };
+
+  const params = resolveParams(rawParams);
+  const dates = tradingDays(from, to);
+  const universe = source === "fyers" ? await m1Service.loadUniverse() : null;
+
+  const days = [];
+  let equity = params.capital;
+
+  for (const date of dates) {
+    let day;
+    if (source === "fyers") {
+      day = await loadDayFromFyers(date, universe);
+      if (options.saveFixture && Object.keys(day).length) await saveFixture(date, day);
+    } else {
+      day = await loadDayFromFile(date);
+    }
+
+    if (!day || !Object.keys(day).length) {
+      console.log(`[BT] ${date}: no candles → skipped`);
+      continue;
+    }
+
+    const result = simulateDay(date, day, params, equity);
+    equity = result.equityEnd;
+    days.push(result);
+
+    console.log(
+      `[BT] ${date}: movers ${result.movers.length}, trades ${result.trades.length}, net PnL ${result.netPnlAbs}`
+    );
+  }
+
+  const summary = summarize(days, params);
+  const equityCurve = [
+    { ts: null, equity: params.capital },
+    ...days.flatMap((d) => d.equityCurve),
+  ];
+
+  const out = { ok: true, from, to, source, params, summary, days, equityCurve };
+
+  if (options.write !== false) {
+    await fs.mkdir(CFG.OUTPUT_DIR, { recursive: true });
+    const stamp = DateTime.now().setZone(IST).toFormat("yyyyLLdd_HHmmss");
+    out.file = path.join(CFG.OUTPUT_DIR, `backtest_${from}_${to}_${stamp}.json`);
+    await fs.writeFile(out.file, JSON.stringify(out, null, 2), "utf8");
+  }
+
+  return out;
+}
+
+// --------------------------------- CLI ----------------------------------
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i];
+    if (!key.startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      args[key.slice(2)] = true;
+    } else {
+      args[key.slice(2)] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const params = {};
+  if (args.threshold) params.threshold = args.threshold;
+  if (args["rsi-min"]) params.rsiMin = args["rsi-min"];
+  if (args["rsi-max"]) params.rsiMax = args["rsi-max"];
+  if (args["short-rsi-min"]) params.shortRsiMin = args["short-rsi-min"];
+  if (args["short-rsi-max"]) params.shortRsiMax = args["short-rsi-max"];
+  if (args.shorts !== undefined) params.shorts = String(args.shorts);
+  if (args.target) params.targetPct = args.target;
+  if (args.stop) params.stopPct = args.stop;
+  if (args.capital) params.capital = args.capital;
+  if (args.breakeven) params.breakevenTriggerPct = args.breakeven;
+  if (args["trail-trigger"]) params.trailTriggerPct = args["trail-trigger"];
+  if (args["trail-distance"]) params.trailDistancePct = args["trail-distance"];
+  if (args["max-open"]) params.maxOpen = args["max-open"];
+  if (args["scale-out"]) {
+    params.scaleOut = String(args["scale-out"]).split(",").map((leg) => {
+      const [targetPct, qtyPct] = leg.split(":").map(Number);
+      return { targetPct, qtyPct };
+    });
+  }
+
+  runBacktest({
+    from: args.from,
+    to: args.to || args.from,
+    source: args.source || "file",
+    saveFixture: !!args["save-fixture"],
+    params,
+  })
+    .then((res) => {
+      if (!res.ok) {
+        console.error("[BT]", res.error);
+        process.exit(1);
+      }
+      console.log("[BT] Summary:", res.summary);
+      console.log("[BT] Result written to", res.file);
+      process.exit(0);
+    })
+    .catch((err) => {
+      console.error("[BT] Fatal:", err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  runBacktest,
+  simulateDay,
+  tradingDays,
+};
@@ -0,0 +1,145 @@
+// services/brokers/angel.adapter.js
+"use strict";
+
+// Angel SmartAPI behind the common broker interface (ROBO bracket orders)
+
+const angelTrade = require("../angel.trade.service");
+const { resolveToken } = require("../instruments.service");
+
+const PENDING = ["open", "trigger pending", "open pending", "validation pending", "modify pending", "put order req received"];
+
+function toStatus(raw) {
+  const s = String(raw || "").toLowerCase();
+  if (s === "complete") return "FILLED";
+  if (s === "rejected") return "REJECTED";
+  if (s === "cancelled") return "CANCELLED";
+  if (PENDING.includes(s)) return "PENDING";
+  return "UNKNOWN";
+}
+
+const num = (v) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : null);
+
+function legKind(order) {
+  const type = String(order.ordertype || "").toUpperCase();
+  if (type.startsWith("STOPLOSS")) return "STOPLOSS";
+  if (type === "LIMIT") return "TARGET";
+  return "EXIT";
+}
+
+// Weighted average fill per order id from the trade book
+function buildFillMap(trades = []) {
+  const acc = new Map();
+  for (const t of trades) {
+    const id = String(t.orderid || "");
+    const px = num(t.fillprice);
+    const qty = num(t.fillsize) || 0;
+    if (!id || !px) continue;
+    const cur = acc.get(id) || { value: 0, qty: 0 };
+    cur.value += px * (qty || 1);
+    cur.qty += qty || 1;
+    acc.set(id, cur);
+  }
+  const out = new Map();
+  for (const [id, { value, qty }] of acc) out.set(id, Number((value / qty).toFixed(2)));
+  return out;
+}
+
+async function getFunds(userId) {
+  return angelTrade.getFunds(userId);
+}
+
+async function placeBracketOrder({ userId, symbol, qty, side, targetDiff, stopDiff, trailing }) {
+  const symboltoken = await resolveToken(symbol);
+  if (!symboltoken) return { ok: false, error: "symboltoken missing" };
+
+  return angelTrade.placeMarketOrder({
+    userId,
+    symbol,
+    symboltoken,
+    qty,
+    side,
+    bracket: { squareoff: targetDiff, stoploss: stopDiff, trailingStopLoss: trailing },
+  });
+}
+
+async function cancelOrder({ userId, orderId }) {
+  return angelTrade.cancelOrder({ userId, orderid: orderId });
+}
+
+async function getPositions(userId) {
+  const res = await angelTrade.getPositions(userId);
+  if (!res.ok) return res;
+  return {
+    ok: true,
+    positions: res.positions.map((p) => {
+      const net = Number(p.netqty || 0);
+      return {
+        symbol: p.tradingsymbol,
+        qty: Math.abs(net),
+        side: net < 0 ? "SELL" : "BUY",
+        avgPrice: Number(p.netprice || p.avgnetprice || 0),
+        ltp: Number(p.ltp || 0),
+        pnl: Number(p.pnl || 0),
+      };
+    }),
+  };
+}
+
+async function getOrderStatus({ userId, orderId }) {
+  const book = await angelTrade.getOrderBook(userId);
+  if (!book.ok) return { ok: false, error: book.error };
+
+  const order = book.orders.find((o) => String(o.orderid) === String(orderId));
+  if (!order) return { ok: true, status: "UNKNOWN" };
+  return {
+    ok: true,
+    status: toStatus(order.status || order.orderstatus),
+    avgPrice: Number(order.averageprice) > 0 ? Number(order.averageprice) : null,
+    filledQty: Number(order.filledshares || 0),
+    message: order.text || "",
+  };
+}
+
+// Order book with trade-book fills; ROBO legs carry parentorderid
+async function getOrderBook(userId) {
+  const [book, tradeBook] = await Promise.all([
+    angelTrade.getOrderBook(userId),
+    angelTrade.getTradeBook(userId),
+  ]);
+  if (!book.ok) return { ok: false, error: book.error || "order book unavailable" };
+
+  const fills = buildFillMap(tradeBook.trades);
+  return {
+    ok: true,
+    orders: book.orders.map((o) => ({
+      orderId: String(o.orderid),
+      parentId: o.parentorderid ? String(o.parentorderid) : null,
+      status: toStatus(o.status || o.orderstatus),
+      kind: legKind(o),
+      avgPrice: fills.get(String(o.orderid)) || num(o.averageprice),
+      qty: Number(o.filledshares || o.quantity || 0),
+      time: o.updatetime || null,
+      message: o.text || "",
+    })),
+  };
+}
+
+async function squareOff({ userId, orderId, symbol, qty, side }) {
+  const symboltoken = await resolveToken(symbol);
+  if (!symboltoken) return { ok: false, error: "symboltoken missing" };
+  const res = await angelTrade.squareOffPosition({ userId, brokerOrderId: orderId, symbol, symboltoken, qty, side });
+  if (res.alreadyExited) res.exitReason = legKind(res);
+  return res;
+}
+
+module.exports = {
+  name: "ANGEL",
+  tag: "ANGEL_ONE",
+  getFunds,
+  placeBracketOrder,
+  cancelOrder,
+  getPositions,
+  getOrderStatus,
+  getOrderBook,
+  squareOff,
+};
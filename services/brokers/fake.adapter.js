@@ -0,0 +1,142 @@
+// services/brokers/fake.adapter.js
+"use strict";
+
+/*
+  In-memory broker for dry runs and test harnesses (BROKER_ADAPTER=FAKE).
+  Market orders fill instantly at entryPrice; nothing leaves the process.
+  Knobs: setFunds(userId, amount), failNext(message), reset().
+*/
+
+let seq = 0;
+let nextError = null;
+const orders = new Map();
+const funds = new Map();
+
+const DEFAULT_FUNDS = Number(process.env.FAKE_BROKER_FUNDS || 100000);
+
+function positionsOf(userId) {
+  const book = new Map();
+  for (const o of orders.values()) {
+    if (String(o.userId) !== String(userId) || o.status !== "FILLED") continue;
+    const signed = (o.side === "SELL" ? -1 : 1) * o.qty;
+    const cur = book.get(o.symbol) || { qty: 0, value: 0 };
+    cur.qty += signed;
+    cur.value += signed * o.avgPrice;
+    book.set(o.symbol, cur);
+  }
+  return [...book.entries()]
+    .filter(([, p]) => p.qty !== 0)
+    .map(([symbol, p]) => ({
+      symbol,
+      qty: Math.abs(p.qty),
+      side: p.qty < 0 ? "SELL" : "BUY",
+      avgPrice: Number((p.value / p.qty).toFixed(2)),
+      ltp: null,
+      pnl: null,
+    }));
+}
+
+function record(order) {
+  const orderId = `FAKE-${++seq}`;
+  orders.set(orderId, { orderId, time: new Date(), ...order });
+  return orderId;
+}
+
+async function getFunds(userId) {
+  return { ok: true, availableMargin: funds.has(String(userId)) ? funds.get(String(userId)) : DEFAULT_FUNDS };
+}
+
+async function placeBracketOrder({ userId, symbol, qty, side, entryPrice, targetDiff, stopDiff }) {
+  if (nextError) {
+    const error = nextError;
+    nextError = null;
+    return { ok: false, error };
+  }
+  if (!(Number(targetDiff) > 0 && Number(stopDiff) > 0)) {
+    return { ok: false, error: "Bracket order required (squareoff/stoploss missing)" };
+  }
+  const orderId = record({
+    userId,
+    symbol,
+    qty: Number(qty) || 1,
+    side,
+    avgPrice: Number(entryPrice) || 0,
+    status: "FILLED",
+    targetDiff: Number(targetDiff),
+    stopDiff: Number(stopDiff),
+  });
+  return { ok: true, orderId };
+}
+
+async function cancelOrder({ orderId }) {
+  const order = orders.get(String(orderId));
+  if (!order) return { ok: false, error: "order not found" };
+  if (order.status !== "PENDING") return { ok: false, error: `order ${order.status.toLowerCase()}` };
+  order.status = "CANCELLED";
+  return { ok: true };
+}
+
+async function getPositions(userId) {
+  return { ok: true, positions: positionsOf(userId) };
+}
+
+async function getOrderStatus({ orderId }) {
+  const order = orders.get(String(orderId));
+  if (!order) return { ok: true, status: "UNKNOWN" };
+  return { ok: true, status: order.status, avgPrice: order.avgPrice, filledQty: order.qty, message: "" };
+}
+
+async function getOrderBook(userId) {
+  const book = [...orders.values()]
+    .filter((o) => String(o.userId) === String(userId))
+    .map((o) => ({
+      orderId: o.orderId,
+      parentId: o.parentId || null,
+      status: o.status,
+      kind: "EXIT",
+      avgPrice: o.avgPrice,
+      qty: o.qty,
+      time: o.time.toISOString(),
+      message: "",
+    }));
+  return { ok: true, orders: book };
+}
+
+async function squareOff({ userId, orderId, symbol, qty, side, ltp }) {
+  const avgPrice = Number(ltp) > 0 ? Number(ltp) : null;
+  const exitId = record({
+    userId,
+    symbol,
+    qty: Number(qty) || 1,
+    side: side === "SELL" ? "BUY" : "SELL",
+    avgPrice,
+    status: "FILLED",
+    parentId: orderId,
+  });
+  return { ok: true, orderId: exitId, avgPrice };
+}
+
+module.exports = {
+  name: "FAKE",
+  tag: "FAKE",
+  getFunds,
+  placeBracketOrder,
+  cancelOrder,
+  getPositions,
+  getOrderStatus,
+  getOrderBook,
+  squareOff,
+
+  // harness helpers
+  orders,
+  setFunds: (userId, amount) => funds.set(String(userId), Number(amount)),
+  failNext: (message = "fake broker rejection") => {
+    nextError = message;
+  },
+  reset: () => {
+    orders.clear();
+    funds.clear();
+    nextError = null;
+    seq = 0;
+  },
+};
@@ -0,0 +1,182 @@
+// services/brokers/fyers.adapter.js
+"use strict";
+
+/*
+  Fyers order placement behind the common broker interface.
+  Uses the user's own app id (creds.apiKey) + access token; the app-level
+  token in fyersAuth.js stays reserved for market data.
+  Bracket = productType "BO" with absolute stopLoss / takeProfit distances.
+*/
+
+const { fyersModel } = require("fyers-api-v3");
+const User = require("../../models/User");
+const { toFyersSymbol } = require("../fyersSdk");
+
+// Fyers order status codes
+const STATUS = { 1: "CANCELLED", 2: "FILLED", 4: "PENDING", 5: "REJECTED", 6: "PENDING", 7: "CANCELLED" };
+
+async function buildUserClient(userId) {
+  const user = await User.findById(userId).select("broker");
+  const creds = user?.broker?.creds || {};
+  if (!creds.apiKey || !creds.accessToken) throw new Error("Fyers credentials missing");
+
+  const client = new fyersModel();
+  client.setAppId(creds.apiKey);
+  client.setAccessToken(creds.accessToken);
+  return client;
+}
+
+function errorOf(err, fallback) {
+  return err?.message || err?.error?.message || fallback;
+}
+
+function ensureOk(resp, fallback) {
+  if (!resp || resp.s !== "ok") throw new Error(resp?.message || fallback);
+  return resp;
+}
+
+async function getFunds(userId) {
+  try {
+    const client = await buildUserClient(userId);
+    const resp = ensureOk(await client.get_funds(), "funds unavailable");
+    const row = (resp.fund_limit || []).find((f) => /available balance/i.test(f.title || ""));
+    return { ok: true, availableMargin: Number(row?.equityAmount || 0) };
+  } catch (err) {
+    const message = errorOf(err, "Fyers funds unavailable");
+    console.error("[fyers.adapter] getFunds error", message);
+    return { ok: false, availableMargin: 0, error: message };
+  }
+}
+
+async function placeBracketOrder({ userId, symbol, qty, side, targetDiff, stopDiff, trailing }) {
+  try {
+    const client = await buildUserClient(userId);
+    const body = {
+      symbol: toFyersSymbol(symbol),
+      qty: Number(qty) || 1,
+      type: 2, // market
+      side: side === "SELL" ? -1 : 1,
+      productType: "BO",
+      limitPrice: 0,
+      stopPrice: 0,
+      validity: "DAY",
+      disclosedQty: 0,
+      offlineOrder: false,
+      stopLoss: Number(stopDiff),
+      takeProfit: Number(targetDiff),
+    };
+    if (Number(trailing) > 0) body.trailingStopLoss = Number(trailing);
+
+    const resp = ensureOk(await client.place_order(body), "Fyers order placement failed");
+    console.info("[fyers.adapter] placeOrder success", { symbol, qty: body.qty, orderId: resp.id });
+    return { ok: true, orderId: resp.id, raw: resp };
+  } catch (err) {
+    const message = errorOf(err, "Fyers order placement failed");
+    console.warn("[fyers.adapter] placeOrder failed", { symbol, qty, side, error: message });
+    return { ok: false, error: message };
+  }
+}
+
+async function cancelOrder({ userId, orderId }) {
+  try {
+    const client = await buildUserClient(userId);
+    ensureOk(await client.cancel_order({ id: orderId }), "cancel rejected");
+    return { ok: true };
+  } catch (err) {
+    const message = errorOf(err, "cancel failed");
+    console.error("[fyers.adapter] cancelOrder error", { orderId, error: message });
+    return { ok: false, error: message };
+  }
+}
+
+async function getPositions(userId) {
+  try {
+    const client = await buildUserClient(userId);
+    const resp = ensureOk(await client.get_positions(), "positions unavailable");
+    return {
+      ok: true,
+      positions: (resp.netPositions || []).map((p) => ({
+        symbol: p.symbol,
+        qty: Math.abs(Number(p.netQty || 0)),
+        side: Number(p.netQty || 0) < 0 ? "SELL" : "BUY",
+        avgPrice: Number(p.netAvg || 0),
+        ltp: Number(p.ltp || 0),
+        pnl: Number(p.pl || 0),
+      })),
+    };
+  } catch (err) {
+    console.error("[fyers.adapter] getPositions error", errorOf(err));
+    return { ok: false, positions: [], error: errorOf(err) };
+  }
+}
+
+async function getOrderStatus({ userId, orderId }) {
+  try {
+    const client = await buildUserClient(userId);
+    const resp = ensureOk(await client.get_filtered_orders({ order_id: orderId }), "order book unavailable");
+    const order = (resp.orderBook || [])[0];
+    if (!order) return { ok: true, status: "UNKNOWN" };
+    return {
+      ok: true,
+      status: STATUS[order.status] || "UNKNOWN",
+      avgPrice: Number(order.tradedPrice) > 0 ? Number(order.tradedPrice) : null,
+      filledQty: Number(order.filledQty || 0),
+      message: order.message || "",
+    };
+  } catch (err) {
+    return { ok: false, error: errorOf(err) };
+  }
+}
+
+// Order book; BO stop / target legs carry parentId. Fyers order types:
+// 1 limit, 2 market, 3 SL-M, 4 SL-L
+async function getOrderBook(userId) {
+  try {
+    const client = await buildUserClient(userId);
+    const resp = ensureOk(await client.get_orders(), "order book unavailable");
+    return {
+      ok: true,
+      orders: (resp.orderBook || []).map((o) => ({
+        orderId: String(o.id),
+        parentId: o.parentId ? String(o.parentId) : null,
+        status: STATUS[o.status] || "UNKNOWN",
+        kind: o.type === 3 || o.type === 4 ? "STOPLOSS" : o.type === 1 ? "TARGET" : "EXIT",
+        avgPrice: Number(o.tradedPrice) > 0 ? Number(o.tradedPrice) : null,
+        qty: Number(o.filledQty || o.qty || 0),
+        time: o.orderDateTime || null,
+        message: o.message || "",
+      })),
+    };
+  } catch (err) {
+    console.error("[fyers.adapter] getOrderBook error", errorOf(err));
+    return { ok: false, orders: [], error: errorOf(err) };
+  }
+}
+
+// Fyers exits a BO position (and its legs) by position id "<symbol>-BO"
+async function squareOff({ userId, symbol }) {
+  try {
+    const client = await buildUserClient(userId);
+    const resp = ensureOk(
+      await client.exit_position({ id: `${toFyersSymbol(symbol)}-BO` }),
+      "exit rejected"
+    );
+    return { ok: true, orderId: resp.id || null, avgPrice: null };
+  } catch (err) {
+    const message = errorOf(err, "Fyers square-off failed");
+    console.error("[fyers.adapter] squareOff error", { symbol, error: message });
+    return { ok: false, error: message };
+  }
+}
+
+module.exports = {
+  name: "FYERS",
+  tag: "FYERS",
+  getFunds,
+  placeBracketOrder,
+  cancelOrder,
+  getPositions,
+  getOrderStatus,
+  getOrderBook,
+  squareOff,
+};
@@ -0,0 +1,77 @@
+// services/brokers/index.js
+"use strict";
+
+/*
+  Broker adapter registry. Every adapter exposes the same surface:
+
+    name                                   "ANGEL" | "FYERS" | "FAKE"
+    tag                                    value stored in PaperTrade.broker
+    getFunds(userId)                       → { ok, availableMargin }
+    placeBracketOrder({ userId, symbol, qty, side, entryPrice, targetDiff, stopDiff, trailing })
+                                           → { ok, orderId, error }
+    cancelOrder({ userId, orderId })       → { ok, error }
+    getPositions(userId)                   → { ok, positions: [{ symbol, qty, side, avgPrice, ltp, pnl }] }
+    getOrderStatus({ userId, orderId })    → { ok, status, avgPrice, filledQty, message }
+    squareOff({ userId, orderId, symbol, qty, side, ltp })
+                                           → { ok, orderId, avgPrice, error,
+                                               cancelledEntry, alreadyExited, exitReason }
+                                             cancelledEntry: the entry never filled and was
+                                             cancelled; alreadyExited: a bracket leg filled
+                                             first (exitReason TARGET | STOPLOSS, avgPrice its fill)
+    getOrderBook(userId)  (optional)       → { ok, orders: [{ orderId, parentId, status, kind,
+                                               avgPrice, qty, time, message }] }
+                                             kind: TARGET | STOPLOSS | EXIT (bracket legs);
+                                             read by services/reconcile.service.js
+
+  status is one of PENDING | FILLED | REJECTED | CANCELLED | UNKNOWN.
+  The adapter is picked from user.broker.brokerName; BROKER_ADAPTER=FAKE
+  routes every user through the in-memory adapter (dry runs / tests).
+*/
+
+const angel = require("./angel.adapter");
+const fyers = require("./fyers.adapter");
+const fake = require("./fake.adapter");
+
+const adapters = {
+  ANGEL: angel,
+  FYERS: fyers,
+  FAKE: fake,
+};
+
+function brokerNameOf(user) {
+  const forced = String(process.env.BROKER_ADAPTER || "").toUpperCase();
+  if (forced) return forced;
+  return String(user?.broker?.brokerName || "").toUpperCase();
+}
+
+// Adapter for a user (or a broker name); null when the broker cannot execute orders
+function getBrokerAdapter(userOrName) {
+  const name =
+    typeof userOrName === "string" ? userOrName.toUpperCase() : brokerNameOf(userOrName);
+  return adapters[name] || null;
+}
+
+// Adapter that placed a stored trade (PaperTrade.broker tag)
+function getAdapterForTrade(trade) {
+  if (process.env.BROKER_ADAPTER) return getBrokerAdapter(process.env.BROKER_ADAPTER);
+  return Object.values(adapters).find((a) => a.tag === trade?.broker) || null;
+}
+
+function hasOrderAdapter(brokerName) {
+  return !!adapters[String(brokerName || "").toUpperCase()];
+}
+
+// Swap an adapter in (e.g. a stub in a test harness); returns the previous one
+function registerAdapter(name, adapter) {
+  const key = String(name).toUpperCase();
+  const prev = adapters[key] || null;
+  adapters[key] = adapter;
+  return prev;
+}
+
+module.exports = {
+  getBrokerAdapter,
+  getAdapterForTrade,
+  hasOrderAdapter,
+  registerAdapter,
+};
@@ -0,0 +1,131 @@
+// services/candle.service.js
+"use strict";
+
+/**
+ * Candle store
+ * ------------
+ * ✓ Buffered writes of finalized 1m bars into the Candle time-series collection
+ * ✓ Per-symbol high-water mark → a bar is written once per process
+ * ✓ Reads de-duplicated by ts (last write wins) and aggregated to 3m/5m/15m
+ */
+
+const Candle = require("../models/Candle");
+const { TF_MINUTES, bucket, aggregateCandles } = require("../utils/candles");
+
+const CFG = {
+  FLUSH_MS: 5000,
+  FLUSH_BATCH: 500,
+  MAX_BUFFER: 20000,     // drop oldest beyond this while the DB is unreachable
+  MAX_QUERY_BARS: 20000,
+};
+
+let buffer = [];
+let flushTimer = null;
+let flushing = null;
+const lastWritten = new Map(); // symbol → ts of the newest bar queued or known stored
+
+// -------------------------------- WRITE --------------------------------
+function scheduleFlush() {
+  if (flushTimer) return;
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flush().catch((e) => console.warn("[Candle] flush error:", e.message));
+  }, CFG.FLUSH_MS);
+  flushTimer.unref?.();
+}
+
+/**
+ * Queue finalized 1m bars ([ts,o,h,l,c,v]) for `symbol`.
+ * Bars at or before the symbol's high-water mark are skipped.
+ */
+function recordBars(symbol, candles = [], source = "tick") {
+  let mark = lastWritten.get(symbol) ?? 0;
+  for (const c of candles) {
+    if (!c || !(c[0] > mark) || !Number.isFinite(c[4])) continue;
+    buffer.push({
+      ts: new Date(c[0]),
+      meta: { symbol, tf: "1m" },
+      o: c[1],
+      h: c[2],
+      l: c[3],
+      c: c[4],
+      v: c[5] || 0,
+      source,
+    });
+    mark = c[0];
+  }
+  lastWritten.set(symbol, mark);
+
+  if (buffer.length > CFG.MAX_BUFFER) buffer.splice(0, buffer.length - CFG.MAX_BUFFER);
+  if (buffer.length >= CFG.FLUSH_BATCH) {
+    flush().catch((e) => console.warn("[Candle] flush error:", e.message));
+  } else if (buffer.length) {
+    scheduleFlush();
+  }
+}
+
+const recordBar = (symbol, candle, source = "tick") => recordBars(symbol, [candle], source);
+
+// Bars already in the DB up to `ts` (e.g. after recovery) are not re-written
+function markStored(symbol, ts) {
+  if (ts > (lastWritten.get(symbol) ?? 0)) lastWritten.set(symbol, ts);
+}
+
+async function flush() {
+  if (flushing) return flushing;
+  if (!buffer.length) return 0;
+
+  const batch = buffer;
+  buffer = [];
+  flushing = Candle.insertMany(batch, { ordered: false, lean: true })
+    .then(() => batch.length)
+    .catch((err) => {
+      // keep the batch for the next attempt (bounded by MAX_BUFFER)
+      buffer = batch.concat(buffer).slice(-CFG.MAX_BUFFER);
+      console.warn(`[Candle] insert failed (${batch.length} queued):`, err.message);
+      return 0;
+    })
+    .finally(() => {
+      flushing = null;
+      if (buffer.length) scheduleFlush();
+    });
+  return flushing;
+}
+
+// -------------------------------- READ ---------------------------------
+/**
+ * Stored candles for one symbol, oldest first; the newest `limit` when the
+ * range holds more. tf: 1m | 3m | 5m | 15m (aggregated from the 1m bars)
+ */
+async function getCandles(symbol, { tf = "1m", from, to, limit = CFG.MAX_QUERY_BARS } = {}) {
+  const minutes = TF_MINUTES[tf];
+  if (!minutes) throw new Error(`Unsupported timeframe: ${tf}`);
+
+  const ts = {};
+  if (from != null) ts.$gte = new Date(bucket(Number(from), minutes));
+  if (to != null) ts.$lte = new Date(Number(to));
+
+  const rows = await Candle.find({
+    "meta.symbol": symbol,
+    "meta.tf": "1m",
+    ...(Object.keys(ts).length ? { ts } : {}),
+  })
+    .sort({ ts: -1 })
+    .limit(Math.min((limit + 1) * minutes, CFG.MAX_QUERY_BARS)) // +1 bucket: the oldest may be cut
+    .lean();
+
+  const byTs = new Map();
+  for (const r of rows.reverse()) byTs.set(r.ts.getTime(), [r.ts.getTime(), r.o, r.h, r.l, r.c, r.v || 0]);
+  const bars = [...byTs.values()].sort((a, b) => a[0] - b[0]);
+
+  return aggregateCandles(bars, minutes).slice(-limit);
+}
+
+module.exports = {
+  CFG,
+  recordBar,
+  recordBars,
+  markStored,
+  flush,
+  getCandles,
+};
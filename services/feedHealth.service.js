@@ -0,0 +1,210 @@
+// services/feedHealth.service.js
+"use strict";
+
+/**
+ * Market-data health
+ * ------------------
+ * ✓ Per-symbol last tick age (receipt time, so replays read as fresh)
+ * ✓ Feed-wide tick / batch rate over a sliding window
+ * ✓ Connect / disconnect / reconnect counts from marketSocket events
+ * ✓ healthy = connected (or replaying) and not silent during market hours
+ *
+ * The trade engine treats ticks older than STALE_TICK_MS as missing and
+ * holds new entries while the feed is unhealthy (ENTRY_GUARD).
+ */
+
+const { DateTime } = require("luxon");
+const { IST } = require("../utils/time");
+const marketSocket = require("./marketSocket.service");
+
+const CFG = {
+  STALE_TICK_MS: Number(process.env.TICK_STALE_MS) || 60000,  // per-symbol LTP age
+  SILENT_FEED_MS: Number(process.env.FEED_SILENT_MS) || 20000, // no ticks at all
+  RATE_WINDOW_MS: 60000,
+  CHECK_MS: 5000,
+  ENTRY_GUARD: process.env.FEED_ENTRY_GUARD !== "false",
+  MARKET_OPEN_MIN: 9 * 60 + 15,
+  MARKET_CLOSE_MIN: 15 * 60 + 30,
+};
+
+let handlers = null;
+let checkTimer = null;
+let lastHealthy = null;
+let buckets = []; // [{ at, ticks, batches }] one entry per second
+let stats = null;
+
+const freshStats = () => ({
+  since: new Date(),
+  connects: 0,
+  reconnects: 0,
+  disconnects: 0,
+  lastConnectAt: null,
+  lastDisconnectAt: null,
+  lastDisconnect: null,
+  disconnectedSince: null,
+  lastTickAt: null,
+  ticks: 0,
+  batches: 0,
+});
+
+function isMarketHours(ms = Date.now()) {
+  const n = DateTime.fromMillis(ms, { zone: IST });
+  if (n.weekday > 5) return false;
+  const m = n.hour * 60 + n.minute;
+  return m >= CFG.MARKET_OPEN_MIN && m <= CFG.MARKET_CLOSE_MIN;
+}
+
+// ------------------------------ EVENTS ------------------------------
+function onBatch(batch) {
+  const now = Date.now();
+  const sec = Math.floor(now / 1000) * 1000;
+  const last = buckets[buckets.length - 1];
+  if (last && last.at === sec) {
+    last.ticks += batch.length;
+    last.batches++;
+  } else {
+    buckets.push({ at: sec, ticks: batch.length, batches: 1 });
+  }
+  stats.lastTickAt = now;
+  stats.ticks += batch.length;
+  stats.batches++;
+}
+
+function onConnect() {
+  if (stats.connects++ > 0) stats.reconnects++;
+  stats.lastConnectAt = new Date();
+  stats.disconnectedSince = null;
+}
+
+function onDisconnect(info) {
+  stats.disconnects++;
+  stats.lastDisconnectAt = new Date();
+  stats.lastDisconnect = info || null;
+  if (!stats.disconnectedSince) stats.disconnectedSince = stats.lastDisconnectAt;
+  console.warn("[FeedHealth] market feed disconnected", info ? JSON.stringify(info) : "");
+}
+
+// ------------------------------ HEALTH ------------------------------
+function rate(now = Date.now()) {
+  buckets = buckets.filter((b) => now - b.at < CFG.RATE_WINDOW_MS);
+  const ticks = buckets.reduce((a, b) => a + b.ticks, 0);
+  const batches = buckets.reduce((a, b) => a + b.batches, 0);
+  const perMin = 60000 / CFG.RATE_WINDOW_MS;
+  return { ticksPerMin: Math.round(ticks * perMin), batchesPerMin: Math.round(batches * perMin) };
+}
+
+// Age of the last tick received for `symbol` (null when none)
+function tickAge(symbol, now = Date.now()) {
+  const tick = marketSocket.getLastTick(symbol);
+  return tick?.receivedAt ? now - tick.receivedAt : null;
+}
+
+function isStale(symbol, now = Date.now()) {
+  const age = tickAge(symbol, now);
+  return age === null || age > CFG.STALE_TICK_MS;
+}
+
+// { healthy, reasons } — feed-level verdict used by the entry guard
+function evaluate(now = Date.now()) {
+  if (marketSocket.replaying) return { healthy: true, reasons: [] };
+
+  const reasons = [];
+  if (!marketSocket.isConnected) {
+    const since = stats?.disconnectedSince;
+    reasons.push(since ? `feed disconnected for ${Math.round((now - since) / 1000)}s` : "feed not connected");
+  }
+
+  const subscribed = marketSocket.getSubscribedSymbols().length;
+  if (subscribed && isMarketHours(now)) {
+    const silentFor = now - (stats?.lastTickAt ?? stats?.since?.getTime() ?? now);
+    if (silentFor > CFG.SILENT_FEED_MS) {
+      reasons.push(`no ticks for ${Math.round(silentFor / 1000)}s (${subscribed} symbols subscribed)`);
+    }
+  }
+
+  return { healthy: reasons.length === 0, reasons };
+}
+
+// Reason new entries must wait, or null (always null when not monitoring)
+function entryBlockReason() {
+  if (!CFG.ENTRY_GUARD || !handlers) return null;
+  const { healthy, reasons } = evaluate();
+  return healthy ? null : reasons.join("; ");
+}
+
+function getHealth() {
+  const now = Date.now();
+  const symbols = marketSocket
+    .getSubscribedSymbols()
+    .map((symbol) => {
+      const tick = marketSocket.getLastTick(symbol);
+      const ageMs = tickAge(symbol, now);
+      return {
+        symbol,
+        ltp: tick?.ltp ?? null,
+        ageMs,
+        stale: ageMs === null || ageMs > CFG.STALE_TICK_MS,
+      };
+    })
+    .sort((a, b) => (b.ageMs ?? Infinity) - (a.ageMs ?? Infinity));
+
+  return {
+    monitoring: !!handlers,
+    ...evaluate(now),
+    marketHours: isMarketHours(now),
+    thresholds: { staleTickMs: CFG.STALE_TICK_MS, silentFeedMs: CFG.SILENT_FEED_MS },
+    feed: marketSocket.getFeedStatus(),
+    rate: rate(now),
+    ...(stats || {}),
+    lastTickAgeMs: stats?.lastTickAt ? now - stats.lastTickAt : null,
+    staleCount: symbols.filter((s) => s.stale).length,
+    symbols,
+  };
+}
+
+// ------------------------------ MONITOR ------------------------------
+function check() {
+  const { healthy, reasons } = evaluate();
+  if (healthy !== lastHealthy) {
+    if (healthy) console.log("[FeedHealth] market feed healthy");
+    else console.warn("[FeedHealth] market feed unhealthy:", reasons.join("; "));
+    lastHealthy = healthy;
+  }
+}
+
+function startMonitor() {
+  if (handlers) return { ok: true, monitoring: true };
+
+  stats = freshStats();
+  if (!marketSocket.isConnected) stats.disconnectedSince = stats.since;
+  buckets = [];
+  lastHealthy = null;
+
+  handlers = { batch: onBatch, connect: onConnect, disconnect: onDisconnect };
+  for (const [event, fn] of Object.entries(handlers)) marketSocket.on(event, fn);
+
+  checkTimer = setInterval(check, CFG.CHECK_MS);
+  checkTimer.unref?.();
+
+  console.log("[FeedHealth] monitor started");
+  return { ok: true, monitoring: true };
+}
+
+function stopMonitor() {
+  if (!handlers) return { ok: true, monitoring: false };
+  for (const [event, fn] of Object.entries(handlers)) marketSocket.off(event, fn);
+  handlers = null;
+  clearInterval(checkTimer);
+  checkTimer = null;
+  return { ok: true, monitoring: false };
+}
+
+module.exports = {
+  CFG,
+  isStale,
+  tickAge,
+  entryBlockReason,
+  getHealth,
+  startMonitor,
+  stopMonitor,
+};
@@ -174,7 +174,7 @@ function startAutoRefreshDaemon() {
     } catch (err) {
       console.error("[fyersAuth] Auto-refresh error:", err.message);
     }
-  }, 60 * 1000); // CHECK EVERY 1 MINUTE
+  }, 60 * 1000).unref(); // CHECK EVERY 1 MINUTE; never the only thing keeping a process alive
 }
 
 // Start daemon immediately
@@ -1,26 +1,43 @@
 // services/m1.service.js – PRODUCTION GRADE M1 ENGINE (FIXED)
 "use strict";
 
-const fs = require("fs").promises;
-const path = require("path");
 const { DateTime } = require("luxon");
 const mongoose = require("mongoose");
 const fy = require("./fyersSdk");
 const LiveQuote = require("../models/LiveQuote");
 const M1Mover = require("../models/M1Mover");
+const VolumeStat = require("../models/VolumeStat");
+const universeService = require("./universe.service");
 
 // ---------------- CONFIG ----------------
 const CONFIG = Object.freeze({
   QUOTE_BATCH_SIZE: 40,
   QUOTE_BATCH_DELAY_MS: 700,
   ALERT_THRESHOLD_PCT: 5,
+  ENABLE_SHORTS: true,
   UNIVERSE_CACHE_MS: 5 * 60 * 1000,
+  VOLUME_AVG_DAYS: 20,
+  VOLUME_HISTORY_DELAY_MS: 120,
+  // ranking: score = change·|chg%| + relVolume·RVOL + gap·(gap% in the move's
+  // direction) − fromExtreme·(% away from day high for BUY / day low for SELL).
+  // Defaults rank by % change alone; MAX_MOVERS (per scan) 0 keeps every mover.
+  SCORE_WEIGHTS: Object.freeze({ change: 1, relVolume: 0, gap: 0, fromExtreme: 0 }),
+  MIN_REL_VOLUME: 0,
+  MAX_MOVERS: 0,
 });
 
 // ---------------- INTERNAL GLOBALS ----------------
-let universeCache = null;
+let universeCache = null;       // { name, symbols, filters }
 let universeCacheTS = 0;
+let universeName = universeService.DEFAULT_NAME; // overridden by active StrategyConfig
 let m1Running = false; // HARD LOCK
+let moverThreshold = CONFIG.ALERT_THRESHOLD_PCT; // overridden by active StrategyConfig
+let shortsEnabled = CONFIG.ENABLE_SHORTS;
+let ranking = {
+  weights: { ...CONFIG.SCORE_WEIGHTS },
+  minRelVolume: CONFIG.MIN_REL_VOLUME,
+  maxMovers: CONFIG.MAX_MOVERS,
+};
 
 // ---------------- UTILS ----------------
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
@@ -36,28 +53,48 @@ function pctChange(prev, ltp) {
   return ((ltp - prev) / prev) * 100;
 }
 
+const round2 = (v) => (v == null ? null : Number(v.toFixed(2)));
+
 // ---------------- Load Universe (cached 5 mins) ----------------
-async function loadUniverse() {
+// Active Universe (m1.UNIVERSE) after exclusion lists; filters ride along
+async function loadActiveUniverse() {
   const now = Date.now();
-  if (universeCache && now - universeCacheTS < CONFIG.UNIVERSE_CACHE_MS)
+  if (
+    universeCache &&
+    universeCache.name === universeName &&
+    now - universeCacheTS < CONFIG.UNIVERSE_CACHE_MS
+  )
     return universeCache;
 
   try {
-    const filePath = path.join(__dirname, "../nse_universe.json");
-    const raw = await fs.readFile(filePath, "utf8");
-    const arr = JSON.parse(raw || "[]");
-
-    universeCache = arr.map((s) => fy.toFyersSymbol(s)).filter(Boolean);
+    const resolved = await universeService.resolveUniverse(universeName);
+    universeCache = { ...resolved, name: universeName };
     universeCacheTS = now;
 
-    console.log(`[M1] Universe loaded: ${universeCache.length}`);
+    const excluded = resolved.excludedCount ? `, excluded ${resolved.excludedCount}` : "";
+    console.log(`[M1] Universe ${resolved.name} loaded: ${resolved.symbols.length}${excluded}`);
     return universeCache;
   } catch (err) {
-    console.error("[M1] Error reading universe:", err.message);
-    return [];
+    console.error("[M1] Error loading universe:", err.message);
+    return { name: universeName, symbols: [], filters: {} };
   }
 }
 
+async function loadUniverse() {
+  return (await loadActiveUniverse()).symbols;
+}
+
+// Universe filters on live data; unknown values pass (no data ≠ too small)
+function applyUniverseFilters(snapshots, filters = {}) {
+  const { minPrice, maxPrice, minAvgVolume } = filters;
+  return snapshots.filter(
+    (s) =>
+      (!minPrice || s.ltp >= minPrice) &&
+      (!maxPrice || s.ltp <= maxPrice) &&
+      (!minAvgVolume || s.avgVolume == null || s.avgVolume >= minAvgVolume)
+  );
+}
+
 // ---------------- Extractors ----------------
 function extractPrevClose(q) {
   const v = q.raw?.v || q.raw || {};
@@ -88,6 +125,16 @@ function extractLTP(q) {
   return null;
 }
 
+// First finite value among the quote's field aliases
+function extractField(q, keys) {
+  const v = q.raw?.v || q.raw || {};
+  for (const k of keys) {
+    const n = safeNum(v[k] ?? q[k]);
+    if (n != null) return n;
+  }
+  return null;
+}
+
 function normalizeQuote(q) {
   if (!q) return null;
   const prevClose = extractPrevClose(q);
@@ -100,9 +147,94 @@ function normalizeQuote(q) {
     raw: q,
     prevClose,
     ltp,
+    open: extractField(q, ["open_price", "open", "o"]),
+    high: extractField(q, ["high_price", "high", "h"]),
+    low: extractField(q, ["low_price", "low", "l"]),
+    volume: extractField(q, ["volume", "vol_traded_today"]),
+  };
+}
+
+// ---------------- Quote Metrics ----------------
+// Missing inputs give null metrics (the score then ignores that term)
+function quoteMetrics(s) {
+  const changePct = pctChange(s.prevClose, s.ltp);
+  const pos = (n) => (n > 0 ? n : null);
+  const high = pos(s.high);
+  const low = pos(s.low);
+  const avg = pos(s.avgVolume);
+
+  return {
+    changePct,
+    gapPct: pos(s.open) ? pctChange(s.prevClose, s.open) : null,
+    fromHighPct: high ? ((high - s.ltp) / high) * 100 : null,
+    fromLowPct: low ? ((s.ltp - low) / low) * 100 : null,
+    relVolume: avg && s.volume != null ? s.volume / avg : null,
   };
 }
 
+function moverScore(m, weights = ranking.weights) {
+  const dirn = m.side === "SELL" ? -1 : 1;
+  const fromExtreme = m.side === "SELL" ? m.fromLowPct : m.fromHighPct;
+  const term = (w, v) => (w && v != null ? w * v : 0);
+
+  return (
+    term(weights.change, Math.abs(m.changePct)) +
+    term(weights.relVolume, m.relVolume) +
+    term(weights.gap, m.gapPct != null ? dirn * m.gapPct : null) -
+    term(weights.fromExtreme, fromExtreme)
+  );
+}
+
+// ---------------- Volume Averages ----------------
+// Daily-bar average volume for each symbol, cached in VolumeStat and
+// refetched once per IST day. Returns Map(symbol → avgVolume).
+async function loadVolumeAverages(symbols, days = CONFIG.VOLUME_AVG_DAYS) {
+  const out = new Map();
+  if (!symbols.length) return out;
+
+  const now = DateTime.now().setZone(IST);
+  const today = now.toISODate();
+
+  const cached = await VolumeStat.find({ symbol: { $in: symbols } }).lean();
+  for (const s of cached) {
+    if (s.refreshedOn === today && s.days >= days) out.set(s.symbol, s.avgVolume);
+  }
+
+  const stale = symbols.filter((s) => !out.has(s));
+  for (const symbol of stale) {
+    try {
+      // calendar window wide enough for `days` sessions; today's bar excluded
+      const bars = await fy.getHistory({
+        symbol,
+        resolution: "D",
+        date_format: "1",
+        range_from: now.minus({ days: Math.ceil(days * 1.6) + 7 }).toISODate(),
+        range_to: now.minus({ days: 1 }).toISODate(),
+        cont_flag: "1",
+      });
+
+      const usable = bars.filter((b) => b.v > 0).slice(-days);
+      if (!usable.length) continue;
+
+      const avgVolume = Math.round(usable.reduce((sum, b) => sum + b.v, 0) / usable.length);
+      const asOf = DateTime.fromMillis(usable[usable.length - 1].ts, { zone: IST }).toISODate();
+
+      await VolumeStat.updateOne(
+        { symbol },
+        { $set: { avgVolume, days: usable.length, asOf, refreshedOn: today } },
+        { upsert: true }
+      );
+      out.set(symbol, avgVolume);
+    } catch (err) {
+      console.warn(`[M1] volume history failed for ${symbol}:`, err.message);
+    }
+    await sleep(CONFIG.VOLUME_HISTORY_DELAY_MS);
+  }
+
+  if (stale.length) console.log(`[M1] Volume averages refreshed: ${stale.length}`);
+  return out;
+}
+
 // ---------------- Fetch Quotes in Batches ----------------
 async function fetchQuoteSnapshots(symbols) {
   if (!symbols.length) return [];
@@ -140,7 +272,7 @@ async function storeQuotes(snapshots) {
   const bulk = [];
 
   for (const s of snapshots) {
-    const changePct = pctChange(s.prevClose, s.ltp);
+    const { changePct, gapPct, fromHighPct, relVolume } = quoteMetrics(s);
     const changeAmt = s.ltp - s.prevClose;
     const cleanName = s.symbol.replace("NSE:", "").replace("-EQ", "");
 
@@ -155,6 +287,14 @@ async function storeQuotes(snapshots) {
             prevClose: s.prevClose,
             changePct: Number(changePct?.toFixed(2)),
             changeAmt: Number(changeAmt?.toFixed(2)),
+            open: s.open,
+            dayHigh: s.high,
+            dayLow: s.low,
+            volume: s.volume,
+            avgVolume20: s.avgVolume ?? null,
+            relVolume: round2(relVolume),
+            gapPct: round2(gapPct),
+            fromHighPct: round2(fromHighPct),
             fetchedAt: new Date(),
             source: "m1",
             isActive: true,
@@ -178,17 +318,19 @@ async function storeQuotes(snapshots) {
 }
 
 // ---------------- Save Movers ----------------
+// Movers accumulate over the day: a rescan refreshes the metrics of known
+// symbols and inserts new ones (firstSeenAt). Returns the newly added movers.
 async function saveMovers(movers) {
   const today = DateTime.now().setZone(IST).toISODate();
+  const added = [];
 
   console.log(`[M1] Saving movers for ${today}...`);
 
-  await M1Mover.deleteMany({ moverDate: today });
-
   for (const m of movers) {
     if (typeof m.changePct !== "number" || !isFinite(m.changePct)) continue;
 
-    await M1Mover.updateOne(
+    const now = new Date();
+    const res = await M1Mover.updateOne(
       { symbol: m.symbol, moverDate: today },
       {
         $set: {
@@ -196,15 +338,66 @@ async function saveMovers(movers) {
           prevClose: m.prevClose,
           ltp: m.ltp,
           changePct: Number(m.changePct.toFixed(2)),
+          open: m.open ?? null,
+          dayHigh: m.high ?? null,
+          dayLow: m.low ?? null,
+          volume: m.volume ?? null,
+          avgVolume20: m.avgVolume ?? null,
+          relVolume: round2(m.relVolume),
+          gapPct: round2(m.gapPct),
+          fromHighPct: round2(m.fromHighPct),
+          fromLowPct: round2(m.fromLowPct),
+          score: round2(m.score),
+          rank: m.rank ?? null,
           moverDate: today,
-          capturedAt: new Date(),
+          capturedAt: now,
         },
+        // direction is fixed when first seen (M2 tracks that side)
+        $setOnInsert: { side: m.side || "BUY", firstSeenAt: now },
+        $inc: { scans: 1 },
       },
       { upsert: true }
     );
+    if (res.upsertedCount) added.push(m);
   }
 
-  console.log(`[M1] Movers saved (${movers.length})`);
+  console.log(`[M1] Movers saved (${movers.length}, new ${added.length})`);
+  return added;
+}
+
+// ---------------- Mover Filter ----------------
+// Gainers ≥ +threshold go long; losers ≤ -threshold go short (when enabled).
+// Survivors are ranked by the composite score; unknown relative volume
+// passes MIN_REL_VOLUME (no history ≠ low volume).
+function pickMovers(snapshots, threshold = moverThreshold, shorts = shortsEnabled, rank = ranking) {
+  const movers = snapshots
+    .map((s) => {
+      const metrics = quoteMetrics(s);
+      const cp = metrics.changePct;
+      return cp != null ? { ...s, ...metrics, side: cp >= 0 ? "BUY" : "SELL" } : null;
+    })
+    .filter((s) => s && (s.changePct >= threshold || (shorts && s.changePct <= -threshold)))
+    .filter((s) => !(rank.minRelVolume > 0) || s.relVolume == null || s.relVolume >= rank.minRelVolume)
+    .map((s) => ({ ...s, score: moverScore(s, rank.weights) }))
+    .sort((a, b) => b.score - a.score || Math.abs(b.changePct) - Math.abs(a.changePct));
+
+  const kept = rank.maxMovers > 0 ? movers.slice(0, rank.maxMovers) : movers;
+  return kept.map((m, i) => ({ ...m, rank: i + 1 }));
+}
+
+// ---------------- Strategy Config ----------------
+function applyStrategyConfig({ params } = {}) {
+  const pct = Number(params?.m1?.ALERT_THRESHOLD_PCT);
+  if (Number.isFinite(pct) && pct > 0) moverThreshold = pct;
+  if (typeof params?.m1?.ENABLE_SHORTS === "boolean") shortsEnabled = params.m1.ENABLE_SHORTS;
+  if (params?.m1?.UNIVERSE) universeName = String(params.m1.UNIVERSE).toUpperCase();
+
+  const m1 = params?.m1 || {};
+  ranking = {
+    weights: { ...CONFIG.SCORE_WEIGHTS, ...(m1.SCORE_WEIGHTS || {}) },
+    minRelVolume: Number.isFinite(m1.MIN_REL_VOLUME) ? m1.MIN_REL_VOLUME : CONFIG.MIN_REL_VOLUME,
+    maxMovers: Number.isInteger(m1.MAX_MOVERS) ? m1.MAX_MOVERS : CONFIG.MAX_MOVERS,
+  };
 }
 
 // ---------------- MAIN ENGINE ----------------
@@ -223,29 +416,31 @@ async function startEngine() {
       return { ok: false, retry: true, error: "DB not connected" };
     }
 
-    const universe = await loadUniverse();
-    if (!universe.length) {
+    const universe = await loadActiveUniverse();
+    if (!universe.symbols.length) {
       return { ok: false, retry: false, error: "Universe empty" };
     }
 
-    const snapshots = await fetchQuoteSnapshots(universe);
-    console.log(`[M1] Retrieved ${snapshots.length} snapshots`);
+    // price limits first: they decide which symbols need volume history
+    const fetched = await fetchQuoteSnapshots(universe.symbols);
+    const priced = applyUniverseFilters(fetched, { ...universe.filters, minAvgVolume: null });
+    console.log(`[M1] Retrieved ${fetched.length} snapshots (${priced.length} within price limits)`);
+
+    // relative volume only matters for symbols past the % threshold
+    const candidates = pickMovers(priced, moverThreshold, shortsEnabled, { ...ranking, minRelVolume: 0, maxMovers: 0 });
+    const averages = await loadVolumeAverages(candidates.map((c) => c.symbol));
+    const withAvg = (s) => (averages.has(s.symbol) ? { ...s, avgVolume: averages.get(s.symbol) } : s);
 
-    await storeQuotes(snapshots);
+    await storeQuotes(fetched.map(withAvg));
 
     // -------- FIXED MOVER LOGIC --------
-    const movers = snapshots
-      .map((s) => {
-        const cp = pctChange(s.prevClose, s.ltp);
-        return cp != null ? { ...s, changePct: cp } : null;
-      })
-      .filter((s) => s && s.changePct >= CONFIG.ALERT_THRESHOLD_PCT)
-      .sort((a, b) => b.changePct - a.changePct);
+    const snapshots = applyUniverseFilters(priced.map(withAvg), { minAvgVolume: universe.filters.minAvgVolume });
+    const movers = pickMovers(snapshots);
 
-    await saveMovers(movers);
+    const newMovers = await saveMovers(movers);
 
     console.log("[M1] COMPLETED successfully.");
-    return { ok: true, movers };
+    return { ok: true, movers, newMovers };
   } catch (err) {
     console.error("[M1] Fatal error:", err.message);
     return { ok: false, retry: true, error: err.message };
@@ -257,5 +452,12 @@ async function startEngine() {
 module.exports = {
   startEngine,
   loadUniverse,
+  loadActiveUniverse,
+  applyUniverseFilters,
   fetchQuoteSnapshots,
+  pickMovers,
+  quoteMetrics,
+  moverScore,
+  loadVolumeAverages,
+  applyStrategyConfig,
 };
@@ -4,6 +4,11 @@
 /**
  * M2 Engine — Real-time RSI(14) Engine
  * -------------------------------------
+ * ✓ Multi-timeframe: 3m / 5m / 15m candles aggregated from the minute series
+ * ✓ Optional agreement rules across timeframes (CONFIRM_RULES)
+ * ✓ Declarative entry rules (SignalRule) replace the RSI zone when enabled
+ * ✓ Hot-add of movers found by intraday M1 rescans (no restart)
+ * ✓ Finalized minute bars persisted (Candle); restarts recover from the DB
  * ✓ Safe from double-starts
  * ✓ Safe from double tick-handlers
  * ✓ Safe from double socket subscriptions
@@ -17,6 +22,9 @@
 const fy = require("./fyersSdk");
 const marketSocket = require("./marketSocket.service");
 const { calcRSI14FromCandles } = require("../utils/indicators");
+const { TF_MINUTES, bucket, aggregateCandles } = require("../utils/candles");
+const signalRules = require("./signalRule.service");
+const candleStore = require("./candle.service");
 const M2Signal = require("../models/M2Signal");
 const M1Mover = require("../models/M1Mover");
 const { DateTime } = require("luxon");
@@ -26,6 +34,8 @@ const { IST } = require("../utils/time");
 const CFG = {
   RSI_MIN: 40,
   RSI_MAX: 50,
+  SHORT_RSI_MIN: 50,             // RSI bounce zone for SELL movers
+  SHORT_RSI_MAX: 60,
   HISTORY_LOOKBACK: 240,         // in minutes
   MAX_CANDLES: 300,
   HISTORY_DELAY_MS: 120,
@@ -36,20 +46,40 @@ const CFG = {
   HISTORY_START_M: 0,
   HISTORY_END_H: 10,
   HISTORY_END_M: 30,
+  // multi-timeframe: RSI of SIGNAL_TF must sit in the entry zone and every
+  // CONFIRM_RULES entry ({ tf, min?, max?, side? }) must hold for the mover's side
+  TIMEFRAMES: ["1m", "3m", "5m", "15m"],
+  SIGNAL_TF: "1m",
+  CONFIRM_RULES: [],
+  HTF_LOOKBACK_DAYS: 5,          // calendar days of 1m history behind the higher timeframes
+  HTF_MAX_CANDLES: 1200,         // 1m bars kept for aggregation (15m RSI needs 15 × 15)
+  PERSIST_CANDLES: process.env.M2_PERSIST_CANDLES !== "false",
+  RECOVER_MAX_GAP_MIN: 2,        // stored bars must reach this close to now to skip Fyers
 };
 
-let minuteSeries = new Map();     // symbol → candles
+let minuteSeries = new Map();     // symbol → candles (history window onward; 1m RSI)
+let baseSeries = new Map();       // symbol → candles incl. previous sessions (aggregation)
 let lastRSI = new Map();          // symbol → last RSI value
+let lastRule = new Map();         // symbol → id of the last matched SignalRule
+let lastVolume = new Map();       // symbol → cumulative day volume on the last tick
 let moversList = [];
+let moverSide = new Map();        // symbol → "BUY" | "SELL"
 let isStarting = false;
 let isStarted = false;
 let signaledSymbols = new Set();
+let replayed = false;             // series hold replayed bars until the next clear
+
+// Replayed bars are never written to the Candle store
+marketSocket.on("replayStart", () => {
+  replayed = true;
+});
+const persistCandles = () => CFG.PERSIST_CANDLES && !replayed;
+let configVersion = null;         // StrategyConfig version applied at day start
 
 let tickHandler = null;
 
 // ------------------------------- HELPERS -------------------------------
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
-const bucket = (ts) => Math.floor(ts / 60000) * 60000;
 
 function safeNum(v) {
   const n = Number(v);
@@ -81,54 +111,182 @@ function normalizeHistory(historyCandles = []) {
     .filter(Boolean);
 }
 
+function isInEntryZone(rsi, min = CFG.RSI_MIN, max = CFG.RSI_MAX) {
+  return Number.isFinite(rsi) && rsi >= min && rsi <= max;
+}
+
+// Longs buy the pullback (40–50), shorts sell the bounce (50–60)
+function entryZoneFor(side) {
+  return side === "SELL"
+    ? { min: CFG.SHORT_RSI_MIN, max: CFG.SHORT_RSI_MAX }
+    : { min: CFG.RSI_MIN, max: CFG.RSI_MAX };
+}
+
+function applyStrategyConfig({ version = null, params } = {}) {
+  if (params?.m2) Object.assign(CFG, params.m2);
+  configVersion = version;
+}
+
+// ------------------------ Tick volume ----------------------------------
+// Quantity traded since the previous tick: the change in cumulative day
+// volume, else the last traded qty; feeds with neither count ticks (1)
+function tickVolume(tick, last = lastVolume) {
+  const vol = tick.volume == null ? null : safeNum(tick.volume);
+  const ltq = tick.ltq == null ? null : safeNum(tick.ltq);
+
+  if (vol !== null && vol > 0) {
+    const prev = last.get(tick.symbol);
+    last.set(tick.symbol, vol);
+    if (prev === undefined) return ltq ?? 0;
+    return vol >= prev ? vol - prev : 0;
+  }
+  return ltq ?? 1;
+}
+
 // ------------------------ Minute candle update -------------------------
-function updateMinuteCandle(symbol, price, ts) {
+// Returns the bar closed by this tick (a new minute started), else null
+function updateMinuteCandle(symbol, price, ts, series = minuteSeries, maxCandles = CFG.MAX_CANDLES, qty = 1) {
   ts = bucket(ts);
 
-  let arr = minuteSeries.get(symbol);
+  let arr = series.get(symbol);
   if (!arr) {
     arr = [];
-    minuteSeries.set(symbol, arr);
+    series.set(symbol, arr);
   }
 
   let last = arr[arr.length - 1];
 
   if (!last || last[0] !== ts) {
-    arr.push([ts, price, price, price, price, 1]);
+    arr.push([ts, price, price, price, price, qty]);
 
-    if (arr.length > CFG.MAX_CANDLES) {
-      arr.splice(0, arr.length - CFG.MAX_CANDLES);
+    if (arr.length > maxCandles) {
+      arr.splice(0, arr.length - maxCandles);
     }
-  } else {
-    last[2] = Math.max(last[2], price);
-    last[3] = Math.min(last[3], price);
-    last[4] = price;
-    last[5] = (last[5] || 0) + 1;
+    return last && last[0] < ts ? last : null;
   }
+
+  last[2] = Math.max(last[2], price);
+  last[3] = Math.min(last[3], price);
+  last[4] = price;
+  last[5] = (last[5] || 0) + qty;
+  return null;
+}
+
+// ------------------------ Multi-timeframe ------------------------------
+// Every timeframe the config reads: TIMEFRAMES + SIGNAL_TF + rule timeframes
+function activeTimeframes(cfg = CFG) {
+  const tfs = [...(cfg.TIMEFRAMES || []), cfg.SIGNAL_TF, ...(cfg.CONFIRM_RULES || []).map((r) => r.tf)];
+  return [...new Set(tfs)].filter((tf) => TF_MINUTES[tf]);
+}
+
+// 1m values come from the history-window series (unchanged behaviour);
+// higher timeframes aggregate the longer base series.
+function computeTimeframes(minuteCandles = [], baseCandles = [], timeframes = activeTimeframes()) {
+  const out = {};
+  for (const tf of timeframes) {
+    const minutes = TF_MINUTES[tf];
+    if (!minutes) continue;
+    const bars = minutes === 1 ? minuteCandles : aggregateCandles(baseCandles, minutes);
+    const last = bars[bars.length - 1];
+    out[tf] = {
+      rsi: bars.length >= 15 ? calcRSI14FromCandles(bars) : null,
+      close: last ? last[4] : null,
+      bars: bars.length,
+    };
+  }
+  return out;
+}
+
+// Entry decision for one mover: primary RSI in zone + all confirmation rules
+function evaluateSignal({ side = "BUY", tfValues = {}, zone = entryZoneFor(side), cfg = CFG }) {
+  const rsi = tfValues[cfg.SIGNAL_TF]?.rsi ?? null;
+  const confirmations = (cfg.CONFIRM_RULES || [])
+    .filter((r) => !r.side || r.side === side)
+    .map((r) => {
+      const value = tfValues[r.tf]?.rsi ?? null;
+      const pass =
+        Number.isFinite(value) &&
+        (r.min == null || value >= r.min) &&
+        (r.max == null || value <= r.max);
+      return { tf: r.tf, min: r.min ?? null, max: r.max ?? null, value, pass };
+    });
+
+  return {
+    rsi,
+    inZone: isInEntryZone(rsi, zone.min, zone.max) && confirmations.every((c) => c.pass),
+    confirmations,
+  };
+}
+
+// Rule operands read the base series (full sessions: VWAP, long averages)
+function ruleBars(minuteCandles = [], baseCandles = []) {
+  const base = baseCandles.length ? baseCandles : minuteCandles;
+  return (tf) => {
+    const minutes = TF_MINUTES[tf];
+    if (!minutes) return [];
+    return minutes === 1 ? base : aggregateCandles(base, minutes);
+  };
 }
 
 // ------------------------ Seeding History ------------------------------
-async function seedSymbolHistory(symbol) {
+// Stored 1m bars from `fromMs`, or null when they don't cover the history
+// window start through the last RECOVER_MAX_GAP_MIN minutes
+async function loadStoredHistory(symbol, fromMs, windowStartMs) {
+  if (!CFG.PERSIST_CANDLES) return null;
+  try {
+    const stored = await candleStore.getCandles(symbol, { from: fromMs });
+    if (!stored.length) return null;
+
+    const last = stored[stored.length - 1][0];
+    candleStore.markStored(symbol, last);
+
+    const fresh = last >= bucket(Date.now()) - CFG.RECOVER_MAX_GAP_MIN * 60000;
+    const covered = stored[0][0] <= windowStartMs;
+    return fresh && covered ? stored : null;
+  } catch (err) {
+    console.warn(`[M2] stored candles unavailable for ${symbol}:`, err.message);
+    return null;
+  }
+}
+
+// untilNow: hot-added movers keep every bar up to now (no gap before live ticks)
+async function seedSymbolHistory(symbol, { untilNow = false } = {}) {
   let attempt = 0;
 
   while (attempt < CFG.SEED_RETRY_LIMIT) {
     attempt++;
     try {
-      const today = DateTime.now().setZone(IST).toISODate();
-
-      const data = await fy.getHistory({
-        symbol,
-        resolution: "1",
-        date_format: "1",
-        range_from: today,
-        range_to: today,
-        cont_flag: "1",
-      });
-
-      const normalized = normalizeHistory(data);
-      if (!normalized.length) throw new Error("Empty history");
-
-      const { startMs, endMs } = historyWindowBounds();
+      const now = DateTime.now().setZone(IST);
+      const today = now.toISODate();
+      const fromDay = now.minus({ days: CFG.HTF_LOOKBACK_DAYS }).startOf("day");
+      const bounds = historyWindowBounds();
+
+      // restart mid-session: stored bars are enough when they reach "now"
+      let normalized = await loadStoredHistory(symbol, fromDay.toMillis(), bounds.startMs);
+
+      if (!normalized) {
+        // previous sessions only feed the higher-timeframe aggregation
+        const data = await fy.getHistory({
+          symbol,
+          resolution: "1",
+          date_format: "1",
+          range_from: fromDay.toISODate(),
+          range_to: today,
+          cont_flag: "1",
+        });
+
+        normalized = normalizeHistory(data);
+        if (!normalized.length) throw new Error("Empty history");
+
+        // the current minute is still forming; ticks close it later
+        const current = bucket(Date.now());
+        if (persistCandles()) candleStore.recordBars(symbol, normalized.filter(([ts]) => ts < current), "history");
+      }
+
+      baseSeries.set(symbol, normalized.slice(-CFG.HTF_MAX_CANDLES));
+
+      const startMs = bounds.startMs;
+      const endMs = untilNow ? Math.max(bounds.endMs, Date.now()) : bounds.endMs;
       const filtered = normalized.filter(([ts]) => {
         if (!ts) return false;
         if (startMs && ts < startMs) return false;
@@ -165,28 +323,46 @@ async function handleRSI(symbol, onSignal) {
   const arr = minuteSeries.get(symbol) || [];
   if (arr.length < 20) return;
 
-  let rsi;
+  const side = moverSide.get(symbol) || "BUY";
+  let tfValues;
+  let verdict;
   try {
-    rsi = await calcRSI14FromCandles(arr);
+    const base = baseSeries.get(symbol) || [];
+    tfValues = computeTimeframes(arr, base);
+    verdict = evaluateSignal({ side, tfValues });
+
+    // enabled rules for this side decide the entry instead of the RSI zone
+    const rules = signalRules.rulesFor(side);
+    if (rules.length) {
+      verdict.rule = signalRules.matchRule(rules, ruleBars(arr, base));
+      verdict.inZone = !!verdict.rule;
+    }
   } catch {
     return;
   }
 
+  const { rsi, inZone, confirmations, rule = null } = verdict;
   if (!Number.isFinite(rsi)) return;
 
+  const ruleId = rule ? String(rule._id) : null;
   const prev = lastRSI.get(symbol);
-  if (prev && Math.abs(prev - rsi) < CFG.RSI_MIN_DIFF) return;
+  if (prev && Math.abs(prev - rsi) < CFG.RSI_MIN_DIFF && lastRule.get(symbol) === ruleId) return;
   lastRSI.set(symbol, rsi);
-
-  const inZone = rsi >= CFG.RSI_MIN && rsi <= CFG.RSI_MAX;
+  lastRule.set(symbol, ruleId);
 
   try {
     const update = {
       $set: {
         symbol,
         rsi: Number(rsi.toFixed(2)),
-        timeframe: "1m",
+        side,
+        timeframe: CFG.SIGNAL_TF,
+        timeframes: Object.entries(tfValues).map(([tf, v]) => ({ tf, ...v })),
+        confirmations,
         inEntryZone: inZone,
+        ruleId: rule ? rule._id : null,
+        ruleName: rule ? rule.name : null,
+        configVersion,
         updatedAt: new Date(),
       },
       $setOnInsert: { capturedAt: new Date() },
@@ -201,7 +377,10 @@ async function handleRSI(symbol, onSignal) {
     await M2Signal.findOneAndUpdate({ symbol }, update, { upsert: true });
 
     if (inZone) {
-      console.log(`[M2] SIGNAL: ${symbol} — RSI ${rsi.toFixed(2)}`);
+      const confirmed = rule
+        ? ` rule "${rule.name}"`
+        : confirmations.map((c) => ` ${c.tf} ${c.value}`).join("");
+      console.log(`[M2] SIGNAL: ${symbol} ${side} — RSI(${CFG.SIGNAL_TF}) ${rsi.toFixed(2)}${confirmed}`);
       signaledSymbols.add(symbol);
       if (onSignal) onSignal();
     }
@@ -218,7 +397,10 @@ function onTick(tick, onSignal) {
 
   if (!sym || !price || !ts) return;
 
-  updateMinuteCandle(sym, price, ts);
+  const qty = tickVolume(tick);
+  const closed = updateMinuteCandle(sym, price, ts, minuteSeries, CFG.MAX_CANDLES, qty);
+  updateMinuteCandle(sym, price, ts, baseSeries, CFG.HTF_MAX_CANDLES, qty);
+  if (closed && persistCandles()) candleStore.recordBar(sym, closed);
 
   handleRSI(sym, onSignal)
     .catch((e) => console.warn("[M2] RSI error:", e.message));
@@ -242,6 +424,9 @@ async function startM2Engine(onSignal) {
 
     signaledSymbols = new Set();
 
+    const rules = await signalRules.loadActiveRules();
+    if (rules.length) console.log(`[M2] Signal rules active: ${rules.length}`);
+
     // Load today's M1 movers
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -255,6 +440,7 @@ async function startM2Engine(onSignal) {
       return { ok: false, message: "no movers" };
     }
 
+    moverSide = new Map(moversList.map((m) => [m.symbol, m.side || "BUY"]));
     console.log(`[M2] Movers loaded: ${moversList.length}`);
 
     // Seed history for all movers
@@ -286,6 +472,38 @@ async function startM2Engine(onSignal) {
   }
 }
 
+// ------------------------------ HOT-ADD --------------------------------
+// Movers found after start: seed history, then subscribe (ticks flow through
+// the existing handler). Already-tracked symbols are ignored.
+async function addMovers(movers = []) {
+  if (!isStarted) return { ok: false, error: "M2 not running" };
+
+  const fresh = movers.filter((m) => m?.symbol && !moverSide.has(m.symbol));
+  if (!fresh.length) return { ok: true, added: [] };
+
+  // claim the symbols first so an overlapping call can't add them twice
+  for (const m of fresh) moverSide.set(m.symbol, m.side || "BUY");
+
+  const added = [];
+  for (const m of fresh) {
+    const ok = await seedSymbolHistory(m.symbol, { untilNow: true });
+    if (!ok) {
+      console.warn("[M2] hot-add history failed for", m.symbol);
+      moverSide.delete(m.symbol); // retried on the next rescan (still listed as a mover)
+      continue;
+    }
+    moversList.push(m);
+    added.push(m.symbol);
+    await sleep(CFG.HISTORY_DELAY_MS);
+  }
+
+  if (added.length) {
+    await marketSocket.subscribe(added, "m2");
+    console.log(`[M2] Hot-added movers: ${added.join(", ")}`);
+  }
+  return { ok: true, added };
+}
+
 // ------------------------------- STOP M2 --------------------------------
 async function stopM2Engine() {
   try {
@@ -299,10 +517,25 @@ async function stopM2Engine() {
       await marketSocket.unsubscribe(symbols, "m2");
     }
 
+    // persist each series' last bar once its minute is over
+    if (persistCandles()) {
+      const current = bucket(Date.now());
+      for (const [sym, arr] of minuteSeries) {
+        const last = arr[arr.length - 1];
+        if (last && last[0] < current) candleStore.recordBar(sym, last);
+      }
+      await candleStore.flush();
+    }
+
     minuteSeries.clear();
+    baseSeries.clear();
     lastRSI.clear();
+    lastRule.clear();
+    lastVolume.clear();
     moversList = [];
+    moverSide.clear();
     signaledSymbols = new Set();
+    replayed = marketSocket.replaying;
 
     isStarted = false;
     isStarting = false;
@@ -336,5 +569,15 @@ async function getLatestSignalsFromDB() {
 module.exports = {
   startM2Engine,
   stopM2Engine,
+  addMovers,
   getLatestSignalsFromDB,
+  isInEntryZone,
+  entryZoneFor,
+  normalizeHistory,
+  aggregateCandles,
+  computeTimeframes,
+  evaluateSignal,
+  activeTimeframes,
+  applyStrategyConfig,
+  CFG,
 };
@@ -0,0 +1,224 @@
+// services/marketData/angel.provider.js
+"use strict";
+
+/**
+ * Angel SmartStream 2.0 behind the common market-data provider interface
+ * ---------------------------------------------------------------------
+ * ✓ Feed credentials from a connected ANGEL user (broker.creds.feedToken)
+ * ✓ Quote mode (volume + OHLC), SnapQuote when depth is requested; NSE cash
+ *   segment; symbols ↔ tokens via instruments.service
+ * ✓ Text "ping" heartbeat every 30s (server answers "pong")
+ *
+ * Packets are little-endian; prices are i64 paise:
+ *   all modes  mode u8 @0, exchange u8 @1, token char[25] @2, sequence i64 @27,
+ *              exchange time i64 ms @35, LTP @43                    (51 bytes)
+ *   quote      + LTQ i64 @51, avg price @59, volume i64 @67, total buy /
+ *              sell qty f64 @75 / @83, open @91, high @99, low @107,
+ *              close @115                                         (123 bytes)
+ *   snapquote  + best five @147: 10 × { buy flag i16, qty i64, price i64,
+ *              orders i16 }                                       (379 bytes)
+ */
+
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+const User = require("../../models/User");
+const { resolveToken } = require("../instruments.service");
+const { makeTick } = require("./tick");
+
+const CFG = {
+  URL: process.env.ANGEL_STREAM_URL || "wss://smartapisocket.angelone.in/smart-stream",
+  USER_ID: process.env.ANGEL_FEED_USER_ID || "", // pin the feed to one user's session
+  HEARTBEAT_MS: 30000,
+  MODE_QUOTE: 2,
+  MODE_SNAP: 3,
+  EXCHANGE_NSE_CM: 1,
+  MAX_TOKENS: 1000, // SmartStream limit per session
+};
+
+// Credentials of the user whose session carries the feed
+async function findFeedCreds() {
+  const filter = {
+    "broker.brokerName": "ANGEL",
+    "broker.connected": true,
+    "broker.creds.feedToken": { $nin: [null, ""] },
+    "broker.creds.accessToken": { $nin: [null, ""] },
+  };
+  if (CFG.USER_ID) filter._id = CFG.USER_ID;
+
+  const user = await User.findOne(filter)
+    .sort({ "broker.creds.exchangedAt": -1 })
+    .select("broker")
+    .lean();
+  const creds = user?.broker?.creds;
+  if (!creds) return null;
+
+  const clientCode = creds.clientCode || creds.clientId;
+  if (!clientCode || !creds.apiKey) return null;
+  return { jwt: creds.accessToken, feedToken: creds.feedToken, apiKey: creds.apiKey, clientCode };
+}
+
+const i64 = (buf, at) => Number(buf.readBigInt64LE(at));
+const paise = (buf, at) => i64(buf, at) / 100;
+
+function parsePacket(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 51) return null;
+  const p = {
+    mode: buf.readUInt8(0),
+    exchangeType: buf.readUInt8(1),
+    token: buf.toString("ascii", 2, 27).replace(/\0+$/, ""),
+    ts: i64(buf, 35),
+    ltp: paise(buf, 43),
+  };
+
+  if (p.mode >= 2 && buf.length >= 123) {
+    p.ltq = i64(buf, 51);
+    p.volume = i64(buf, 67);
+    p.open = paise(buf, 91);
+    p.high = paise(buf, 99);
+    p.low = paise(buf, 107);
+    p.prevClose = paise(buf, 115);
+  }
+
+  if (p.mode === 3 && buf.length >= 347) {
+    p.depth = { bids: [], asks: [] };
+    for (let i = 0; i < 10; i++) {
+      const at = 147 + i * 20;
+      const level = { price: paise(buf, at + 10), qty: i64(buf, at + 2), orders: buf.readInt16LE(at + 18) };
+      if (!(level.price > 0)) continue;
+      (buf.readInt16LE(at) === 1 ? p.depth.bids : p.depth.asks).push(level);
+    }
+  }
+  return p;
+}
+
+class AngelProvider extends EventEmitter {
+  constructor() {
+    super();
+    this.name = "ANGEL";
+    this.ws = null;
+    this.heartbeat = null;
+    this.tokenToSymbol = new Map(); // token → symbol as subscribed
+    this.symbolToToken = new Map();
+  }
+
+  async isAvailable() {
+    try {
+      if (!(await findFeedCreds())) return { ok: false, error: "no connected ANGEL user with a feed token" };
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  }
+
+  async connect() {
+    const creds = await findFeedCreds();
+    if (!creds) throw new Error("no connected ANGEL user with a feed token");
+
+    const ws = new WebSocket(CFG.URL, {
+      headers: {
+        Authorization: `Bearer ${creds.jwt}`,
+        "x-api-key": creds.apiKey,
+        "x-client-code": creds.clientCode,
+        "x-feed-token": creds.feedToken,
+      },
+    });
+    this.ws = ws;
+
+    ws.on("open", () => {
+      this.heartbeat = setInterval(() => {
+        if (ws.readyState === WebSocket.OPEN) ws.send("ping");
+      }, CFG.HEARTBEAT_MS);
+      this.heartbeat.unref?.();
+      this.emit("connect");
+    });
+
+    ws.on("message", (data, isBinary) => {
+      if (!isBinary) return; // "pong" / error text
+      const t = parsePacket(data);
+      const symbol = t && this.tokenToSymbol.get(t.token);
+      if (!symbol || !Number.isFinite(t.ltp)) return;
+
+      const best = { bid: t.depth?.bids[0], ask: t.depth?.asks[0] };
+      const tick = makeTick(
+        symbol,
+        t.ltp,
+        t.ts || Date.now(),
+        { ...t, bid: best.bid?.price, ask: best.ask?.price, bidQty: best.bid?.qty, askQty: best.ask?.qty },
+        t
+      );
+      this.emit("ticks", [tick]);
+    });
+
+    ws.on("close", (code, reason) => {
+      if (this.ws !== ws) return;
+      this._release();
+      this.emit("close", code, String(reason || ""));
+    });
+
+    ws.on("error", (err) => this.emit("error", err));
+  }
+
+  _release() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+    const ws = this.ws;
+    this.ws = null;
+    return ws;
+  }
+
+  close() {
+    const ws = this._release();
+    if (!ws) return;
+    ws.removeAllListeners();
+    ws.on("error", () => {}); // a close before open still raises
+    ws.terminate();
+  }
+
+  _send(action, tokens, depth) {
+    if (!tokens.length || this.ws?.readyState !== WebSocket.OPEN) return;
+    this.ws.send(
+      JSON.stringify({
+        correlationID: `pms${Date.now() % 1e7}`,
+        action,
+        params: {
+          mode: depth ? CFG.MODE_SNAP : CFG.MODE_QUOTE,
+          tokenList: [{ exchangeType: CFG.EXCHANGE_NSE_CM, tokens }],
+        },
+      })
+    );
+  }
+
+  async subscribe(symbols, { depth = false } = {}) {
+    const tokens = [];
+    for (const symbol of symbols) {
+      const token = this.symbolToToken.get(symbol) || (await resolveToken(symbol));
+      if (!token) {
+        console.warn(`[MarketData] ANGEL: no token for ${symbol}`);
+        continue;
+      }
+      if (!this.symbolToToken.has(symbol) && this.symbolToToken.size >= CFG.MAX_TOKENS) {
+        console.warn(`[MarketData] ANGEL: token limit ${CFG.MAX_TOKENS} reached, ${symbol} skipped`);
+        continue;
+      }
+      this.tokenToSymbol.set(token, symbol);
+      this.symbolToToken.set(symbol, token);
+      tokens.push(token);
+    }
+    this._send(1, tokens, depth);
+  }
+
+  async unsubscribe(symbols, { depth = false } = {}) {
+    const tokens = [];
+    for (const symbol of symbols) {
+      const token = this.symbolToToken.get(symbol);
+      if (!token) continue;
+      this.symbolToToken.delete(symbol);
+      this.tokenToSymbol.delete(token);
+      tokens.push(token);
+    }
+    this._send(0, tokens, depth);
+  }
+}
+
+module.exports = new AngelProvider();
+module.exports.parsePacket = parsePacket;
@@ -0,0 +1,167 @@
+// services/marketData/fyers.provider.js
+"use strict";
+
+// Fyers data socket behind the common market-data provider interface
+
+const EventEmitter = require("events");
+const { fyersDataSocket } = require("fyers-api-v3");
+const { getSocketToken, getAuthMeta } = require("../fyersAuth");
+const { toMs, makeTick } = require("./tick");
+
+// Depth message ("dp", 5 levels a side) → { bids, asks }
+function parseDepth(t) {
+  const levels = (side) => {
+    const out = [];
+    for (let i = 1; i <= 5; i++) {
+      const price = Number(t[`${side}_price${i}`]);
+      if (!(price > 0)) continue;
+      out.push({ price, qty: Number(t[`${side}_size${i}`]) || 0, orders: Number(t[`${side}_order${i}`]) || 0 });
+    }
+    return out;
+  };
+  return { bids: levels("bid"), asks: levels("ask") };
+}
+
+// Fyers message → normalized ticks (see ./tick). Depth messages carry no
+// LTP: they update `depthCache` and ride along on the symbol's next tick.
+function normalize(msg, depthCache = null) {
+  const raw = Array.isArray(msg) ? msg : (msg?.d || msg?.data || msg);
+  const arr = Array.isArray(raw) ? raw : [raw];
+
+  const batch = [];
+
+  for (const t of arr) {
+    if (!t) continue;
+
+    const sym =
+      t.symbol ||
+      t.s ||
+      t.n ||
+      t.tradingsymbol ||
+      null;
+
+    if (t.type === "dp") {
+      if (sym && depthCache) depthCache.set(String(sym), parseDepth(t));
+      continue;
+    }
+
+    let ltp =
+      t.ltp ||
+      t.lp ||
+      t.c ||
+      (t.v && (t.v.lp || t.v.last_price)) ||
+      null;
+
+    if (typeof ltp === "object") {
+      const key = Object.keys(ltp).find((k) => Number.isFinite(Number(ltp[k])));
+      if (key) ltp = Number(ltp[key]);
+    }
+
+    const ltpNum = Number(ltp);
+    if (!sym || !Number.isFinite(ltpNum)) continue;
+
+    // exchange time in seconds (v3) / ms; older payloads nest quotes under `v`
+    const ts = toMs(t.exch_feed_time || t.last_traded_time || t.timestamp || t.ts || t.time);
+    const q = t.v && typeof t.v === "object" ? t.v : t;
+    const depth = depthCache?.get(String(sym)) || null;
+
+    batch.push(
+      makeTick(
+        sym,
+        ltpNum,
+        ts,
+        {
+          ltq: q.last_traded_qty,
+          volume: q.vol_traded_today ?? q.volume,
+          bid: q.bid_price ?? q.bid ?? depth?.bids[0]?.price,
+          ask: q.ask_price ?? q.ask ?? depth?.asks[0]?.price,
+          bidQty: q.bid_size ?? depth?.bids[0]?.qty,
+          askQty: q.ask_size ?? depth?.asks[0]?.qty,
+          open: q.open_price,
+          high: q.high_price,
+          low: q.low_price,
+          prevClose: q.prev_close_price,
+          depth,
+        },
+        t
+      )
+    );
+  }
+
+  return batch;
+}
+
+class FyersProvider extends EventEmitter {
+  constructor() {
+    super();
+    this.name = "FYERS";
+    this.socket = null;
+    this.depth = new Map(); // symbol → last { bids, asks }
+  }
+
+  async isAvailable() {
+    if (!getAuthMeta().access_token_present) return { ok: false, error: "fyers access token missing" };
+    return { ok: true };
+  }
+
+  async connect() {
+    const token = getSocketToken();
+
+    // ⚠ Fyers datasocket is SINGLETON internally
+    // If already created anywhere else, we MUST use getInstance()
+    if (typeof fyersDataSocket.getInstance === "function") {
+      this.socket = fyersDataSocket.getInstance(token);
+    } else {
+      this.socket = new fyersDataSocket(token);
+    }
+
+    this.socket.on("connect", () => this.emit("connect"));
+    this.socket.on("message", (msg) => this.emit("ticks", normalize(msg, this.depth)));
+    this.socket.on("close", (code, reason) => {
+      this._release();
+      this.emit("close", code, reason);
+    });
+    this.socket.on("error", (err) => this.emit("error", err));
+
+    if (this.socket.connect) this.socket.connect();
+    else if (this.socket.open) this.socket.open();
+  }
+
+  _release() {
+    if (!this.socket) return;
+    try {
+      this.socket.removeAllListeners("connect");
+      this.socket.removeAllListeners("message");
+      this.socket.removeAllListeners("close");
+      this.socket.removeAllListeners("error");
+    } catch {}
+    const socket = this.socket;
+    this.socket = null;
+    return socket;
+  }
+
+  close() {
+    const socket = this._release();
+    if (typeof socket?.close === "function") socket.close();
+  }
+
+  // Full mode carries volume, bid/ask and OHLC; depth adds 5-level books
+  subscribe(symbols, { depth = false } = {}) {
+    if (!this.socket?.subscribe) return;
+    this.socket.subscribe(symbols);
+    if (depth) this.socket.subscribe(symbols, true);
+    if (typeof this.socket.mode === "function" && this.socket.FullMode !== undefined) {
+      this.socket.mode(this.socket.FullMode);
+    }
+  }
+
+  unsubscribe(symbols, { depth = false } = {}) {
+    if (!this.socket?.unsubscribe) return;
+    this.socket.unsubscribe(symbols);
+    if (depth) this.socket.unsubscribe(symbols, true);
+    for (const s of symbols) this.depth.delete(s);
+  }
+}
+
+module.exports = new FyersProvider();
+module.exports.normalize = normalize;
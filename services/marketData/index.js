@@ -0,0 +1,57 @@
+// services/marketData/index.js
+"use strict";
+
+/*
+  Market-data provider registry. Every provider is an EventEmitter with:
+
+    name                             "FYERS" | "ANGEL" | "MOCK"
+    isAvailable()                    → { ok, error }   credentials / session present
+    connect()                        open the feed (async; "connect" follows)
+    close()                          drop the feed; no "close" event afterwards
+    subscribe(symbols, { depth })    Fyers-style symbols ("NSE:SBIN-EQ"); depth
+                                     adds order-book levels where supported
+    unsubscribe(symbols, { depth })
+
+    events: "connect", "close" (code, reason), "error" (err),
+            "ticks" (normalized ticks, see ./tick)
+
+  marketSocket walks the priority list (MARKET_DATA_PROVIDERS, default
+  "FYERS,ANGEL") and fails over to the next provider when one keeps failing.
+*/
+
+const fyers = require("./fyers.provider");
+const angel = require("./angel.provider");
+const mock = require("./mock.provider");
+
+const providers = {
+  FYERS: fyers,
+  ANGEL: angel,
+  MOCK: mock,
+};
+
+// Configured priority, unknown names dropped
+function providerOrder() {
+  const names = String(process.env.MARKET_DATA_PROVIDERS || "FYERS,ANGEL")
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter((s, i, arr) => providers[s] && arr.indexOf(s) === i);
+  return names.length ? names : ["FYERS"];
+}
+
+function getProvider(name) {
+  return providers[String(name || "").toUpperCase()] || null;
+}
+
+// Swap a provider in (e.g. a stub in a test harness); returns the previous one
+function registerProvider(name, provider) {
+  const key = String(name).toUpperCase();
+  const prev = providers[key] || null;
+  providers[key] = provider;
+  return prev;
+}
+
+module.exports = {
+  providerOrder,
+  getProvider,
+  registerProvider,
+};
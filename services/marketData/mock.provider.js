@@ -0,0 +1,85 @@
+// services/marketData/mock.provider.js
+"use strict";
+
+/**
+ * Local market-data provider (no broker session needed)
+ * ✓ push(ticks): feed ticks from a script, test harness or recording
+ * ✓ Optional random walk for subscribed symbols every MOCK_TICK_MS
+ *   (0 = off; prices start at MOCK_BASE_PRICE or the last pushed LTP)
+ * Always available, so it is a safe last entry in MARKET_DATA_PROVIDERS.
+ */
+
+const EventEmitter = require("events");
+const { makeTick } = require("./tick");
+
+const CFG = {
+  TICK_MS: Number(process.env.MOCK_TICK_MS) || 0,
+  BASE_PRICE: Number(process.env.MOCK_BASE_PRICE) || 100,
+  STEP_PCT: 0.05, // max move per tick, % of price
+};
+
+class MockProvider extends EventEmitter {
+  constructor() {
+    super();
+    this.name = "MOCK";
+    this.connected = false;
+    this.symbols = new Set();
+    this.prices = new Map(); // symbol → last LTP
+    this.timer = null;
+  }
+
+  async isAvailable() {
+    return { ok: true };
+  }
+
+  async connect() {
+    this.connected = true;
+    if (CFG.TICK_MS > 0) {
+      this.timer = setInterval(() => this._walk(), CFG.TICK_MS);
+      this.timer.unref?.();
+    }
+    setImmediate(() => this.connected && this.emit("connect"));
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.connected = false;
+  }
+
+  subscribe(symbols) {
+    for (const s of symbols) this.symbols.add(s);
+  }
+
+  unsubscribe(symbols) {
+    for (const s of symbols) this.symbols.delete(s);
+  }
+
+  // [{ symbol, ltp, ts?, ...quote fields }] → ticks for subscribed symbols;
+  // returns the count sent
+  push(ticks = []) {
+    if (!this.connected) return 0;
+    const batch = [];
+    for (const t of ticks) {
+      const ltp = Number(t?.ltp);
+      if (!this.symbols.has(t?.symbol) || !Number.isFinite(ltp)) continue;
+      this.prices.set(t.symbol, ltp);
+      batch.push(makeTick(t.symbol, ltp, Number(t.ts) || Date.now(), t, t));
+    }
+    if (batch.length) this.emit("ticks", batch);
+    return batch.length;
+  }
+
+  _walk() {
+    const now = Date.now();
+    const ticks = [];
+    for (const symbol of this.symbols) {
+      const prev = this.prices.get(symbol) ?? CFG.BASE_PRICE;
+      const move = prev * (CFG.STEP_PCT / 100) * (Math.random() * 2 - 1);
+      ticks.push({ symbol, ltp: Math.round((prev + move) * 100) / 100, ts: now });
+    }
+    this.push(ticks);
+  }
+}
+
+module.exports = new MockProvider();
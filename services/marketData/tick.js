@@ -0,0 +1,43 @@
+// services/marketData/tick.js
+"use strict";
+
+/*
+  Normalized tick shared by every provider, marketSocket and the recorder:
+
+    { symbol, ltp, ts,
+      ltq, volume,                 last traded qty, cumulative day volume
+      bid, ask, bidQty, askQty,    best bid / offer
+      open, high, low, prevClose,  day OHLC so far
+      depth,                       { bids: [{ price, qty, orders }], asks } (depth mode)
+      raw }
+
+  Fields a feed does not carry are null. ts is epoch ms.
+*/
+
+const QUOTE_FIELDS = ["ltq", "volume", "bid", "ask", "bidQty", "askQty", "open", "high", "low", "prevClose"];
+
+const numOrNull = (v) => (v === null || v === undefined || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+
+// Seconds or ms → ms; missing → now
+function toMs(v) {
+  const n = Number(v);
+  if (!Number.isFinite(n) || n <= 0) return Date.now();
+  return n > 1e11 ? n : n * 1000;
+}
+
+function makeTick(symbol, ltp, ts, fields = {}, raw = null) {
+  const tick = { symbol: String(symbol), ltp, ts };
+  for (const k of QUOTE_FIELDS) tick[k] = numOrNull(fields[k]);
+  tick.depth = fields.depth || null;
+  tick.raw = raw;
+  return tick;
+}
+
+// Non-null quote fields of a tick (compact form for storage)
+function quoteOf(tick) {
+  const out = {};
+  for (const k of QUOTE_FIELDS) if (tick[k] !== null && tick[k] !== undefined) out[k] = tick[k];
+  return out;
+}
+
+module.exports = { QUOTE_FIELDS, toMs, makeTick, quoteOf };
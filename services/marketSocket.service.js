@@ -10,189 +10,244 @@
  * ✓ No duplicate tick handlers
  * ✓ LTP cache with size safety limit
  * ✓ Automatic re-subscribe on reconnect
- * ✓ Normalized tick structure
+ * ✓ Normalized tick structure (LTP + volume, bid/ask, day OHLC, optional depth)
+ * ✓ Replay mode: recorded ticks are fed through the same tick/batch events
+ * ✓ Pluggable feed (services/marketData): priority list + automatic failover
  */
 
 const EventEmitter = require("events");
-const { fyersDataSocket } = require("fyers-api-v3");
-const { getSocketToken } = require("./fyersAuth");
+const { providerOrder, getProvider } = require("./marketData");
+const { QUOTE_FIELDS, makeTick } = require("./marketData/tick");
 
 const CFG = {
   SUBSCRIBE_DEBOUNCE_MS: 150,
   RECONNECT_BASE: 800,
   RECONNECT_MAX: 60000,
   LTP_CACHE_LIMIT: 4000,   // prevents memory leak
+  FAILOVER_AFTER: 3,       // consecutive connect failures before the next provider
+  FAILBACK_MS: 5 * 60000,  // how often a fallback feed checks the primary
+  DEPTH: process.env.MARKET_DEPTH === "true", // order-book levels on every subscription
 };
 
 class MarketSocket extends EventEmitter {
   constructor() {
     super();
 
-    this.socket = null;
+    this.provider = null;            // active market-data provider
+    this.order = providerOrder();    // provider names, highest priority first
+    this.providerIdx = 0;
+    this.failures = 0;               // consecutive failures on the current provider
+    this.failovers = 0;
+    this.lastFailover = null;
+
     this.connecting = false;
     this.isConnected = false;
 
     this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.failbackTimer = null;
 
     // ownerId → symbol mapping
     this.symbolOwners = new Map();   // symbol → Set(ownerIds)
-    this.subscribed = new Set();     // symbols actually subscribed on socket
+    this.subscribed = new Set();     // symbols subscribed on the feed
 
     this.pendingSubscribe = new Set();
     this.subscribeTimer = null;
 
-    this.ltpMap = new Map();         // symbol → {ltp, ts, raw}
+    this.ltpMap = new Map();         // symbol → {ltp, ts, receivedAt, ...quote, depth, raw}
+
+    this.replaying = false;          // live feed parked while a recording plays
+    this.replayTs = null;            // newest replayed tick time: the market clock during a replay
 
     // bind handlers
     this._onConnect = this._onConnect.bind(this);
     this._onClose = this._onClose.bind(this);
     this._onError = this._onError.bind(this);
-    this._onMessage = this._onMessage.bind(this);
+    this._onTicks = this._onTicks.bind(this);
+
+    // an unhandled "error" would throw out of start() and skip the failover
+    this.on("error", (err) => console.warn("[MarketSocket]", err?.message || err));
   }
 
-  // ---------------------- START SOCKET ----------------------
+  // ---------------------- START FEED ----------------------
   async start() {
-  // Prevent double initialization
-  if (this.instanceCreated) return;
-  if (this.socket && this.socket._connected) return;
-  if (this.connecting) return;
-
-  this.instanceCreated = true;
-  this.connecting = true;
-
-  try {
-    const token = await getSocketToken();
-    if (!token) throw new Error("socket token not available");
-
-    // ⚠ Fyers datasocket is SINGLETON internally
-    // If already created anywhere else, we MUST use getInstance()
-    if (typeof fyersDataSocket.getInstance === "function") {
-      this.socket = fyersDataSocket.getInstance(token);
-    } else {
-      this.socket = new fyersDataSocket(token);
-    }
+    // Replay owns the tick stream until it ends
+    if (this.replaying) return;
 
-    this.socket.on("connect", this._onConnect);
-    this.socket.on("message", this._onMessage);
-    this.socket.on("close", this._onClose);
-    this.socket.on("error", this._onError);
+    // Prevent double initialization
+    if (this.instanceCreated) return;
+    if (this.connecting) return;
 
-    if (this.socket.connect) this.socket.connect();
-    else if (this.socket.open) this.socket.open();
+    this.instanceCreated = true;
+    this.connecting = true;
 
-  } catch (err) {
-    this.emit("error", err);
-    this.instanceCreated = false;
-  } finally {
-    this.connecting = false;
+    try {
+      const provider = await this._pickProvider();
+      this._attach(provider);
+      await provider.connect();
+    } catch (err) {
+      this.emit("error", err);
+      this._detach();
+      this.instanceCreated = false;
+      this._providerFailed();
+    } finally {
+      this.connecting = false;
+    }
   }
-}
-
 
-  // ---------------------- STOP SOCKET -----------------------
+  // ---------------------- STOP FEED -----------------------
   async stop() {
+    clearTimeout(this.reconnectTimer);
+    clearTimeout(this.failbackTimer);
+    this.reconnectTimer = null;
+    this.failbackTimer = null;
+
     try {
-      if (!this.socket) return;
+      if (!this.provider) return;
 
       this.isConnected = false;
+      this._detach();
 
-      try {
-        this.socket.removeAllListeners("connect");
-        this.socket.removeAllListeners("message");
-        this.socket.removeAllListeners("close");
-        this.socket.removeAllListeners("error");
-      } catch {}
+      this.instanceCreated = false;
+      this.reconnectAttempts = 0;
 
-      if (typeof this.socket.close === "function") {
-        this.socket.close();
+      this.emit("disconnect");
+    } catch (err) {
+      this.emit("error", err);
+    }
+  }
+
+  // ---------------------- PROVIDERS ----------------------
+  // First available provider, starting at the current priority slot
+  async _pickProvider() {
+    this.order = providerOrder();
+    if (this.providerIdx >= this.order.length) this.providerIdx = 0;
+
+    const skipped = [];
+    for (let i = 0; i < this.order.length; i++) {
+      const idx = (this.providerIdx + i) % this.order.length;
+      const provider = getProvider(this.order[idx]);
+      const avail = await provider.isAvailable().catch((e) => ({ ok: false, error: e.message }));
+
+      if (avail.ok) {
+        if (idx !== this.providerIdx) this._switchTo(idx, skipped.join("; "));
+        return provider;
       }
+      skipped.push(`${provider.name}: ${avail.error}`);
+    }
+    throw new Error(`no market data provider available (${skipped.join("; ")})`);
+  }
 
-      this.socket = null;
-      this.reconnectAttempts = 0;
+  _attach(provider) {
+    this.provider = provider;
+    provider.on("connect", this._onConnect);
+    provider.on("ticks", this._onTicks);
+    provider.on("close", this._onClose);
+    provider.on("error", this._onError);
+  }
 
-      this.emit("disconnect");
+  _detach() {
+    const provider = this.provider;
+    if (!provider) return;
+    this.provider = null;
+
+    provider.off("connect", this._onConnect);
+    provider.off("ticks", this._onTicks);
+    provider.off("close", this._onClose);
+    provider.off("error", this._onError);
+    try {
+      provider.close();
     } catch (err) {
       this.emit("error", err);
     }
   }
 
-  // ---------------------- SOCKET HANDLERS ----------------------
+  _switchTo(idx, reason) {
+    const from = this.order[this.providerIdx];
+    const to = this.order[idx];
+    this.providerIdx = idx;
+    this.failures = 0;
+    this.failovers++;
+    this.lastFailover = { from, to, reason, at: new Date() };
+    console.warn(`[MarketSocket] feed ${from} → ${to}${reason ? ` (${reason})` : ""}`);
+    this.emit("failover", this.lastFailover);
+  }
+
+  // Connect error or drop: retry, moving down the list after repeated failures
+  _providerFailed() {
+    this.failures++;
+    if (this.failures >= CFG.FAILOVER_AFTER && this.order.length > 1) {
+      this._switchTo((this.providerIdx + 1) % this.order.length, `${this.failures} consecutive failures`);
+    }
+    this._scheduleReconnect();
+  }
+
+  // While on a fallback, periodically move back to the primary once it is usable
+  _scheduleFailback() {
+    clearTimeout(this.failbackTimer);
+    if (this.providerIdx === 0) return;
+
+    this.failbackTimer = setTimeout(async () => {
+      this.failbackTimer = null;
+      if (this.providerIdx === 0 || this.replaying || !this.isConnected) return;
+
+      const primary = getProvider(this.order[0]);
+      const avail = await primary.isAvailable().catch(() => ({ ok: false }));
+      if (!avail.ok) return this._scheduleFailback();
+
+      await this.stop();
+      this._switchTo(0, "primary available again");
+      this.start().catch((e) => this.emit("error", e));
+    }, CFG.FAILBACK_MS);
+    this.failbackTimer.unref?.();
+  }
+
+  // subscribe / unsubscribe on the active provider (may be async)
+  _send(method, symbols, event) {
+    const provider = this.provider;
+    if (!provider || !symbols.length) return;
+    Promise.resolve()
+      .then(() => provider[method](symbols, { depth: CFG.DEPTH }))
+      .then(() => this.emit(event, symbols))
+      .catch((err) => this.emit("error", err));
+  }
+
+  // ---------------------- FEED HANDLERS ----------------------
   _onConnect() {
     this.isConnected = true;
     this.reconnectAttempts = 0;
+    this.failures = 0;
 
-    this.emit("connect");
+    this.emit("connect", { provider: this.provider?.name });
 
     // re-subscribe symbols
-    const all = Array.from(this.subscribed);
-    if (all.length && this.socket?.subscribe) {
-      try {
-        this.socket.subscribe(all);
-        this.emit("subscribed", all);
-      } catch (e) {
-        this.emit("error", e);
-      }
-    }
+    this._send("subscribe", Array.from(this.subscribed), "subscribed");
+    this._scheduleFailback();
   }
 
   _onClose(code, reason) {
+    const name = this.provider?.name;
     this.isConnected = false;
-    this.socket = null;
-    this.emit("disconnect", { code, reason });
-    this._scheduleReconnect();
+    this._detach();
+    this.instanceCreated = false;
+    this.emit("disconnect", { code, reason, provider: name });
+    this._providerFailed();
   }
 
   _onError(err) {
     this.emit("error", err);
   }
 
-  // ---------------------- PARSE INCOMING TICKS ----------------------
-  _onMessage(msg) {
-    const raw = Array.isArray(msg) ? msg : (msg?.d || msg?.data || msg);
-    const arr = Array.isArray(raw) ? raw : [raw];
-
-    const batch = [];
-
-    for (const t of arr) {
-      if (!t) continue;
-
-      const sym =
-        t.symbol ||
-        t.s ||
-        t.n ||
-        t.tradingsymbol ||
-        null;
-
-      let ltp =
-        t.ltp ||
-        t.lp ||
-        t.c ||
-        (t.v && (t.v.lp || t.v.last_price)) ||
-        null;
-
-      if (typeof ltp === "object") {
-        const key = Object.keys(ltp).find((k) => Number.isFinite(Number(ltp[k])));
-        if (key) ltp = Number(ltp[key]);
-      }
-
-      const ltpNum = Number(ltp);
-      if (!sym || !Number.isFinite(ltpNum)) continue;
-
-      const tsRaw = t.timestamp || t.ts || t.time || Date.now();
-      const ts =
-        Number(tsRaw) > 1e12
-          ? Number(tsRaw)
-          : Number(tsRaw) > 1e9
-          ? Number(tsRaw)
-          : Number(tsRaw) * 1000;
-
-      const tick = {
-        symbol: String(sym),
-        ltp: ltpNum,
-        ts,
-        raw: t,
-      };
+  // Normalized ticks from the active provider
+  _onTicks(batch) {
+    if (this.replaying) return;
+    this._publish(batch);
+  }
 
+  // LTP cache + tick/batch events for normalized ticks
+  _publish(batch) {
+    const receivedAt = Date.now();
+    for (const tick of batch) {
       // ---- LTP CACHE SAFETY LIMIT ----
       if (this.ltpMap.size >= CFG.LTP_CACHE_LIMIT) {
         // remove first inserted key
@@ -200,13 +255,11 @@ class MarketSocket extends EventEmitter {
         this.ltpMap.delete(first);
       }
 
-      this.ltpMap.set(tick.symbol, {
-        ltp: tick.ltp,
-        ts: tick.ts,
-        raw: tick.raw,
-      });
-
-      batch.push(tick);
+      const entry = { ltp: tick.ltp, ts: tick.ts, receivedAt };
+      for (const k of QUOTE_FIELDS) entry[k] = tick[k] ?? null;
+      entry.depth = tick.depth ?? null;
+      entry.raw = tick.raw;
+      this.ltpMap.set(tick.symbol, entry);
 
       this.emit("tick", tick);
     }
@@ -214,6 +267,37 @@ class MarketSocket extends EventEmitter {
     if (batch.length) this.emit("batch", batch);
   }
 
+  // ---------------------- REPLAY ----------------------
+  // Park the live feed; subscriptions are kept and re-sent on exit
+  async enterReplay() {
+    if (this.replaying) return;
+    await this.stop();
+    this.replaying = true;
+    this.replayTs = null;
+    for (const s of this.pendingSubscribe) this.subscribed.add(s);
+    this.pendingSubscribe.clear();
+    this.emit("replayStart");
+  }
+
+  exitReplay() {
+    if (!this.replaying) return;
+    this.replaying = false;
+    this.replayTs = null;
+    this.emit("replayEnd");
+  }
+
+  // Recorded ticks ({ symbol, ltp, ts, ...quote fields }); like the live
+  // feed, only subscribed symbols are delivered
+  ingest(ticks = []) {
+    if (!this.replaying) return 0;
+    for (const t of ticks) if (this.replayTs === null || t.ts > this.replayTs) this.replayTs = t.ts;
+    const batch = ticks
+      .filter((t) => this.symbolOwners.has(t.symbol))
+      .map((t) => makeTick(t.symbol, t.ltp, t.ts, t, t));
+    this._publish(batch);
+    return batch.length;
+  }
+
   // ---------------------- RECONNECT HANDLING ----------------------
   _scheduleReconnect() {
     this.reconnectAttempts = Math.min(this.reconnectAttempts + 1, 15);
@@ -222,7 +306,11 @@ class MarketSocket extends EventEmitter {
     const jitter = base * (0.75 + Math.random() * 0.5);
     const delay = Math.min(CFG.RECONNECT_MAX, jitter);
 
-    setTimeout(() => this.start().catch((e) => this.emit("error", e)), delay);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.start().catch((e) => this.emit("error", e));
+    }, delay);
   }
 
   // ---------------------- SUBSCRIBE ----------------------
@@ -254,7 +342,7 @@ class MarketSocket extends EventEmitter {
       );
     }
 
-    // ensure socket is alive
+    // ensure the feed is alive
     await this.start();
   }
 
@@ -263,15 +351,16 @@ class MarketSocket extends EventEmitter {
     this.pendingSubscribe.clear();
     this.subscribeTimer = null;
 
-    if (!batch.length || !this.socket?.subscribe) return;
+    if (!batch.length) return;
+    for (const s of batch) this.subscribed.add(s);
 
-    try {
-      this.socket.subscribe(batch);
-      for (const s of batch) this.subscribed.add(s);
+    if (this.replaying) {
       this.emit("subscribed", batch);
-    } catch (err) {
-      this.emit("error", err);
+      return;
     }
+
+    // not connected yet: the whole set goes out on connect
+    if (this.isConnected) this._send("subscribe", batch, "subscribed");
   }
 
   // ---------------------- UNSUBSCRIBE ----------------------
@@ -300,14 +389,7 @@ class MarketSocket extends EventEmitter {
       }
     }
 
-    if (toSend.length && this.socket?.unsubscribe) {
-      try {
-        this.socket.unsubscribe(toSend);
-        this.emit("unsubscribed", toSend);
-      } catch (err) {
-        this.emit("error", err);
-      }
-    }
+    if (toSend.length && this.isConnected) this._send("unsubscribe", toSend, "unsubscribed");
   }
 
   // ---------------------- GETTERS ----------------------
@@ -318,6 +400,18 @@ class MarketSocket extends EventEmitter {
   getSubscribedSymbols() {
     return Array.from(this.subscribed);
   }
+
+  getFeedStatus() {
+    return {
+      provider: this.provider?.name || null,
+      order: this.order,
+      connected: this.isConnected,
+      replaying: this.replaying,
+      failures: this.failures,
+      failovers: this.failovers,
+      lastFailover: this.lastFailover,
+    };
+  }
 }
 
 module.exports = new MarketSocket();
@@ -0,0 +1,121 @@
+// services/paperSim.service.js
+"use strict";
+
+/*
+  Paper execution model
+  ---------------------
+  ✓ Marketable fills cross the spread when a live bid/ask is known
+  ✓ Adverse slippage on every paper fill (bps of price and/or whole ticks)
+  ✓ Fill prices rounded to the exchange tick, always against the trader
+  ✓ Indian intraday equity charges on the round trip (estimate for live too)
+
+  Slippage knobs are strategy params (tradeEngine CFG / StrategyConfig);
+  the charge schedule is regulatory and comes from env.
+*/
+
+const envNum = (key, dflt) => (process.env[key] !== undefined && process.env[key] !== "" ? Number(process.env[key]) : dflt);
+
+// NSE intraday equity (MIS) schedule; percentages are of turnover
+const CHARGES = {
+  BROKERAGE_FLAT: envNum("CHARGES_BROKERAGE_FLAT", 20),   // ₹ cap per executed order
+  BROKERAGE_PCT: envNum("CHARGES_BROKERAGE_PCT", 0.03),   // % of order value (lower of the two)
+  STT_SELL_PCT: envNum("CHARGES_STT_SELL_PCT", 0.025),    // sell side only
+  EXCHANGE_PCT: envNum("CHARGES_EXCHANGE_PCT", 0.00297),  // NSE transaction charge
+  SEBI_PER_CRORE: envNum("CHARGES_SEBI_PER_CRORE", 10),
+  GST_PCT: envNum("CHARGES_GST_PCT", 18),                 // on brokerage + exchange + SEBI
+  STAMP_BUY_PCT: envNum("CHARGES_STAMP_BUY_PCT", 0.003),  // buy side only
+};
+
+// A touch further than this from the LTP is treated as a bad quote
+const MAX_TOUCH_GAP_PCT = 2;
+
+const ZERO_CHARGES = Object.freeze({ brokerage: 0, stt: 0, exchange: 0, sebi: 0, gst: 0, stamp: 0, total: 0 });
+
+const round2 = (v) => Number(Number(v).toFixed(2));
+
+// Round to the tick grid; "up" / "down" pick the side that is worse for the trader
+function roundToTick(price, tick = 0.05, dirn = "nearest") {
+  if (!(tick > 0)) return round2(price);
+  const steps = price / tick;
+  const eps = 1e-9;
+  const n = dirn === "up" ? Math.ceil(steps - eps) : dirn === "down" ? Math.floor(steps + eps) : Math.round(steps);
+  return round2(n * tick);
+}
+
+// BUY lifts the ask, SELL hits the bid; null without a sane two-sided quote
+function touchPrice(ltp, action, quote) {
+  const bid = Number(quote?.bid);
+  const ask = Number(quote?.ask);
+  if (!(bid > 0) || !(ask >= bid)) return null;
+  const touch = action === "SELL" ? bid : ask;
+  return (Math.abs(touch - ltp) / ltp) * 100 <= MAX_TOUCH_GAP_PCT ? touch : null;
+}
+
+/**
+ * Simulated fill for a market order at `ltp`.
+ * action: "BUY" pays up, "SELL" gives away.
+ * cfg: { PAPER_SLIPPAGE_BPS, PAPER_SLIPPAGE_TICKS, TICK_SIZE }
+ * quote: { bid, ask } at the same moment → the fill starts from the touch
+ *        and slippage models impact beyond it
+ */
+function simulateFill(ltp, action, cfg = {}, quote = null) {
+  const last = Number(ltp);
+  if (!(last > 0)) return last;
+  const price = touchPrice(last, action, quote) ?? last;
+
+  const tick = Number(cfg.TICK_SIZE) || 0.05;
+  const slip = (price * (Number(cfg.PAPER_SLIPPAGE_BPS) || 0)) / 10000 + tick * (Number(cfg.PAPER_SLIPPAGE_TICKS) || 0);
+
+  return action === "SELL"
+    ? roundToTick(Math.max(tick, price - slip), tick, "down")
+    : roundToTick(price + slip, tick, "up");
+}
+
+// Side of the order that closes a position
+const exitAction = (side) => (side === "SELL" ? "BUY" : "SELL");
+
+function brokerageFor(orderValue, schedule) {
+  return Math.min(schedule.BROKERAGE_FLAT, (orderValue * schedule.BROKERAGE_PCT) / 100);
+}
+
+/**
+ * Round-trip charges for one trade.
+ * entry: { side, price, qty }, exits: [{ price, qty }] (one per exit order)
+ */
+function computeCharges({ side, price, qty }, exits = [], schedule = CHARGES) {
+  const entryValue = Number(price) * Number(qty);
+  const exitValues = exits.map((l) => Number(l.price) * Number(l.qty));
+  const exitValue = exitValues.reduce((s, v) => s + v, 0);
+
+  const buyValue = side === "SELL" ? exitValue : entryValue;
+  const sellValue = side === "SELL" ? entryValue : exitValue;
+  const turnover = buyValue + sellValue;
+
+  const brokerage = [entryValue, ...exitValues].reduce((s, v) => s + brokerageFor(v, schedule), 0);
+  const stt = (sellValue * schedule.STT_SELL_PCT) / 100;
+  const exchange = (turnover * schedule.EXCHANGE_PCT) / 100;
+  const sebi = (turnover * schedule.SEBI_PER_CRORE) / 1e7;
+  const gst = ((brokerage + exchange + sebi) * schedule.GST_PCT) / 100;
+  const stamp = (buyValue * schedule.STAMP_BUY_PCT) / 100;
+
+  const out = {
+    brokerage: round2(brokerage),
+    stt: round2(stt),
+    exchange: round2(exchange),
+    sebi: round2(sebi),
+    gst: round2(gst),
+    stamp: round2(stamp),
+  };
+  out.total = round2(Object.values(out).reduce((s, v) => s + v, 0));
+  return out;
+}
+
+module.exports = {
+  CHARGES,
+  ZERO_CHARGES,
+  roundToTick,
+  touchPrice,
+  simulateFill,
+  exitAction,
+  computeCharges,
+};
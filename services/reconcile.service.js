@@ -0,0 +1,221 @@
+// services/reconcile.service.js
+"use strict";
+
+/*
+  Live trade reconciliation against the broker's order book, read through
+  the trade's adapter (getOrderBook; adapters without one are skipped).
+  For every live PaperTrade of the day:
+    - parent bracket order → fill price, or REJECTED / CANCELLED
+    - child legs           → target / stop executions (and manual square-offs)
+  Broker outcomes the engine has not seen yet are written back (status FIXED)
+  and run through the engine's close hook; states that cannot be resolved
+  automatically are flagged as MISMATCH.
+*/
+
+const { DateTime } = require("luxon");
+const { IST } = require("../utils/time");
+const PaperTrade = require("../models/PaperTrade");
+const { getAdapterForTrade } = require("./brokers");
+const tradeEngine = require("./tradeEngine.service");
+
+function startOfDayUTC() {
+  return DateTime.now().setZone(IST).startOf("day").toUTC().toJSDate();
+}
+
+// Pure: decide what the broker says about one trade.
+// orders: adapter getOrderBook() rows { orderId, parentId, status, kind, avgPrice, qty, time, message }
+function assessTrade(trade, orders) {
+  const parentId = String(trade.brokerOrderId);
+  const parent = orders.find((o) => o.orderId === parentId);
+  const legs = orders
+    .filter((o) => o.parentId === parentId)
+    .map((o) => ({
+      orderid: o.orderId,
+      kind: o.kind,
+      status: o.status,
+      price: o.avgPrice,
+      qty: o.qty,
+      time: o.time,
+    }));
+  const squareOff = trade.exitOrderId
+    ? orders.find((o) => o.orderId === String(trade.exitOrderId))
+    : null;
+
+  if (!parent) return { brokerStatus: "UNKNOWN", legs };
+
+  const message = parent.message || "";
+  if (parent.status === "REJECTED" || parent.status === "CANCELLED") {
+    return { brokerStatus: parent.status, legs, message };
+  }
+  if (parent.status !== "FILLED") return { brokerStatus: "PENDING", legs, message };
+
+  const fillPrice = parent.avgPrice;
+  const hit = legs.find((l) => l.status === "FILLED");
+  if (hit) return { brokerStatus: "EXITED", fillPrice, exitPrice: hit.price, exitReason: hit.kind, legs };
+
+  if (squareOff?.status === "FILLED") {
+    return { brokerStatus: "EXITED", fillPrice, exitPrice: squareOff.avgPrice, exitReason: "MANUAL", legs };
+  }
+
+  const open = legs.some((l) => l.status === "PENDING");
+  return { brokerStatus: open ? "FILLED" : "FLAT", fillPrice, legs };
+}
+
+// Broker view → update for the local trade (+ recon verdict)
+function buildReconUpdate(trade, a) {
+  const at = new Date();
+  const $set = {
+    brokerStatus: a.brokerStatus,
+    brokerLegs: a.legs,
+    reconciledAt: at,
+    reconStatus: "OK",
+    reconNote: "",
+  };
+  if (a.fillPrice) $set.brokerFillPrice = a.fillPrice;
+  if (a.exitPrice) $set.brokerExitPrice = a.exitPrice;
+  if (a.message) $set.brokerMessage = a.message;
+
+  const isOpen = trade.status === "OPEN";
+  let update = { $set };
+
+  if (a.brokerStatus === "UNKNOWN") {
+    if (isOpen) Object.assign($set, { reconStatus: "MISMATCH", reconNote: "order not found at broker" });
+    return update;
+  }
+
+  if (a.brokerStatus === "REJECTED" || a.brokerStatus === "CANCELLED") {
+    if (isOpen) {
+      // never filled: close flat so it stops counting as exposure
+      const close = tradeEngine.buildFlatCloseUpdate(trade, `BROKER_${a.brokerStatus}`);
+      update = { ...close, $set: { ...close.$set, ...$set } };
+      Object.assign(update.$set, { reconStatus: "FIXED", reconNote: `order ${a.brokerStatus.toLowerCase()} at broker` });
+    }
+    return update;
+  }
+
+  if (a.brokerStatus === "EXITED") {
+    if (isOpen && a.exitPrice) {
+      // PnL from the real fills, not the signal price
+      const filled = { ...trade, entryPrice: a.fillPrice || trade.entryPrice };
+      const close = tradeEngine.buildCloseUpdate(filled, a.exitPrice, a.exitReason);
+      update = { ...close, $set: { ...close.$set, ...$set } };
+      Object.assign(update.$set, { reconStatus: "FIXED", reconNote: `${a.exitReason} executed at broker` });
+    } else if (!isOpen && a.exitPrice && trade.exitPrice && Math.abs(a.exitPrice - trade.exitPrice) > 0.05) {
+      $set.reconNote = `exit price differs: local ${trade.exitPrice} / broker ${a.exitPrice}`;
+    }
+    return update;
+  }
+
+  if (a.brokerStatus === "FLAT" && isOpen) {
+    Object.assign($set, { reconStatus: "MISMATCH", reconNote: "OPEN locally but flat at broker" });
+    return update;
+  }
+
+  if (a.brokerStatus === "FILLED" && !isOpen) {
+    Object.assign($set, { reconStatus: "MISMATCH", reconNote: "CLOSED locally but position open at broker" });
+  }
+  return update;
+}
+
+async function reconcileUser(userId) {
+  const trades = await PaperTrade.find({
+    userId,
+    tradeMode: "live",
+    brokerOrderId: { $exists: true, $ne: null },
+    entryTime: { $gte: startOfDayUTC() },
+  }).lean();
+
+  // one order-book read per adapter
+  const byAdapter = new Map();
+  let skipped = 0;
+  for (const trade of trades) {
+    const adapter = getAdapterForTrade(trade);
+    if (typeof adapter?.getOrderBook !== "function") {
+      skipped++;
+      continue;
+    }
+    if (!byAdapter.has(adapter)) byAdapter.set(adapter, []);
+    byAdapter.get(adapter).push(trade);
+  }
+
+  let checked = 0;
+  let fixed = 0;
+  let mismatches = 0;
+  let closed = 0;
+  const errors = [];
+
+  for (const [adapter, group] of byAdapter) {
+    const book = await adapter.getOrderBook(userId);
+    if (!book.ok) {
+      errors.push(book.error || `${adapter.name} order book unavailable`);
+      continue;
+    }
+
+    for (const trade of group) {
+      const update = buildReconUpdate(trade, assessTrade(trade, book.orders));
+
+      // a trade fixed on an earlier pass stays FIXED (it is CLOSED and consistent now)
+      if (trade.reconStatus === "FIXED" && update.$set.reconStatus === "OK") {
+        update.$set.reconStatus = "FIXED";
+        update.$set.reconNote = update.$set.reconNote || trade.reconNote;
+      } else if (update.$set.reconStatus === "FIXED") {
+        fixed++;
+      }
+      if (update.$set.reconStatus === "MISMATCH") mismatches++;
+
+      const res = await PaperTrade.updateOne({ _id: trade._id, status: trade.status }, update);
+      if (trade.status === "OPEN" && update.$set.status === "CLOSED" && res.modifiedCount) closed++;
+      checked++;
+    }
+  }
+
+  // broker-side exits free slots and count toward the daily limits like engine exits
+  if (closed) await tradeEngine.onTradesClosed([userId]);
+
+  const result = { ok: !errors.length, userId: String(userId), checked, fixed, mismatches, skipped };
+  if (errors.length) result.error = errors.join("; ");
+  return result;
+}
+
+async function reconcileAll() {
+  const userIds = await PaperTrade.distinct("userId", {
+    tradeMode: "live",
+    entryTime: { $gte: startOfDayUTC() },
+  });
+
+  const results = [];
+  for (const uid of userIds) {
+    try {
+      results.push(await reconcileUser(uid));
+    } catch (err) {
+      results.push({ ok: false, userId: String(uid), error: err.message });
+    }
+  }
+  return { ok: true, results };
+}
+
+// Today's live trades whose broker state needed attention
+async function getReconciliationReport({ all = false } = {}) {
+  const q = { tradeMode: "live", entryTime: { $gte: startOfDayUTC() } };
+  if (!all) q.reconStatus = { $in: ["MISMATCH", "FIXED"] };
+
+  const trades = await PaperTrade.find(q)
+    .select("userId symbol side qty status entryPrice exitPrice notes brokerOrderId brokerStatus brokerFillPrice brokerExitPrice brokerLegs brokerMessage reconStatus reconNote reconciledAt")
+    .sort({ reconStatus: 1, entryTime: -1 })
+    .lean();
+
+  return {
+    ok: true,
+    mismatches: trades.filter((t) => t.reconStatus === "MISMATCH"),
+    fixed: trades.filter((t) => t.reconStatus === "FIXED"),
+    trades: all ? trades : undefined,
+  };
+}
+
+module.exports = {
+  assessTrade,
+  buildReconUpdate,
+  reconcileUser,
+  reconcileAll,
+  getReconciliationReport,
+};
@@ -41,6 +41,20 @@ async function fetchTodayTrades(filter = {}) {
   return trades;
 }
 
+// Filled exit legs; trades closed before scale-out existed get one synthetic leg
+function legsOf(tr) {
+  if (Array.isArray(tr.exitLegs) && tr.exitLegs.length) return tr.exitLegs;
+  if (tr.status !== "CLOSED") return [];
+  return [{
+    leg: "FINAL",
+    qty: tr.qty,
+    price: tr.exitPrice,
+    time: tr.exitTime,
+    pnlAbs: tr.pnlAbs ?? 0,
+    reason: tr.notes ?? ""
+  }];
+}
+
 function summarizeTrades(trades) {
   const summary = {
     dateIST: DateTime.now().setZone(IST).toISODate(),
@@ -51,6 +65,10 @@ function summarizeTrades(trades) {
     losses: 0,
     selfClosed: 0,
     grossPnLAbs: 0,
+    partialPnLAbs: 0, // realised legs of trades that are still open
+    chargesAbs: 0,    // brokerage + taxes of closed trades
+    netPnLAbs: 0,     // gross - charges
+    exitLegs: 0,
     avgPnLAbs: 0,
     bestTrade: null,
     worstTrade: null
@@ -60,12 +78,21 @@ function summarizeTrades(trades) {
 
   // We'll also collect cleaned rows for table / CSV
   const rows = trades.map(tr => {
-    const isClosed = tr.status === "CLOSED";
-    const plAbs = isClosed ? (tr.pnlAbs ?? 0) : 0;
+    const legs = legsOf(tr);
+    const realizedPnLAbs = legs.reduce((sum, l) => sum + Number(l.pnlAbs || 0), 0);
+    const legQty = legs.reduce((sum, l) => sum + Number(l.qty || 0), 0);
+    const avgExitPrice = legQty
+      ? legs.reduce((sum, l) => sum + Number(l.price || 0) * Number(l.qty || 0), 0) / legQty
+      : null;
+
+    // trades closed before charges were tracked report net = gross
+    const grossPnLAbs = tr.status === "CLOSED" ? realizedPnLAbs : (tr.pnlAbs ?? null);
+    const chargesAbs = tr.status === "CLOSED" ? Number(tr.charges?.total || 0) : 0;
 
     return {
       _id: tr._id,
       symbol: tr.symbol,
+      side: tr.side || "BUY",
       qty: tr.qty,
       entryPrice: tr.entryPrice,
       targetPrice: tr.targetPrice,
@@ -74,8 +101,23 @@ function summarizeTrades(trades) {
       status: tr.status,
       exitPrice: tr.exitPrice ?? null,
       exitTime: tr.exitTime ?? null,
-      pnlAbs: tr.pnlAbs ?? null,
+      // closed trades: leg sum is the trade's PnL
+      pnlAbs: grossPnLAbs,
       pnlPct: tr.pnlPct ?? null,
+      charges: tr.charges ?? null,
+      chargesAbs,
+      netPnlAbs: grossPnLAbs === null ? null : grossPnLAbs - chargesAbs,
+      openQty: tr.status === "CLOSED" ? 0 : (tr.openQty ?? tr.qty),
+      realizedPnLAbs,
+      avgExitPrice,
+      legs: legs.map(l => ({
+        leg: l.leg,
+        qty: l.qty,
+        price: l.price,
+        time: l.time,
+        pnlAbs: l.pnlAbs,
+        reason: l.reason
+      })),
       notes: tr.notes ?? ""
     };
   });
@@ -86,11 +128,18 @@ function summarizeTrades(trades) {
 
   summary.openTrades = open.length;
   summary.closedTrades = closed.length;
+  summary.exitLegs = rows.reduce((n, r) => n + r.legs.length, 0);
+
+  // scale-out legs already banked on trades that are still running
+  open.forEach(r => {
+    summary.partialPnLAbs += r.realizedPnLAbs;
+  });
 
   // wins / losses: based on pnlAbs > 0
   closed.forEach(r => {
     const abs = r.pnlAbs || 0;
     summary.grossPnLAbs += abs;
+    summary.chargesAbs += r.chargesAbs;
     const note = (r.notes || "").toUpperCase();
     const isManual = note.includes("MANUAL") || note.includes("SELF");
     if (isManual) {
@@ -106,6 +155,8 @@ function summarizeTrades(trades) {
   if (closed.length > 0) {
     summary.avgPnLAbs = summary.grossPnLAbs / closed.length;
   }
+  summary.grossPnLAbs += summary.partialPnLAbs;
+  summary.netPnLAbs = summary.grossPnLAbs - summary.chargesAbs;
 
   // best/worst
   if (closed.length > 0) {
@@ -127,6 +178,7 @@ function buildCSV(summary, rows) {
   // CSV header
   const header = [
     "symbol",
+    "side",
     "qty",
     "entryPrice",
     "targetPrice",
@@ -137,6 +189,11 @@ function buildCSV(summary, rows) {
     "exitTimeIST",
     "pnlAbs",
     "pnlPct",
+    "charges",
+    "netPnlAbs",
+    "openQty",
+    "avgExitPrice",
+    "exitLegs",
     "notes"
   ];
 
@@ -148,6 +205,9 @@ function buildCSV(summary, rows) {
   lines.push(`# Wins,${summary.wins}`);
   lines.push(`# Losses,${summary.losses}`);
   lines.push(`# GrossPnLAbs,${toTwo(summary.grossPnLAbs)}`);
+  lines.push(`# PartialPnLAbs,${toTwo(summary.partialPnLAbs)}`);
+  lines.push(`# ChargesAbs,${toTwo(summary.chargesAbs)}`);
+  lines.push(`# NetPnLAbs,${toTwo(summary.netPnLAbs)}`);
   lines.push(`# AvgPnLAbs,${toTwo(summary.avgPnLAbs)}`);
   lines.push("");
   lines.push(header.join(","));
@@ -160,6 +220,7 @@ function buildCSV(summary, rows) {
 
     const rowCsv = [
       r.symbol,
+      r.side,
       r.qty,
       toTwo(r.entryPrice),
       toTwo(r.targetPrice),
@@ -170,6 +231,12 @@ function buildCSV(summary, rows) {
       exitIST,
       r.pnlAbs != null ? toTwo(r.pnlAbs) : "",
       r.pnlPct != null ? toTwo(r.pnlPct) : "",
+      toTwo(r.chargesAbs),
+      r.netPnlAbs != null ? toTwo(r.netPnlAbs) : "",
+      r.openQty,
+      r.avgExitPrice != null ? toTwo(r.avgExitPrice) : "",
+      // e.g. "T1 5@101.00 +5.00; FINAL 5@102.00 +10.00"
+      r.legs.map(l => `${l.leg} ${l.qty}@${toTwo(l.price)} ${toTwo(l.pnlAbs)}`).join("; "),
       (r.notes || "").replace(/,/g,";") // commas break CSV
     ];
 
@@ -0,0 +1,135 @@
+// services/risk.service.js
+"use strict";
+
+/*
+  Per-user daily circuit breaker.
+  Evaluated from today's CLOSED PaperTrade rows (IST day, or since the last
+  admin reset if that is later). Every limit reads net PnL (after charges).
+  Limits live on user.strategy:
+    dailyMaxLoss          ₹ realised loss for the day
+    dailyMaxLossPct       realised PnL as % of capital (e.g. 3 = -3%); capital
+                          is strategy.riskCapital, or the cash seen at today's
+                          first live entry
+    maxConsecutiveLosses  losing exits in a row
+    flattenOnBreach       also close open trades when a limit trips
+*/
+
+const { DateTime } = require("luxon");
+const { IST } = require("../utils/time");
+const PaperTrade = require("../models/PaperTrade");
+const User = require("../models/User");
+
+const pos = (v) => (Number(v) > 0 ? Number(v) : null);
+
+function getRiskLimits(user) {
+  const s = user?.strategy || {};
+  return {
+    dailyMaxLoss: pos(s.dailyMaxLoss),
+    dailyMaxLossPct: pos(s.dailyMaxLossPct),
+    riskCapital: pos(s.riskCapital),
+    maxConsecutiveLosses: pos(s.maxConsecutiveLosses),
+    flattenOnBreach: !!s.flattenOnBreach,
+  };
+}
+
+function windowStart(user) {
+  const sod = DateTime.now().setZone(IST).startOf("day").toUTC().toJSDate();
+  const resetAt = user?.riskReset?.at ? new Date(user.riskReset.at) : null;
+  return resetAt && resetAt > sod ? resetAt : sod;
+}
+
+// Cash the sizer saw at the first live entry of the window (null for paper)
+async function entryCapital(user, since) {
+  const first = await PaperTrade.findOne({
+    userId: user._id,
+    entryTime: { $gte: since },
+    "sizing.capital": { $gt: 0 },
+  })
+    .sort({ entryTime: 1 })
+    .select("sizing.capital")
+    .lean();
+  return pos(first?.sizing?.capital);
+}
+
+async function getDailyRiskState(user) {
+  const limits = getRiskLimits(user);
+  const since = windowStart(user);
+
+  const closed = await PaperTrade.find({
+    userId: user._id,
+    status: "CLOSED",
+    exitTime: { $gte: since },
+  })
+    .select("pnlAbs netPnlAbs exitTime")
+    .sort({ exitTime: -1 })
+    .lean();
+
+  // rows closed before charges were tracked have no netPnlAbs
+  const netOf = (t) => Number(t.netPnlAbs ?? t.pnlAbs ?? 0);
+
+  let realizedPnl = 0;
+  let grossRealizedPnl = 0;
+  for (const t of closed) {
+    realizedPnl += netOf(t);
+    grossRealizedPnl += Number(t.pnlAbs || 0);
+  }
+
+  const capital = limits.riskCapital ?? (await entryCapital(user, since));
+  const realizedPnlPct = capital ? (realizedPnl / capital) * 100 : null;
+
+  let consecutiveLosses = 0;
+  for (const t of closed) {
+    if (netOf(t) < 0) consecutiveLosses++;
+    else break;
+  }
+
+  const reasons = [];
+  if (limits.dailyMaxLoss && -realizedPnl >= limits.dailyMaxLoss) reasons.push("DAILY_MAX_LOSS");
+  if (limits.dailyMaxLossPct && realizedPnlPct !== null && -realizedPnlPct >= limits.dailyMaxLossPct) {
+    reasons.push("DAILY_MAX_LOSS_PCT");
+  }
+  if (limits.maxConsecutiveLosses && consecutiveLosses >= limits.maxConsecutiveLosses) {
+    reasons.push("MAX_CONSECUTIVE_LOSSES");
+  }
+
+  return {
+    blocked: reasons.length > 0,
+    reasons,
+    realizedPnl: Number(realizedPnl.toFixed(2)),
+    grossRealizedPnl: Number(grossRealizedPnl.toFixed(2)),
+    realizedPnlPct: realizedPnlPct === null ? null : Number(realizedPnlPct.toFixed(2)),
+    capital,
+    consecutiveLosses,
+    closedTrades: closed.length,
+    since,
+    limits,
+    resetAt: user?.riskReset?.at || null,
+    resetBy: user?.riskReset?.by || null,
+  };
+}
+
+async function getDailyRiskStateById(userId) {
+  const user = await User.findById(userId).select("strategy riskReset").lean();
+  if (!user) return null;
+  return getDailyRiskState(user);
+}
+
+// Admin override: only trades closed after now count toward today's limits
+async function resetDailyRisk(userId, by = "admin") {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { riskReset: { at: new Date(), by } } },
+    { new: true }
+  )
+    .select("strategy riskReset")
+    .lean();
+  if (!user) return null;
+  return getDailyRiskState(user);
+}
+
+module.exports = {
+  getRiskLimits,
+  getDailyRiskState,
+  getDailyRiskStateById,
+  resetDailyRisk,
+};
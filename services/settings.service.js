@@ -2,45 +2,123 @@
 
 /*
   Global runtime toggles for admin.
-  In production you'd persist to DB.
+  Persisted in the SystemSettings singleton so a restart keeps a market halt
+  or a paper-trading switch-off; every change is appended to SettingsAudit.
+  The in-memory copy is only a fallback for when Mongo is unreachable.
 */
 
-const settings = {
+const SystemSettings = require("../models/SystemSettings");
+const SettingsAudit = require("../models/SettingsAudit");
+
+const DEFAULTS = Object.freeze({
   isPaperTradingActive: true,
   isLiveExecutionAllowed: false,
   marketHalt: false,
   // per-user allowed margin percent (0..1)
   userMargins: { default: 0.5 }, // default 50%
-};
+});
+
+let cache = { ...DEFAULTS, userMargins: { ...DEFAULTS.userMargins } };
+let metaCache = {};
+
+function toBool(v) {
+  return v === true || v === "true" || v === 1 || v === "1";
+}
+
+async function loadDoc() {
+  return SystemSettings.findOneAndUpdate(
+    { key: "global" },
+    { $setOnInsert: { values: DEFAULTS, meta: {} } },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+function refreshCache(doc) {
+  const values = doc?.values || {};
+  cache = {
+    ...DEFAULTS,
+    ...values,
+    userMargins: { ...DEFAULTS.userMargins, ...(values.userMargins || {}) },
+  };
+  metaCache = doc?.meta || {};
+}
+
+// Reads the persisted settings (falls back to last known values on DB error)
+async function getSettings() {
+  try {
+    refreshCache(await loadDoc());
+  } catch (err) {
+    console.warn("[settings] load failed, using cached values:", err.message);
+  }
+  return { ...cache };
+}
+
+async function getSettingsWithMeta() {
+  const settings = await getSettings();
+  return { settings, meta: { ...metaCache } };
+}
 
-function getSettings() {
-  return { ...settings };
+async function writeSetting(path, value, changedBy, oldValue) {
+  const changedAt = new Date();
+  const metaKey = path.replace(/\./g, "_");
+
+  const doc = await SystemSettings.findOneAndUpdate(
+    { key: "global" },
+    {
+      $set: {
+        [`values.${path}`]: value,
+        [`meta.${metaKey}`]: { changedBy, changedAt },
+      },
+    },
+    { upsert: true, new: true }
+  ).lean();
+
+  await SettingsAudit.create({ key: path, oldValue, newValue: value, changedBy, changedAt });
+  refreshCache(doc);
 }
 
-function setSetting(key, value) {
-  if (Object.prototype.hasOwnProperty.call(settings, key)) {
-    settings[key] = value;
+async function setSetting(key, value, changedBy = "system") {
+  if (!Object.prototype.hasOwnProperty.call(DEFAULTS, key) || key === "userMargins") {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  const current = await getSettings();
+  const next = typeof DEFAULTS[key] === "boolean" ? toBool(value) : value;
+
+  if (current[key] !== next) {
+    await writeSetting(key, next, changedBy, current[key]);
   }
   return getSettings();
 }
 
 // get or set allowed margin % per user (0..1)
 function getUserAllowedMargin(userId = "default") {
-  const v = settings.userMargins?.[userId];
+  const v = cache.userMargins?.[userId];
   if (typeof v === "number" && v >= 0 && v <= 1) return v;
-  return settings.userMargins.default ?? 0.5;
+  return cache.userMargins.default ?? 0.5;
 }
 
-function setUserAllowedMargin(userId, percent) {
-  if (!settings.userMargins) settings.userMargins = {};
+async function setUserAllowedMargin(userId, percent, changedBy = "system") {
   const p = Math.max(0, Math.min(1, Number(percent)));
-  settings.userMargins[userId] = p;
+  const current = await getSettings();
+  const old = current.userMargins?.[userId] ?? null;
+  if (old !== p) {
+    await writeSetting(`userMargins.${userId}`, p, changedBy, old);
+  }
   return getUserAllowedMargin(userId);
 }
 
+async function getHistory({ key, limit = 100 } = {}) {
+  const q = key ? { key } : {};
+  const n = Math.max(1, Math.min(500, Number(limit) || 100));
+  return SettingsAudit.find(q).sort({ changedAt: -1 }).limit(n).lean();
+}
+
 module.exports = {
   getSettings,
+  getSettingsWithMeta,
   setSetting,
   getUserAllowedMargin,
   setUserAllowedMargin,
+  getHistory,
 };
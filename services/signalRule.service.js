@@ -0,0 +1,263 @@
+// services/signalRule.service.js
+"use strict";
+
+/**
+ * Signal rules (M2 entry DSL)
+ * ---------------------------
+ * ✓ JSON condition trees stored in Mongo (SignalRule), validated with zod on save
+ * ✓ Enabled rules cached in memory; M2 evaluates them per symbol on each tick
+ * ✓ First matching rule (by priority) wins and is recorded on the M2Signal
+ *
+ * Node      := { all: [Node] } | { any: [Node] } | { not: Node } | Condition
+ * Condition := { left: Operand, op: ">" | ">=" | "<" | "<=", right: Operand }
+ *            | { left: Operand, op: "between" | "outside", right: [lo, hi] }
+ * Operand   := number
+ *            | { field: "open"|"high"|"low"|"close"|"volume", tf?, times? }
+ *            | { ind: "RSI"|"EMA"|…, tf?, period?, fast?, slow?, signal?, mult?,
+ *                source?, out?, times? }
+ * tf defaults to "1m"; `times` scales the operand (volume > 1.5 × avg20);
+ * `out` picks a component of MACD / BOLLINGER / SUPERTREND / ADX.
+ */
+
+const { z } = require("zod");
+const SignalRule = require("../models/SignalRule");
+const indicators = require("../utils/indicators");
+
+const TIMEFRAMES = ["1m", "3m", "5m", "15m"];
+const FIELDS = { open: 1, high: 2, low: 3, close: 4, volume: 5 };
+
+// composite indicator → components (first is the default)
+const OUTPUTS = {
+  MACD: ["macd", "signal", "histogram"],
+  BOLLINGER: ["middle", "upper", "lower"],
+  SUPERTREND: ["value", "direction"],
+  ADX: ["adx", "plusDI", "minusDI"],
+};
+
+let cache = []; // enabled rules, priority order
+
+// ------------------------------- SCHEMA --------------------------------
+const tf = z.enum(TIMEFRAMES);
+const times = z.number().positive().max(100);
+const period = z.number().int().min(1).max(200);
+
+const FieldOperand = z
+  .object({ field: z.enum(Object.keys(FIELDS)), tf: tf.optional(), times: times.optional() })
+  .strict();
+
+const IndOperand = z
+  .object({
+    ind: z.enum(indicators.INDICATORS),
+    tf: tf.optional(),
+    period: period.optional(),
+    fast: period.optional(),
+    slow: period.optional(),
+    signal: period.optional(),
+    mult: z.number().positive().max(10).optional(),
+    source: z.enum(indicators.SOURCES).optional(),
+    out: z.string().optional(),
+    times: times.optional(),
+  })
+  .strict()
+  .superRefine((o, ctx) => {
+    const outs = OUTPUTS[o.ind];
+    if (o.out !== undefined && !(outs || []).includes(o.out)) {
+      ctx.addIssue({
+        code: "custom",
+        message: outs ? `${o.ind} out must be one of ${outs.join(", ")}` : `${o.ind} has no out`,
+      });
+    }
+    if (o.ind === "MACD" && o.fast && o.slow && o.fast >= o.slow) {
+      ctx.addIssue({ code: "custom", message: "MACD fast must be below slow" });
+    }
+  });
+
+const Operand = z.union([z.number(), FieldOperand, IndOperand]);
+
+const Compare = z
+  .object({ left: Operand, op: z.enum([">", ">=", "<", "<="]), right: Operand })
+  .strict();
+
+const Range = z
+  .object({ left: Operand, op: z.enum(["between", "outside"]), right: z.tuple([z.number(), z.number()]) })
+  .strict()
+  .refine((c) => c.right[0] < c.right[1], { message: "range must be [low, high]" });
+
+const Node = z.lazy(() =>
+  z.union([
+    z.object({ all: z.array(Node).min(1).max(20) }).strict(),
+    z.object({ any: z.array(Node).min(1).max(20) }).strict(),
+    z.object({ not: Node }).strict(),
+    Compare,
+    Range,
+  ])
+);
+
+const RuleSchema = z.object({
+  name: z.string().trim().min(1).max(80),
+  description: z.string().max(500).optional(),
+  side: z.enum(["BUY", "SELL", "ANY"]).default("ANY"),
+  enabled: z.boolean().default(true),
+  priority: z.number().int().min(0).max(10000).default(100),
+  when: Node,
+});
+
+function validateRule(input) {
+  const parsed = RuleSchema.safeParse(input);
+  if (parsed.success) return { ok: true, rule: parsed.data };
+  const error = parsed.error.issues
+    .map((i) => `${i.path.join(".") || "rule"}: ${i.message}`)
+    .join("; ");
+  return { ok: false, error };
+}
+
+// ------------------------------ EVALUATION -----------------------------
+/**
+ * ctx.bars(tf) → candles [ts,o,h,l,c,v] for that timeframe (oldest first).
+ * Values are memoised per context so one tick computes each operand once.
+ */
+function createContext(bars) {
+  const memo = new Map();
+  const barMemo = new Map();
+  return {
+    bars(t) {
+      if (!barMemo.has(t)) barMemo.set(t, bars(t) || []);
+      return barMemo.get(t);
+    },
+    memo,
+  };
+}
+
+function operandValue(op, ctx) {
+  if (typeof op === "number") return op;
+
+  const key = JSON.stringify(op);
+  if (ctx.memo.has(key)) return ctx.memo.get(key);
+
+  const candles = ctx.bars(op.tf || "1m");
+  let value = null;
+
+  if (op.field) {
+    const last = candles[candles.length - 1];
+    value = last ? Number(last[FIELDS[op.field]]) : null;
+  } else if (candles.length) {
+    const { ind, out, times: _t, tf: _tf, ...opts } = op;
+    const v = indicators.lastOf(indicators.series(ind, candles, opts));
+    value = v !== null && typeof v === "object" ? v[out || OUTPUTS[ind][0]] : v;
+  }
+
+  if (!Number.isFinite(value)) value = null;
+  if (value !== null && op.times) value *= op.times;
+  ctx.memo.set(key, value);
+  return value;
+}
+
+function evaluateNode(node, ctx) {
+  if (node.all) return node.all.every((n) => evaluateNode(n, ctx));
+  if (node.any) return node.any.some((n) => evaluateNode(n, ctx));
+  if (node.not) return !evaluateNode(node.not, ctx);
+
+  const left = operandValue(node.left, ctx);
+  if (left === null) return false; // not enough bars yet
+
+  if (node.op === "between") return left >= node.right[0] && left <= node.right[1];
+  if (node.op === "outside") return left < node.right[0] || left > node.right[1];
+
+  const right = operandValue(node.right, ctx);
+  if (right === null) return false;
+  switch (node.op) {
+    case ">": return left > right;
+    case ">=": return left >= right;
+    case "<": return left < right;
+    case "<=": return left <= right;
+    default: return false;
+  }
+}
+
+// Cached rules that apply to a mover side
+function rulesFor(side) {
+  return cache.filter((r) => r.side === "ANY" || r.side === side);
+}
+
+// First rule (priority order) whose condition holds; null when none match
+function matchRule(rules, bars) {
+  const ctx = createContext(bars);
+  for (const rule of rules) {
+    try {
+      if (evaluateNode(rule.when, ctx)) return rule;
+    } catch (err) {
+      console.warn(`[SignalRule] ${rule.name} evaluation error:`, err.message);
+    }
+  }
+  return null;
+}
+
+// -------------------------------- STORE --------------------------------
+async function loadActiveRules() {
+  const docs = await SignalRule.find({ enabled: true }).sort({ priority: 1, createdAt: 1 }).lean();
+
+  // stored rules are re-validated so a hand-edited document can't break M2
+  cache = docs.filter((d) => {
+    const v = validateRule(d);
+    if (!v.ok) console.warn(`[SignalRule] skipping invalid rule ${d.name}: ${v.error}`);
+    return v.ok;
+  });
+  return cache;
+}
+
+function getActiveRules() {
+  return cache;
+}
+
+async function listRules() {
+  return SignalRule.find().sort({ priority: 1, createdAt: 1 }).lean();
+}
+
+async function createRule(input, by = "admin") {
+  const v = validateRule(input);
+  if (!v.ok) return v;
+  if (await SignalRule.exists({ name: v.rule.name })) return { ok: false, error: "rule name already exists" };
+
+  const doc = await SignalRule.create({ ...v.rule, createdBy: by });
+  await loadActiveRules();
+  return { ok: true, rule: doc.toObject() };
+}
+
+// Partial update: the merged rule is validated as a whole
+async function updateRule(id, patch, by = "admin") {
+  const existing = await SignalRule.findById(id).lean();
+  if (!existing) return { ok: false, notFound: true, error: "rule not found" };
+
+  const { name, description, side, enabled, priority, when } = existing;
+  const v = validateRule({ name, description, side, enabled, priority, when, ...patch });
+  if (!v.ok) return v;
+
+  const doc = await SignalRule.findByIdAndUpdate(
+    id,
+    { $set: { ...v.rule, updatedBy: by } },
+    { new: true }
+  ).lean();
+  await loadActiveRules();
+  return { ok: true, rule: doc };
+}
+
+async function deleteRule(id) {
+  const doc = await SignalRule.findByIdAndDelete(id).lean();
+  if (!doc) return { ok: false, notFound: true, error: "rule not found" };
+  await loadActiveRules();
+  return { ok: true };
+}
+
+module.exports = {
+  validateRule,
+  evaluateNode,
+  createContext,
+  rulesFor,
+  matchRule,
+  loadActiveRules,
+  getActiveRules,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+};
@@ -0,0 +1,127 @@
+// services/sizing.service.js
+"use strict";
+
+/*
+  Position sizing
+  ---------------
+  Modes (user.strategy.sizingMode):
+    MARGIN_PCT    legacy: angelAllowedMarginPct of available cash, unlevered
+    FIXED_QTY     sizingQty shares
+    FIXED_AMOUNT  sizingAmount ₹ of notional
+    PCT_CAPITAL   sizingCapitalPct % of available cash as notional
+    FIXED_RISK    sizingRisk ₹ lost if the stop is hit: risk / |entry − stop|
+  Caps, applied in order: MIS leverage (cash × leverage), per-symbol max
+  notional, max capital per trade. The returned `sizing` block is stored on
+  the PaperTrade for audit.
+*/
+
+const MODES = ["MARGIN_PCT", "FIXED_QTY", "FIXED_AMOUNT", "PCT_CAPITAL", "FIXED_RISK"];
+
+const DEFAULT_MIS_LEVERAGE = Number(process.env.MIS_LEVERAGE) || 5;
+
+const pos = (v) => (Number(v) > 0 ? Number(v) : null);
+const round2 = (v) => Number(Number(v).toFixed(2));
+
+// Raw quantity for the chosen mode (before caps); null → inputs missing,
+// 0 → the budget doesn't buy a single share
+function rawQtyFor(mode, { entryPrice, riskPerShare, capital, allowedMarginPct, prefs }) {
+  switch (mode) {
+    case "FIXED_QTY":
+      return pos(prefs.sizingQty) && Math.floor(prefs.sizingQty);
+    case "FIXED_AMOUNT":
+      return pos(prefs.sizingAmount) && Math.floor(prefs.sizingAmount / entryPrice);
+    case "PCT_CAPITAL":
+      return pos(prefs.sizingCapitalPct) && capital !== null
+        ? Math.floor((capital * prefs.sizingCapitalPct) / 100 / entryPrice)
+        : null;
+    case "FIXED_RISK":
+      return pos(prefs.sizingRisk) && riskPerShare > 0 ? Math.floor(prefs.sizingRisk / riskPerShare) : null;
+    default: // MARGIN_PCT
+      return capital !== null ? Math.floor((capital * allowedMarginPct) / entryPrice) : null;
+  }
+}
+
+/**
+ * @param {Object} p
+ * @param {string} p.mode           one of MODES (unknown → MARGIN_PCT)
+ * @param {number} p.entryPrice
+ * @param {number} p.stopPrice
+ * @param {number|null} p.capital   available cash; null = unknown (no leverage cap possible)
+ * @param {number} [p.allowedMarginPct]
+ * @param {Object} [p.prefs]        sizingQty / sizingAmount / sizingCapitalPct / sizingRisk
+ * @param {Object} [p.caps]         misLeverage / maxNotionalPerSymbol / maxCapitalPerTrade
+ * @returns {{ qty: number, reason?: string, sizing: Object }}
+ */
+function computePositionSize({
+  mode,
+  entryPrice,
+  stopPrice,
+  capital = null,
+  allowedMarginPct = 0.5,
+  prefs = {},
+  caps = {},
+}) {
+  const m = MODES.includes(mode) ? mode : "MARGIN_PCT";
+  const riskPerShare = round2(Math.abs(entryPrice - stopPrice));
+  const cash = Number.isFinite(Number(capital)) && capital !== null ? Number(capital) : null;
+
+  const sizing = {
+    mode: m,
+    entryPrice,
+    stopPrice,
+    riskPerShare,
+    capital: cash,
+    param:
+      m === "FIXED_QTY" ? pos(prefs.sizingQty)
+        : m === "FIXED_AMOUNT" ? pos(prefs.sizingAmount)
+          : m === "PCT_CAPITAL" ? pos(prefs.sizingCapitalPct)
+            : m === "FIXED_RISK" ? pos(prefs.sizingRisk)
+              : allowedMarginPct,
+    rawQty: 0,
+    qty: 0,
+    capsApplied: [],
+  };
+
+  const raw = rawQtyFor(m, { entryPrice, riskPerShare, capital: cash, allowedMarginPct, prefs });
+  if (raw === null) {
+    const reason = cash === null && ["MARGIN_PCT", "PCT_CAPITAL"].includes(m)
+      ? "funds unavailable"
+      : `sizing inputs missing for ${m}`;
+    return { qty: 0, reason, sizing };
+  }
+  sizing.rawQty = raw;
+
+  let qty = raw;
+  const cap = (name, limit) => {
+    if (limit === null || limit >= qty) return;
+    qty = Math.max(0, limit);
+    sizing.capsApplied.push(name);
+  };
+
+  const leverage = pos(caps.misLeverage);
+  if (leverage && cash !== null) {
+    sizing.leverage = leverage;
+    cap("MIS_LEVERAGE", Math.floor((cash * leverage) / entryPrice));
+  }
+  if (pos(caps.maxNotionalPerSymbol)) cap("MAX_NOTIONAL_PER_SYMBOL", Math.floor(caps.maxNotionalPerSymbol / entryPrice));
+  if (pos(caps.maxCapitalPerTrade)) cap("MAX_CAPITAL_PER_TRADE", Math.floor(caps.maxCapitalPerTrade / entryPrice));
+
+  sizing.qty = qty;
+  sizing.notional = round2(qty * entryPrice);
+  sizing.riskAbs = round2(qty * riskPerShare);
+
+  if (qty < 1) {
+    const last = sizing.capsApplied[sizing.capsApplied.length - 1];
+    const reason = last === "MAX_CAPITAL_PER_TRADE" ? "price above max capital per trade"
+      : last ? `position capped to zero by ${last}`
+        : "position size below 1";
+    return { qty: 0, reason, sizing };
+  }
+  return { qty, sizing };
+}
+
+module.exports = {
+  MODES,
+  DEFAULT_MIS_LEVERAGE,
+  computePositionSize,
+};
@@ -0,0 +1,325 @@
+// services/strategyConfig.service.js
+"use strict";
+
+/**
+ * Versioned strategy parameters
+ * -----------------------------
+ * ✓ Single active StrategyConfig document (seeded as v1 from defaults)
+ * ✓ New versions are merged over the active one and validated with zod
+ * ✓ Engines read the cached active version at day start (scheduler)
+ */
+
+const { z } = require("zod");
+const StrategyConfig = require("../models/StrategyConfig");
+const PaperTrade = require("../models/PaperTrade");
+
+// Mirrors the hard-coded engine CFGs so v1 reproduces today's behaviour
+const DEFAULT_PARAMS = Object.freeze({
+  m1: {
+    ALERT_THRESHOLD_PCT: 5,
+    ENABLE_SHORTS: process.env.ENABLE_SHORTS !== "false",
+    UNIVERSE: "DEFAULT",  // Universe name M1 scans (admin /universes)
+    // mover ranking (see m1.service); defaults rank by % change only
+    SCORE_WEIGHTS: { change: 1, relVolume: 0, gap: 0, fromExtreme: 0 },
+    MIN_REL_VOLUME: 0,
+    MAX_MOVERS: 0,       // 0 = keep every mover
+  },
+  m2: {
+    RSI_MIN: 40,
+    RSI_MAX: 50,
+    SHORT_RSI_MIN: 50,   // bounce zone for falling movers
+    SHORT_RSI_MAX: 60,
+    HISTORY_START_H: 10,
+    HISTORY_START_M: 0,
+    HISTORY_END_H: 10,
+    HISTORY_END_M: 30,
+    TIMEFRAMES: ["1m", "3m", "5m", "15m"],
+    SIGNAL_TF: "1m",
+    CONFIRM_RULES: [],   // [{ tf: "15m", min: 55, side?: "BUY" }] must all hold
+  },
+  trade: {
+    TARGET_PCT: Number(process.env.TARGET_PCT) || 1.5,
+    STOP_PCT: Number(process.env.STOP_PCT) || 0.75,
+    CUT_H: 14,
+    CUT_M: 45,
+    EXIT_CUT_H: 15,
+    EXIT_CUT_M: 20,
+    SIGNAL_STALE_MS: 30 * 60 * 1000,
+    MAX_OPEN_PER_USER: Number(process.env.MAX_OPEN_PER_USER) || 3,
+    MAX_OPEN_GLOBAL: Number(process.env.MAX_OPEN_GLOBAL) || 10,
+    BREAKEVEN_TRIGGER_PCT: Number(process.env.BREAKEVEN_TRIGGER_PCT) || 0,
+    TRAIL_TRIGGER_PCT: Number(process.env.TRAIL_TRIGGER_PCT) || 0,
+    TRAIL_DISTANCE_PCT: Number(process.env.TRAIL_DISTANCE_PCT) || 0.5,
+    SCALE_OUT: [],             // [{ targetPct, qtyPct }] partial exits before TARGET_PCT
+    SCALE_OUT_BREAKEVEN: true,
+    PAPER_SLIPPAGE_BPS: Number(process.env.PAPER_SLIPPAGE_BPS ?? 2),
+    PAPER_SLIPPAGE_TICKS: Number(process.env.PAPER_SLIPPAGE_TICKS ?? 0),
+    TICK_SIZE: Number(process.env.TICK_SIZE) || 0.05,
+  },
+  scheduler: {
+    M1_START_H: 10,
+    M1_START_M: 30,
+    M1_RESCAN_MIN: 15,   // 0 = single M1 run per day
+  },
+});
+
+const hour = z.number().int().min(9).max(15);
+const timeframe = z.enum(["1m", "3m", "5m", "15m"]);
+const minute = z.number().int().min(0).max(59);
+
+const ParamsSchema = z.object({
+  m1: z.object({
+    ALERT_THRESHOLD_PCT: z.number().positive().max(50),
+    ENABLE_SHORTS: z.boolean(),
+    UNIVERSE: z.string().trim().min(1).max(40).transform((s) => s.toUpperCase()),
+    SCORE_WEIGHTS: z
+      .object({
+        change: z.number().min(0).max(100).default(1),
+        relVolume: z.number().min(0).max(100).default(0),
+        gap: z.number().min(0).max(100).default(0),
+        fromExtreme: z.number().min(0).max(100).default(0),
+      })
+      .strict(),
+    MIN_REL_VOLUME: z.number().min(0).max(50),
+    MAX_MOVERS: z.number().int().min(0).max(500),
+  }),
+  m2: z
+    .object({
+      RSI_MIN: z.number().min(0).max(100),
+      RSI_MAX: z.number().min(0).max(100),
+      SHORT_RSI_MIN: z.number().min(0).max(100),
+      SHORT_RSI_MAX: z.number().min(0).max(100),
+      HISTORY_START_H: hour,
+      HISTORY_START_M: minute,
+      HISTORY_END_H: hour,
+      HISTORY_END_M: minute,
+      TIMEFRAMES: z.array(timeframe).min(1),
+      SIGNAL_TF: timeframe,
+      CONFIRM_RULES: z
+        .array(
+          z
+            .object({
+              tf: timeframe,
+              min: z.number().min(0).max(100).optional(),
+              max: z.number().min(0).max(100).optional(),
+              side: z.enum(["BUY", "SELL"]).optional(),
+            })
+            .refine((r) => r.min !== undefined || r.max !== undefined, { message: "rule needs min or max" })
+            .refine((r) => r.min === undefined || r.max === undefined || r.min < r.max, {
+              message: "rule min must be below max",
+            })
+        )
+        .max(4),
+    })
+    .refine((v) => v.RSI_MIN < v.RSI_MAX, { message: "RSI_MIN must be below RSI_MAX" })
+    .refine((v) => v.SHORT_RSI_MIN < v.SHORT_RSI_MAX, { message: "SHORT_RSI_MIN must be below SHORT_RSI_MAX" }),
+  trade: z.object({
+    TARGET_PCT: z.number().positive().max(20),
+    STOP_PCT: z.number().positive().max(20),
+    CUT_H: hour,
+    CUT_M: minute,
+    EXIT_CUT_H: hour,
+    EXIT_CUT_M: minute,
+    SIGNAL_STALE_MS: z.number().int().positive(),
+    MAX_OPEN_PER_USER: z.number().int().positive(),
+    MAX_OPEN_GLOBAL: z.number().int().positive(),
+    BREAKEVEN_TRIGGER_PCT: z.number().min(0).max(20),   // 0 = off
+    TRAIL_TRIGGER_PCT: z.number().min(0).max(20),       // 0 = off
+    TRAIL_DISTANCE_PCT: z.number().positive().max(20),
+    SCALE_OUT: z
+      .array(z.object({ targetPct: z.number().positive().max(20), qtyPct: z.number().positive().max(99) }))
+      .max(4),
+    SCALE_OUT_BREAKEVEN: z.boolean(),
+    PAPER_SLIPPAGE_BPS: z.number().min(0).max(100),
+    PAPER_SLIPPAGE_TICKS: z.number().int().min(0).max(20),
+    TICK_SIZE: z.number().positive().max(10),
+  }),
+  scheduler: z.object({
+    M1_START_H: hour,
+    M1_START_M: minute,
+    M1_RESCAN_MIN: z.number().int().min(0).max(120),
+  }),
+});
+
+let active = null; // { version, params }
+
+// ------------------------------- HELPERS -------------------------------
+function mergeParams(base, patch = {}) {
+  const out = {};
+  for (const group of Object.keys(DEFAULT_PARAMS)) {
+    out[group] = { ...DEFAULT_PARAMS[group], ...(base?.[group] || {}), ...(patch?.[group] || {}) };
+  }
+  return out;
+}
+
+function validateParams(params) {
+  const parsed = ParamsSchema.safeParse(params);
+  if (parsed.success) return { ok: true, params: parsed.data };
+  const error = parsed.error.issues
+    .map((i) => `${i.path.join(".")}: ${i.message}`)
+    .join("; ");
+  return { ok: false, error };
+}
+
+function toView(doc) {
+  if (!doc) return null;
+  return {
+    version: doc.version,
+    label: doc.label,
+    notes: doc.notes,
+    params: doc.params,
+    isActive: doc.isActive,
+    activatedAt: doc.activatedAt,
+    activatedBy: doc.activatedBy,
+    createdBy: doc.createdBy,
+    createdAt: doc.createdAt,
+  };
+}
+
+// -------------------------------- READ ---------------------------------
+async function ensureSeeded() {
+  const existing = await StrategyConfig.findOne({ isActive: true }).lean();
+  if (existing) return existing;
+
+  const latest = await StrategyConfig.findOne().sort({ version: -1 }).lean();
+  if (latest) {
+    await StrategyConfig.updateOne(
+      { _id: latest._id },
+      { $set: { isActive: true, activatedAt: new Date(), activatedBy: "system" } }
+    );
+    return { ...latest, isActive: true };
+  }
+
+  const seeded = await StrategyConfig.create({
+    version: 1,
+    label: "baseline",
+    notes: "Seeded from engine defaults",
+    params: mergeParams(DEFAULT_PARAMS),
+    isActive: true,
+    activatedAt: new Date(),
+    activatedBy: "system",
+  });
+  console.log("[Strategy] Seeded baseline config v1");
+  return seeded.toObject();
+}
+
+// Fetch the active version from DB and refresh the in-memory copy
+async function loadActiveConfig() {
+  const doc = await ensureSeeded();
+  active = { version: doc.version, params: mergeParams(doc.params) };
+  return active;
+}
+
+// Last loaded version (defaults with version null before the first load)
+function getActiveConfig() {
+  return active || { version: null, params: mergeParams(DEFAULT_PARAMS) };
+}
+
+async function listVersions() {
+  const docs = await StrategyConfig.find().sort({ version: -1 }).lean();
+  return docs.map(toView);
+}
+
+async function getVersion(version) {
+  const doc = await StrategyConfig.findOne({ version: Number(version) }).lean();
+  return toView(doc);
+}
+
+// -------------------------------- WRITE --------------------------------
+async function createVersion({ params = {}, label = "", notes = "", baseVersion, createdBy = "admin" } = {}) {
+  const base = baseVersion != null
+    ? await StrategyConfig.findOne({ version: Number(baseVersion) }).lean()
+    : await ensureSeeded();
+  if (!base) return { ok: false, error: "base version not found" };
+
+  const merged = mergeParams(base.params, params);
+  const check = validateParams(merged);
+  if (!check.ok) return { ok: false, error: check.error };
+
+  const latest = await StrategyConfig.findOne().sort({ version: -1 }).select("version").lean();
+  const doc = await StrategyConfig.create({
+    version: (latest?.version || 0) + 1,
+    label,
+    notes,
+    params: check.params,
+    createdBy,
+  });
+
+  return { ok: true, config: toView(doc.toObject()) };
+}
+
+async function activateVersion(version, activatedBy = "admin") {
+  const doc = await StrategyConfig.findOne({ version: Number(version) }).lean();
+  if (!doc) return { ok: false, error: "version not found" };
+
+  // one ordered round trip; the unique index on active versions rejects a
+  // concurrent activation that slips between the two writes
+  const activatedAt = new Date();
+  try {
+    await StrategyConfig.bulkWrite(
+      [
+        {
+          updateMany: {
+            filter: { isActive: true, _id: { $ne: doc._id } },
+            update: { $set: { isActive: false } },
+          },
+        },
+        {
+          updateOne: {
+            filter: { _id: doc._id },
+            update: { $set: { isActive: true, activatedAt, activatedBy } },
+          },
+        },
+      ],
+      { ordered: true }
+    );
+  } catch (err) {
+    if (err?.code === 11000) return { ok: false, conflict: true, error: "another version was activated at the same time; retry" };
+    throw err;
+  }
+
+  return {
+    ok: true,
+    config: toView({ ...doc, isActive: true, activatedAt, activatedBy }),
+    effective: "next market day start",
+  };
+}
+
+// ------------------------------ AUDIT ----------------------------------
+async function getPerformanceByVersion() {
+  const rows = await PaperTrade.aggregate([
+    { $match: { status: "CLOSED" } },
+    {
+      $group: {
+        _id: "$configVersion",
+        trades: { $sum: 1 },
+        wins: { $sum: { $cond: [{ $gt: ["$pnlAbs", 0] }, 1, 0] } },
+        losses: { $sum: { $cond: [{ $lt: ["$pnlAbs", 0] }, 1, 0] } },
+        pnlAbs: { $sum: "$pnlAbs" },
+        avgPnlPct: { $avg: "$pnlPct" },
+      },
+    },
+    { $sort: { _id: -1 } },
+  ]);
+
+  return rows.map((r) => ({
+    version: r._id ?? null,
+    trades: r.trades,
+    wins: r.wins,
+    losses: r.losses,
+    pnlAbs: Number((r.pnlAbs || 0).toFixed(2)),
+    avgPnlPct: Number((r.avgPnlPct || 0).toFixed(2)),
+  }));
+}
+
+module.exports = {
+  DEFAULT_PARAMS,
+  loadActiveConfig,
+  getActiveConfig,
+  listVersions,
+  getVersion,
+  createVersion,
+  activateVersion,
+  validateParams,
+  getPerformanceByVersion,
+};
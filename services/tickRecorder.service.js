@@ -0,0 +1,135 @@
+// services/tickRecorder.service.js
+"use strict";
+
+/**
+ * Tick recorder
+ * -------------
+ * ✓ Appends every live marketSocket batch as NDJSON { symbol, ltp, ts, ...quote }
+ *   (volume, bid/ask, OHLC when the feed carries them; depth is not kept)
+ * ✓ One gzip file per IST day: data/ticks/ticks_YYYY-MM-DD.ndjson.gz
+ * ✓ Periodic sync-flush so a crash loses seconds, not the session
+ * ✓ Replayed ticks are never re-recorded
+ *
+ * Appending to an existing day writes a new gzip member; gunzip reads the
+ * concatenation as one stream.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { DateTime } = require("luxon");
+const { IST } = require("../utils/time");
+const marketSocket = require("./marketSocket.service");
+const { quoteOf } = require("./marketData/tick");
+
+const CFG = {
+  DIR: process.env.TICK_RECORD_DIR || path.join(__dirname, "../data/ticks"),
+  ENABLED: process.env.TICK_RECORDER === "true",
+  FLUSH_MS: 5000,
+};
+
+let gzip = null;
+let day = null;
+let handler = null;
+let flushTimer = null;
+let stats = { ticks: 0, since: null, file: null };
+
+const istDate = (ms = Date.now()) => DateTime.fromMillis(ms, { zone: IST }).toISODate();
+
+function fileFor(date) {
+  return path.join(CFG.DIR, `ticks_${date}.ndjson.gz`);
+}
+
+// Recorded days, newest first
+function listRecordings() {
+  try {
+    return fs
+      .readdirSync(CFG.DIR)
+      .filter((f) => /^ticks_\d{4}-\d{2}-\d{2}\.ndjson\.gz$/.test(f))
+      .map((f) => ({ date: f.slice(6, 16), file: f, bytes: fs.statSync(path.join(CFG.DIR, f)).size }))
+      .sort((a, b) => b.date.localeCompare(a.date));
+  } catch {
+    return [];
+  }
+}
+
+function closeFile() {
+  if (!gzip) return Promise.resolve();
+  const out = gzip;
+  gzip = null;
+  day = null;
+  return new Promise((resolve) => {
+    out.end(resolve);
+  });
+}
+
+function openFile(date) {
+  fs.mkdirSync(CFG.DIR, { recursive: true });
+  const file = fileFor(date);
+  gzip = zlib.createGzip();
+  gzip.pipe(fs.createWriteStream(file, { flags: "a" }));
+  gzip.on("error", (err) => console.error("[TickRec] gzip error:", err.message));
+  day = date;
+  stats.file = path.basename(file);
+  console.log(`[TickRec] Recording → ${file}`);
+}
+
+function write(batch) {
+  const date = istDate();
+  if (date !== day) {
+    closeFile();
+    openFile(date);
+  }
+
+  let lines = "";
+  for (const t of batch) lines += JSON.stringify({ symbol: t.symbol, ltp: t.ltp, ts: t.ts, ...quoteOf(t) }) + "\n";
+  gzip.write(lines);
+  stats.ticks += batch.length;
+}
+
+function startRecorder() {
+  if (handler) return { ok: true, recording: true };
+
+  handler = (batch) => {
+    if (marketSocket.replaying) return;
+    try {
+      write(batch);
+    } catch (err) {
+      console.error("[TickRec] write error:", err.message);
+    }
+  };
+  marketSocket.on("batch", handler);
+
+  flushTimer = setInterval(() => gzip?.flush(zlib.constants.Z_SYNC_FLUSH), CFG.FLUSH_MS);
+  flushTimer.unref?.();
+
+  stats = { ticks: 0, since: new Date(), file: null };
+  console.log("[TickRec] started");
+  return { ok: true, recording: true };
+}
+
+async function stopRecorder() {
+  if (!handler) return { ok: true, recording: false };
+
+  marketSocket.off("batch", handler);
+  handler = null;
+  clearInterval(flushTimer);
+  flushTimer = null;
+  await closeFile();
+
+  console.log(`[TickRec] stopped (${stats.ticks} ticks)`);
+  return { ok: true, recording: false, ticks: stats.ticks };
+}
+
+function getStatus() {
+  return { recording: !!handler, dir: CFG.DIR, ...stats };
+}
+
+module.exports = {
+  CFG,
+  fileFor,
+  listRecordings,
+  startRecorder,
+  stopRecorder,
+  getStatus,
+};
@@ -0,0 +1,191 @@
+// services/tickReplay.service.js
+"use strict";
+
+/**
+ * Market replay
+ * -------------
+ * ✓ Streams a recorded day (tickRecorder NDJSON.gz) into marketSocket
+ * ✓ Same tick / batch events as the live feed → M2 + trade engine run unchanged
+ * ✓ speed: 1 = real time, N = N× faster, 0 = as fast as possible
+ * ✓ rebase: shift tick timestamps so the first tick lands at "now"
+ *
+ * Ticks sharing a timestamp are delivered as one batch. The live socket is
+ * parked for the duration and resumes on the next marketSocket.start().
+ *
+ * Paper only: refused while live execution is allowed or any trade is OPEN,
+ * entries made during the replay are paper, engine cutoffs and the tick
+ * throttle run on tick time, and M2 does not persist replayed candles.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const readline = require("readline");
+const marketSocket = require("./marketSocket.service");
+const { getSettings } = require("./settings.service");
+const PaperTrade = require("../models/PaperTrade");
+const recorder = require("./tickRecorder.service");
+const { quoteOf } = require("./marketData/tick");
+
+const CFG = {
+  MAX_SPEED: 1000,
+  YIELD_EVERY: 500, // batches between event-loop yields at speed 0
+};
+
+let state = null; // { file, speed, rebase, maxGapMs, startedAt, ticks, delivered, firstTs, lastTs, done, error }
+let cancel = null;
+
+const sleep = (ms) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    cancel = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+
+function resolveFile({ date, file }) {
+  if (date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) return null;
+    return recorder.fileFor(date);
+  }
+  // only recordings inside the recorder directory
+  if (file) return path.join(recorder.CFG.DIR, path.basename(String(file)));
+  return null;
+}
+
+async function run(file, opts) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file).pipe(zlib.createGunzip()),
+    crlfDelay: Infinity,
+  });
+
+  let group = [];
+  let groupTs = null;
+  let prevTs = null;
+  let batches = 0;
+  const offset = () => (opts.rebase ? state.startedAt.getTime() - state.firstTs : 0);
+
+  const deliver = async () => {
+    if (!group.length) return;
+
+    if (prevTs !== null && opts.speed > 0) {
+      let gap = (groupTs - prevTs) / opts.speed;
+      if (opts.maxGapMs != null) gap = Math.min(gap, opts.maxGapMs);
+      if (gap > 0) await sleep(gap);
+    } else if (opts.speed === 0 && ++batches % CFG.YIELD_EVERY === 0) {
+      await new Promise((r) => setImmediate(r));
+    }
+    if (state.done) return;
+
+    const shift = offset();
+    state.delivered += marketSocket.ingest(group.map((t) => ({ ...t, ts: t.ts + shift })));
+    state.lastTs = groupTs;
+    prevTs = groupTs;
+    group = [];
+  };
+
+  for await (const line of lines) {
+    if (state.done) break;
+    if (!line.trim()) continue;
+
+    let t;
+    try {
+      t = JSON.parse(line);
+    } catch {
+      continue; // torn last line of an interrupted recording
+    }
+    const ts = Number(t.ts);
+    const ltp = Number(t.ltp);
+    if (!t.symbol || !Number.isFinite(ts) || !Number.isFinite(ltp)) continue;
+
+    if (state.firstTs === null) state.firstTs = ts;
+    if (groupTs !== null && ts !== groupTs) await deliver();
+
+    groupTs = ts;
+    group.push({ ...quoteOf(t), symbol: String(t.symbol), ltp, ts });
+    state.ticks++;
+  }
+  await deliver();
+  lines.close();
+}
+
+/**
+ * @param {Object} p
+ * @param {string} [p.date]       YYYY-MM-DD recording (or p.file: recording file name)
+ * @param {number} [p.speed=1]    0 = no delays
+ * @param {boolean} [p.rebase]    shift timestamps to start at now
+ * @param {number} [p.maxGapMs]   cap on any single wait (skips lunch lulls)
+ */
+async function startReplay({ date, file, speed = 1, rebase = false, maxGapMs = null } = {}) {
+  if (state && !state.done) return { ok: false, error: "replay already running" };
+
+  const target = resolveFile({ date, file });
+  if (!target) return { ok: false, error: "date (YYYY-MM-DD) or file required" };
+  if (!fs.existsSync(target)) return { ok: false, error: `recording not found: ${path.basename(target)}` };
+
+  const s = Number(speed);
+  if (!Number.isFinite(s) || s < 0 || s > CFG.MAX_SPEED) {
+    return { ok: false, error: `speed must be between 0 and ${CFG.MAX_SPEED}` };
+  }
+  const gapCap = maxGapMs == null || maxGapMs === "" ? null : Number(maxGapMs);
+  if (gapCap !== null && !(gapCap >= 0)) return { ok: false, error: "maxGapMs must be ≥ 0" };
+
+  const settings = await getSettings();
+  if (settings.isLiveExecutionAllowed) {
+    return { ok: false, error: "live execution is enabled; disable it before a replay" };
+  }
+  if (await PaperTrade.exists({ status: "OPEN" })) {
+    return { ok: false, error: "trades are OPEN; close them before a replay" };
+  }
+  if (state && !state.done) return { ok: false, error: "replay already running" };
+
+  const opts = { speed: s, rebase: rebase === true || rebase === "true", maxGapMs: gapCap };
+  state = {
+    file: path.basename(target),
+    ...opts,
+    startedAt: new Date(),
+    finishedAt: null,
+    ticks: 0,
+    delivered: 0,
+    firstTs: null,
+    lastTs: null,
+    done: false,
+    error: null,
+  };
+
+  await marketSocket.enterReplay();
+  console.log(`[Replay] ${state.file} at ${s || "max"}× started`);
+
+  run(target, opts)
+    .catch((err) => {
+      state.error = err.message;
+      console.error("[Replay] error:", err.message);
+    })
+    .finally(() => {
+      state.done = true;
+      state.finishedAt = new Date();
+      marketSocket.exitReplay();
+      console.log(`[Replay] finished: ${state.ticks} ticks read, ${state.delivered} delivered`);
+    });
+
+  return { ok: true, replay: getStatus() };
+}
+
+function stopReplay() {
+  if (!state || state.done) return { ok: true, running: false };
+  state.done = true;
+  if (cancel) cancel();
+  return { ok: true, running: false };
+}
+
+function getStatus() {
+  if (!state) return { running: false };
+  return { running: !state.done, ...state };
+}
+
+module.exports = {
+  startReplay,
+  stopReplay,
+  getStatus,
+};
@@ -7,9 +7,12 @@ const User = require("../models/User");
 const M2Signal = require("../models/M2Signal");
 const fy = require("./fyersSdk");
 const marketSocket = require("./marketSocket.service");
-const angelTrade = require("./angel.trade.service");
+const { getBrokerAdapter, getAdapterForTrade } = require("./brokers");
 const { getSettings } = require("./settings.service");
-const { resolveToken } = require("./instruments.service");
+const risk = require("./risk.service");
+const paperSim = require("./paperSim.service");
+const sizing = require("./sizing.service");
+const feedHealth = require("./feedHealth.service");
 
 // ------------------------------------------------------------
 // CONFIG
@@ -26,6 +29,19 @@ const CFG = {
   SIGNAL_STALE_MS: 30 * 60 * 1000,   // 30 minutes
   TICK_THROTTLE_MS: 300,
   BO_TRAILING: Number(process.env.ANGEL_BO_TRAIL || 0), // trailing SL ticks for BO
+  MAX_OPEN_PER_USER: Number(process.env.MAX_OPEN_PER_USER) || 3,
+  MAX_OPEN_GLOBAL: Number(process.env.MAX_OPEN_GLOBAL) || 10, // distinct symbols
+  // stop management (0 disables): favourable move % that arms each rule
+  BREAKEVEN_TRIGGER_PCT: Number(process.env.BREAKEVEN_TRIGGER_PCT) || 0,
+  TRAIL_TRIGGER_PCT: Number(process.env.TRAIL_TRIGGER_PCT) || 0,
+  TRAIL_DISTANCE_PCT: Number(process.env.TRAIL_DISTANCE_PCT) || 0.5, // % behind best price
+  // paper scale-out legs before the final target, e.g. [{ targetPct: 1, qtyPct: 50 }]
+  SCALE_OUT: [],
+  SCALE_OUT_BREAKEVEN: true, // move the remainder's stop to entry after a leg fills
+  // paper execution model (services/paperSim.service.js)
+  PAPER_SLIPPAGE_BPS: Number(process.env.PAPER_SLIPPAGE_BPS ?? 2),
+  PAPER_SLIPPAGE_TICKS: Number(process.env.PAPER_SLIPPAGE_TICKS ?? 0),
+  TICK_SIZE: Number(process.env.TICK_SIZE) || 0.05,
 };
 
 const SIGNAL_QUERY = {
@@ -36,13 +52,13 @@ const SIGNAL_QUERY = {
 // ------------------------------------------------------------
 // GLOBAL STATE
 // ------------------------------------------------------------
-let activeSignal = null;
-let currentTradeSymbol = null;
 let tradeTickHandler = null;
-let tickProcessing = false;
-let lastTickRun = 0;
-let tradeSubscriptionSymbol = null;
 let autoRunTimer = null;
+let configVersion = null; // StrategyConfig version applied at day start
+
+const tradeSubscriptions = new Set(); // symbols with OPEN trades we listen to
+const tickProcessing = new Set();     // symbols with a tick currently in flight
+const lastTickRun = new Map();        // symbol → last processed tick time
 
 // ------------------------------------------------------------
 // UTILS
@@ -53,16 +69,271 @@ function nowIST() {
   return DateTime.now().setZone(CFG.IST);
 }
 
+// Market time: the replayed tick clock during a replay, else the wall clock
+function marketNow() {
+  const ts = marketSocket.replaying ? marketSocket.replayTs : null;
+  return ts ? DateTime.fromMillis(ts).setZone(CFG.IST) : nowIST();
+}
+
 function isAfterCutoff() {
-  const n = nowIST();
+  const n = marketNow();
   return n.hour > CFG.CUT_H || (n.hour === CFG.CUT_H && n.minute >= CFG.CUT_M);
 }
 
 function isExitCutoff() {
-  const n = nowIST();
+  const n = marketNow();
   return n.hour > CFG.EXIT_CUT_H || (n.hour === CFG.EXIT_CUT_H && n.minute >= CFG.EXIT_CUT_M);
 }
 
+// ------------------------------------------------------------
+// PRICE LEVELS + EXIT RULES (shared with backtest)
+// ------------------------------------------------------------
+const sideOf = (t) => (t?.side === "SELL" ? "SELL" : "BUY");
+const sideDir = (side) => (side === "SELL" ? -1 : 1);
+
+// SELL trades mirror BUY: target below entry, stop above
+function buildTradeLevels(entryPrice, targetPct = CFG.TARGET_PCT, stopPct = CFG.STOP_PCT, side = "BUY") {
+  const dir = sideDir(side);
+  return {
+    targetPrice: Number((entryPrice * (1 + (dir * targetPct) / 100)).toFixed(2)),
+    stopPrice: Number((entryPrice * (1 - (dir * stopPct) / 100)).toFixed(2)),
+  };
+}
+
+// Exit tag depends on which rule last placed the stop
+const STOP_EXIT_TAGS = { FIXED: "STOPLOSS", BREAKEVEN: "BREAKEVEN", TRAIL: "TRAIL_STOP" };
+
+function isStopExit(reason) {
+  return Object.values(STOP_EXIT_TAGS).includes(reason);
+}
+
+function getExitReason(trade, ltp, isCutoffExit) {
+  if (isCutoffExit) return "CUTOFF";
+  const stopTag = STOP_EXIT_TAGS[trade.stopMode] || "STOPLOSS";
+  if (sideOf(trade) === "SELL") {
+    if (ltp <= trade.targetPrice) return "TARGET";
+    if (ltp >= trade.stopPrice) return stopTag;
+    return null;
+  }
+  if (ltp >= trade.targetPrice) return "TARGET";
+  if (ltp <= trade.stopPrice) return stopTag;
+  return null;
+}
+
+// Breakeven + trailing stop. Returns the new stop state; `adjustment` is set
+// only when the stop actually moved (stops never move against the trade).
+function trailStop(trade, ltp, cfg = CFG, at = new Date()) {
+  const dir = sideDir(sideOf(trade));
+  const prevBest = num(trade.bestPrice) ?? trade.entryPrice;
+  const bestPrice = dir > 0 ? Math.max(prevBest, ltp) : Math.min(prevBest, ltp);
+  const movePct = ((bestPrice - trade.entryPrice) / trade.entryPrice) * 100 * dir;
+
+  let stopPrice = trade.stopPrice;
+  let stopMode = trade.stopMode || "FIXED";
+  const tighter = (p) => (p - stopPrice) * dir > 0;
+
+  if (cfg.BREAKEVEN_TRIGGER_PCT > 0 && movePct >= cfg.BREAKEVEN_TRIGGER_PCT && tighter(trade.entryPrice)) {
+    stopPrice = trade.entryPrice;
+    stopMode = "BREAKEVEN";
+  }
+
+  if (cfg.TRAIL_TRIGGER_PCT > 0 && cfg.TRAIL_DISTANCE_PCT > 0 && movePct >= cfg.TRAIL_TRIGGER_PCT) {
+    const trail = Number((bestPrice * (1 - (dir * cfg.TRAIL_DISTANCE_PCT) / 100)).toFixed(2));
+    if (tighter(trail)) {
+      stopPrice = trail;
+      stopMode = "TRAIL";
+    }
+  }
+
+  const adjustment = stopPrice !== trade.stopPrice
+    ? { at, from: trade.stopPrice, to: stopPrice, rule: stopMode, ltp }
+    : null;
+
+  return { bestPrice, stopPrice, stopMode, adjustment };
+}
+
+// Mongo update for an open trade that stays open on this tick.
+// Live rows keep the broker's bracket stop, so only paper stops are managed here.
+function buildOpenTradeUpdate(trade, ltp, pnlAbs, pnlPct) {
+  const $set = {
+    pnlAbs: Number(pnlAbs.toFixed(2)),
+    pnlPct: Number(pnlPct.toFixed(2)),
+    updatedAt: new Date(),
+  };
+  const update = { $set };
+  if (trade.tradeMode === "live") return update;
+
+  const next = trailStop(trade, ltp);
+  $set.bestPrice = next.bestPrice;
+  if (next.adjustment) {
+    $set.stopPrice = next.stopPrice;
+    $set.stopMode = next.stopMode;
+    update.$push = { stopAdjustments: next.adjustment };
+  }
+  return update;
+}
+
+// ------------------------------------------------------------
+// SCALE-OUT (paper) — partial exits at intermediate targets,
+// the remainder exits at targetPrice / stop like a normal trade
+// ------------------------------------------------------------
+const round2 = (v) => Number(Number(v).toFixed(2));
+const remainingQty = (trade) => num(trade.openQty) ?? trade.qty;
+const realizedPnL = (trade) => (trade.exitLegs || []).reduce((s, l) => s + Number(l.pnlAbs || 0), 0);
+
+// Legs at or beyond the final target are dropped (the final exit covers them)
+function buildScaleOutTargets(entryPrice, side, finalTargetPct, legs = CFG.SCALE_OUT) {
+  const dir = sideDir(side);
+  return (legs || [])
+    .filter((l) => l.targetPct > 0 && l.targetPct < finalTargetPct && l.qtyPct > 0)
+    .sort((a, b) => a.targetPct - b.targetPct)
+    .map((l, i) => ({
+      level: `T${i + 1}`,
+      targetPct: l.targetPct,
+      qtyPct: l.qtyPct,
+      price: round2(entryPrice * (1 + (dir * l.targetPct) / 100)),
+      filled: false,
+    }));
+}
+
+// First unfilled intermediate target crossed by ltp. qty 0 means the leg is too
+// small to split off (e.g. qty 1) and is just marked filled.
+function getPartialExit(trade, ltp) {
+  const dir = sideDir(sideOf(trade));
+  const target = (trade.targets || []).find((t) => !t.filled && (ltp - t.price) * dir >= 0);
+  if (!target) return null;
+
+  const remaining = remainingQty(trade);
+  const qty = Math.floor((trade.qty * target.qtyPct) / 100);
+  return { target, qty: qty >= 1 && qty < remaining ? qty : 0 };
+}
+
+// Fresh socket bid/ask for `symbol`, only when its LTP is the price being filled
+function liveQuote(symbol, price) {
+  const tick = marketSocket.getLastTick(symbol);
+  if (!tick || tick.ltp !== price || feedHealth.isStale(symbol)) return null;
+  return tick.bid != null && tick.ask != null ? { bid: tick.bid, ask: tick.ask } : null;
+}
+
+// Paper exits fill through the simulator; live prices come from the broker as-is
+function exitFill(trade, price) {
+  if (trade.tradeMode === "live") return price;
+  const action = paperSim.exitAction(sideOf(trade));
+  return paperSim.simulateFill(price, action, CFG, liveQuote(trade.symbol, price));
+}
+
+function buildExitLeg(trade, leg, qty, price, reason, at) {
+  const dir = sideDir(sideOf(trade));
+  return {
+    leg,
+    qty,
+    price,
+    time: at,
+    pnlAbs: round2((price - trade.entryPrice) * qty * dir),
+    pnlPct: round2(((price - trade.entryPrice) / trade.entryPrice) * 100 * dir),
+    reason,
+  };
+}
+
+function buildPartialExitUpdate(trade, partial, ltp, at = new Date()) {
+  const { target, qty } = partial;
+
+  const $set = {
+    targets: trade.targets.map((t) => (t.level === target.level ? { ...t, filled: true } : t)),
+    updatedAt: at,
+  };
+  if (!qty) {
+    const { pnlAbs, pnlPct } = calcPnL(trade, ltp);
+    return { $set: { ...$set, pnlAbs: round2(pnlAbs), pnlPct: round2(pnlPct) } };
+  }
+
+  const leg = buildExitLeg(trade, target.level, qty, exitFill(trade, ltp), target.level, at);
+  const $push = { exitLegs: leg };
+  $set.openQty = remainingQty(trade) - qty;
+
+  // banked leg at its fill + the remainder marked at ltp
+  const after = { ...trade, openQty: $set.openQty, exitLegs: [...(trade.exitLegs || []), leg] };
+  const { pnlAbs, pnlPct } = calcPnL(after, ltp);
+  $set.pnlAbs = round2(pnlAbs);
+  $set.pnlPct = round2(pnlPct);
+
+  const dir = sideDir(sideOf(trade));
+  if (CFG.SCALE_OUT_BREAKEVEN && (trade.entryPrice - trade.stopPrice) * dir > 0) {
+    $set.stopPrice = trade.entryPrice;
+    $set.stopMode = "BREAKEVEN";
+    $push.stopAdjustments = { at, from: trade.stopPrice, to: trade.entryPrice, rule: "BREAKEVEN", ltp };
+  }
+
+  return { $set, $push };
+}
+
+// Final exit of whatever quantity is still open. `price` is the market price;
+// paper trades fill through the simulator. pnlAbs stays gross, net = gross - charges.
+function buildCloseUpdate(trade, price, reason, at = new Date()) {
+  const fill = exitFill(trade, price);
+  const { pnlAbs, pnlPct } = calcPnL(trade, fill);
+  const finalLeg = buildExitLeg(trade, "FINAL", remainingQty(trade), fill, reason, at);
+
+  const charges = paperSim.computeCharges(
+    { side: sideOf(trade), price: trade.entryPrice, qty: trade.qty },
+    [...(trade.exitLegs || []), finalLeg]
+  );
+  const netPnlAbs = pnlAbs - charges.total;
+
+  return {
+    $set: {
+      exitPrice: fill,
+      exitLtp: price,
+      exitTime: at,
+      pnlAbs: round2(pnlAbs),
+      pnlPct: round2(pnlPct),
+      grossPnlAbs: round2(pnlAbs),
+      charges,
+      netPnlAbs: round2(netPnlAbs),
+      netPnlPct: round2((netPnlAbs / (trade.entryPrice * trade.qty)) * 100),
+      notes: reason,
+      status: "CLOSED",
+      openQty: 0,
+      updatedAt: at,
+    },
+    $push: { exitLegs: finalLeg },
+  };
+}
+
+// Close an entry that never filled (cancelled / rejected at the broker): flat
+// at entryPrice, so it books no PnL or charges against the daily limits
+function buildFlatCloseUpdate(trade, reason, at = new Date()) {
+  const close = buildCloseUpdate(trade, trade.entryPrice, reason, at);
+  const flat = { pnlAbs: 0, pnlPct: 0, grossPnlAbs: 0, netPnlAbs: 0, netPnlPct: 0, charges: paperSim.ZERO_CHARGES };
+  return { ...close, $set: { ...close.$set, ...flat } };
+}
+
+// What one price update does to an open trade: close, scale out, or mark + trail
+function planTradeTick(trade, ltp, isCutoffExit) {
+  const reason = getExitReason(trade, ltp, isCutoffExit);
+  if (reason) return { reason, update: buildCloseUpdate(trade, ltp, reason) };
+
+  const partial = trade.tradeMode === "live" ? null : getPartialExit(trade, ltp);
+  if (partial) return { partial, update: buildPartialExitUpdate(trade, partial, ltp) };
+
+  const { pnlAbs, pnlPct } = calcPnL(trade, ltp);
+  return { update: buildOpenTradeUpdate(trade, ltp, pnlAbs, pnlPct) };
+}
+
+// Whole-trade PnL: realised legs + the open remainder marked at price.
+// pnlPct is relative to the full position's entry value.
+function calcPnL(trade, price) {
+  const dir = sideDir(sideOf(trade));
+  const pnlAbs = realizedPnL(trade) + (price - trade.entryPrice) * remainingQty(trade) * dir;
+  const pnlPct = (pnlAbs / (trade.entryPrice * trade.qty)) * 100;
+  return { pnlAbs, pnlPct };
+}
+
+function applyStrategyConfig({ version = null, params } = {}) {
+  if (params?.trade) Object.assign(CFG, params.trade);
+  configVersion = version;
+}
+
 // ------------------------------------------------------------
 // LTP HELPERS
 // ------------------------------------------------------------
@@ -82,13 +353,14 @@ async function fetchBatchLTP(symbols = []) {
   }
 }
 
+// Socket LTPs where fresh; stale or missing symbols go to REST quotes
 async function getOptimizedLTPMap(symbols) {
   const out = {};
   const fallback = [];
 
   for (const s of symbols) {
     const tick = marketSocket.getLastTick(s);
-    if (tick && num(tick.ltp)) {
+    if (tick && num(tick.ltp) && !feedHealth.isStale(s)) {
       out[s] = tick.ltp;
     } else {
       fallback.push(s);
@@ -144,115 +416,108 @@ function decideTradeMode(user, globalSettings) {
   const allowPaper = globalSettings.isPaperTradingActive !== false;
   const wantsLive = !!user.autoTradingEnabled;
   const userLiveOK = wantsLive && !!user.angelLiveEnabled;
-  const globalLiveOK = !!globalSettings.isLiveExecutionAllowed;
+  // replayed ticks never reach a broker
+  const globalLiveOK = !!globalSettings.isLiveExecutionAllowed && !marketSocket.replaying;
 
   if (userLiveOK && globalLiveOK) return "live";
   return allowPaper ? "paper" : "off";
 }
 
-async function computeLiveQty(user, entryPrice) {
-  const allowed = Number(user.angelAllowedMarginPct ?? 0.5);
-  try {
-    const funds = await angelTrade.getFunds(user._id);
-    const avail = Number(funds.availableMargin || 0);
-    const usable = avail * allowed;
-    return Math.max(1, Math.floor(usable / entryPrice));
-  } catch {
-    return 1;
-  }
+// User's strategy prefs with engine defaults filled in
+function getUserProfile(user) {
+  const s = user?.strategy || {};
+  const pos = (v) => (num(v) > 0 ? num(v) : null);
+  return {
+    targetPct: pos(s.targetPct) ?? CFG.TARGET_PCT,
+    stopPct: pos(s.stopPct) ?? CFG.STOP_PCT,
+    maxTradesPerDay: pos(s.maxTradesPerDay),
+    maxCapitalPerTrade: pos(s.maxCapitalPerTrade),
+    paperQty: Math.max(1, Math.floor(pos(s.paperQty) ?? 1)),
+    sizingMode: sizing.MODES.includes(s.sizingMode) ? s.sizingMode : "MARGIN_PCT",
+    sizingQty: pos(s.sizingQty),
+    sizingAmount: pos(s.sizingAmount),
+    sizingCapitalPct: pos(s.sizingCapitalPct),
+    sizingRisk: pos(s.sizingRisk),
+    misLeverage: pos(s.misLeverage) ?? sizing.DEFAULT_MIS_LEVERAGE,
+    maxNotionalPerSymbol: pos(s.maxNotionalPerSymbol),
+  };
 }
 
-async function hasOpenTrades() {
-  return !!(await PaperTrade.exists({ status: "OPEN" }));
+const startOfDayIST = () => nowIST().startOf("day").toUTC().toJSDate();
+
+async function countTradesToday(userId) {
+  return PaperTrade.countDocuments({ userId, entryTime: { $gte: startOfDayIST() } });
 }
 
-// ------------------------------------------------------------
-// SIGNAL MANAGEMENT
-// ------------------------------------------------------------
-async function restoreSignalFromOpenTrades() {
-  const open = await PaperTrade.findOne({ status: "OPEN" }).lean();
-  if (open && open.signalId) {
-    const sig = await M2Signal.findById(open.signalId).lean();
-    if (sig) {
-      activeSignal = sig;
-      currentTradeSymbol = sig.symbol;
-      return sig;
-    }
+// Live size from the user's sizing mode; capital is null when funds can't be read
+async function sizeLivePosition(user, profile, entryPrice, stopPrice) {
+  let capital = null;
+  try {
+    const funds = await getBrokerAdapter(user)?.getFunds(user._id);
+    if (funds?.ok) capital = Number(funds.availableMargin || 0);
+  } catch (err) {
+    console.warn("[TradeEngine] funds lookup failed:", err.message);
   }
-  return null;
-}
 
-function isSignalStale(signal) {
-  const ts = new Date(signal.capturedAt || signal.updatedAt || Date.now()).getTime();
-  return Date.now() - ts > CFG.SIGNAL_STALE_MS;
+  return sizing.computePositionSize({
+    mode: profile.sizingMode,
+    entryPrice,
+    stopPrice,
+    capital,
+    allowedMarginPct: Number(user.angelAllowedMarginPct ?? 0.5),
+    prefs: profile,
+    caps: profile,
+  });
 }
 
-async function getActiveSignal() {
-  if (activeSignal) {
-    if (isSignalStale(activeSignal)) {
-      await consumeActiveSignal("stale");
-      return null;
-    }
-    return activeSignal;
-  }
-  const restored = await restoreSignalFromOpenTrades();
-  if (restored) {
-    await ensureTradeSubscription(restored.symbol);
-    ensureTradeTickListener();
-    return restored;
-  }
-  return null;
+// Paper size: the user's paper quantity, capped by max capital per trade
+function sizePaperPosition(profile, entryPrice, stopPrice) {
+  return sizing.computePositionSize({
+    mode: "FIXED_QTY",
+    entryPrice,
+    stopPrice,
+    prefs: { sizingQty: profile.paperQty },
+    caps: { maxCapitalPerTrade: profile.maxCapitalPerTrade },
+  });
 }
 
-async function fetchNextSignal() {
-  const sig = await M2Signal.findOne(SIGNAL_QUERY).sort({ capturedAt: 1, updatedAt: 1 }).lean();
-  if (!sig) return null;
-
-  if (isSignalStale(sig)) {
-    await M2Signal.findByIdAndUpdate(sig._id, {
-      $set: { consumedAt: new Date(), inEntryZone: false, updatedAt: new Date() },
-    });
-    return fetchNextSignal();
-  }
-
-  activeSignal = sig;
-  return sig;
+// Distinct symbols with OPEN trades across all users (= open positions book-wide)
+async function getOpenSymbols() {
+  return PaperTrade.distinct("symbol", { status: "OPEN" });
 }
 
-async function ensureSignalForEntry() {
-  const existing = await getActiveSignal();
-  if (existing) return existing;
-  return fetchNextSignal();
+// ------------------------------------------------------------
+// SIGNAL MANAGEMENT
+// ------------------------------------------------------------
+function isSignalStale(signal) {
+  const ts = new Date(signal.capturedAt || signal.updatedAt || Date.now()).getTime();
+  return Date.now() - ts > CFG.SIGNAL_STALE_MS;
 }
 
-async function consumeActiveSignal(reason = "completed") {
-  if (!activeSignal) {
-    await ensureTradeSubscription(null);
-    detachTradeTickListener();
-    return;
-  }
-
+async function consumeSignal(signal, reason = "completed") {
   try {
-    await M2Signal.findByIdAndUpdate(
-      activeSignal._id,
-      {
-        $set: {
-          consumedAt: new Date(),
-          inEntryZone: false,
-          updatedAt: new Date(),
-          consumeReason: reason,
-        },
+    await M2Signal.findByIdAndUpdate(signal._id, {
+      $set: {
+        consumedAt: new Date(),
+        inEntryZone: false,
+        updatedAt: new Date(),
+        consumeReason: reason,
       },
-      { new: false }
-    );
+    });
   } catch (err) {
-    console.warn("[TradeEngine] consumeActiveSignal:", err.message);
+    console.warn("[TradeEngine] consumeSignal:", err.message);
   }
+}
 
-  activeSignal = null;
-  currentTradeSymbol = null;
-  await ensureTradeSubscription(null);
-  detachTradeTickListener();
+// Pending in-zone signals, oldest first (stale ones are consumed on the way)
+async function fetchPendingSignals() {
+  const sigs = await M2Signal.find(SIGNAL_QUERY).sort({ capturedAt: 1, updatedAt: 1 }).lean();
+  const fresh = [];
+  for (const sig of sigs) {
+    if (isSignalStale(sig)) await consumeSignal(sig, "stale");
+    else fresh.push(sig);
+  }
+  return fresh;
 }
 
 function scheduleNextAutoRun(delay = 1000) {
@@ -265,24 +530,28 @@ function scheduleNextAutoRun(delay = 1000) {
 }
 
 // ------------------------------------------------------------
-// MARKET SOCKET SUBSCRIPTIONS
+// MARKET SOCKET SUBSCRIPTIONS — one per symbol with OPEN trades
 // ------------------------------------------------------------
-async function ensureTradeSubscription(symbol) {
+async function syncTradeSubscriptions() {
   try {
-    if (tradeSubscriptionSymbol && tradeSubscriptionSymbol !== symbol) {
-      await marketSocket.unsubscribe([tradeSubscriptionSymbol], "trade-engine");
-      tradeSubscriptionSymbol = null;
-    }
+    const open = new Set(await getOpenSymbols());
+    const toAdd = [...open].filter((s) => !tradeSubscriptions.has(s));
+    const toRemove = [...tradeSubscriptions].filter((s) => !open.has(s));
 
-    if (symbol && tradeSubscriptionSymbol !== symbol) {
-      await marketSocket.subscribe([symbol], "trade-engine");
-      tradeSubscriptionSymbol = symbol;
-    } else if (!symbol) {
-      tradeSubscriptionSymbol = null;
-    }
+    if (toAdd.length) await marketSocket.subscribe(toAdd, "trade-engine");
+    if (toRemove.length) await marketSocket.unsubscribe(toRemove, "trade-engine");
+
+    toAdd.forEach((s) => tradeSubscriptions.add(s));
+    toRemove.forEach((s) => {
+      tradeSubscriptions.delete(s);
+      lastTickRun.delete(s);
+    });
   } catch (err) {
     console.warn("[TradeEngine] socket subscription error:", err.message);
   }
+
+  if (tradeSubscriptions.size) ensureTradeTickListener();
+  else detachTradeTickListener();
 }
 
 function ensureTradeTickListener() {
@@ -302,93 +571,93 @@ function detachTradeTickListener() {
 }
 
 async function handleTradeTick(tick) {
-  if (!currentTradeSymbol || tick.symbol !== currentTradeSymbol) return;
+  const symbol = tick.symbol;
+  if (!tradeSubscriptions.has(symbol)) return;
   const ltp = num(tick.ltp);
   if (!ltp) return;
 
-  const now = Date.now();
-  if (now - lastTickRun < CFG.TICK_THROTTLE_MS) return;
-  lastTickRun = now;
+  // throttle + re-entrancy guard are per symbol so one busy name can't starve another;
+  // a replay throttles on tick time so the outcome doesn't depend on replay speed
+  const now = marketSocket.replaying ? num(tick.ts) || Date.now() : Date.now();
+  if (now - (lastTickRun.get(symbol) || 0) < CFG.TICK_THROTTLE_MS) return;
+  lastTickRun.set(symbol, now);
 
-  if (tickProcessing) return;
-  tickProcessing = true;
+  if (tickProcessing.has(symbol)) return;
+  tickProcessing.add(symbol);
   try {
-    await processTradeTick(tick.symbol, ltp);
+    await processTradeTick(symbol, ltp);
   } finally {
-    tickProcessing = false;
+    tickProcessing.delete(symbol);
   }
 }
 
 async function processTradeTick(symbol, ltp) {
-  const openTrades = await PaperTrade.find({ symbol, status: "OPEN" });
+  const openTrades = await PaperTrade.find({ symbol, status: "OPEN" }).lean();
   if (!openTrades.length) {
-    await handleTradesCompletionIfAny();
+    await onTradesClosed();
     return;
   }
 
   const isCutoffExit = isExitCutoff();
-  const stayers = [];
-  const closers = [];
+  const ops = [];
+  const closedUserIds = [];
 
   for (const trade of openTrades) {
-    const pnlAbs = (ltp - trade.entryPrice) * trade.qty;
-    const pnlPct = (pnlAbs / trade.entryPrice) * 100;
+    const plan = planTradeTick(trade, ltp, isCutoffExit);
+    ops.push({
+      updateOne: {
+        filter: { _id: trade._id, status: "OPEN" },
+        update: plan.update,
+      },
+    });
+    if (plan.reason) closedUserIds.push(trade.userId);
+  }
 
-    let reason = null;
-    if (isCutoffExit) reason = "CUTOFF";
-    else if (ltp >= trade.targetPrice) reason = "TARGET";
-    else if (ltp <= trade.stopPrice) reason = "STOPLOSS";
+  await PaperTrade.bulkWrite(ops, { ordered: false });
+  if (closedUserIds.length) await onTradesClosed(closedUserIds);
+}
 
-    if (reason) {
-      closers.push({ tradeId: trade._id, pnlAbs, pnlPct, reason });
-    } else {
-      stayers.push({
-        updateOne: {
-          filter: { _id: trade._id, status: "OPEN" },
-          update: {
-            $set: {
-              pnlAbs: Number(pnlAbs.toFixed(2)),
-              pnlPct: Number(pnlPct.toFixed(2)),
-              updatedAt: new Date(),
-            },
-          },
-        },
-      });
+// A closed position frees a slot: drop its subscription and look for the next signal.
+// Users whose exits tripped their daily limit are flattened if they opted in.
+async function onTradesClosed(userIds = []) {
+  for (const uid of new Set(userIds.map(String))) {
+    try {
+      const state = await risk.getDailyRiskStateById(uid);
+      if (state?.blocked && state.limits.flattenOnBreach) {
+        await flattenUserTrades(uid, "KILL_SWITCH");
+      }
+    } catch (err) {
+      console.warn("[TradeEngine] kill switch check failed:", uid, err.message);
     }
   }
 
-  if (stayers.length) {
-    await PaperTrade.bulkWrite(stayers, { ordered: false });
-  }
+  await syncTradeSubscriptions();
+  scheduleNextAutoRun(1000);
+}
 
-  if (closers.length) {
-    const closeOps = closers.map((c) => ({
-      updateOne: {
-        filter: { _id: c.tradeId, status: "OPEN" },
-        update: {
-          $set: {
-            exitPrice: ltp,
-            exitTime: new Date(),
-            pnlAbs: Number(c.pnlAbs.toFixed(2)),
-            pnlPct: Number(c.pnlPct.toFixed(2)),
-            notes: c.reason,
-            status: "CLOSED",
-            updatedAt: new Date(),
-          },
-        },
-      },
-    }));
-    await PaperTrade.bulkWrite(closeOps, { ordered: false });
-    await handleTradesCompletionIfAny();
+// Close every OPEN trade of a user; live trades are squared off at the broker
+// first. A trade whose exit fails stays OPEN and is reported in `failed`.
+async function flattenUserTrades(userId, reason) {
+  const open = await PaperTrade.find({ userId, status: "OPEN" }).lean();
+  if (!open.length) return { ok: true, closed: [], failed: [] };
+
+  const ltpMap = await getOptimizedLTPMap([...new Set(open.map((t) => t.symbol))]);
+  const closed = [];
+  const failed = [];
+
+  for (const trade of open) {
+    const res = await closeTrade(trade, reason, num(ltpMap[trade.symbol]));
+    if (res.ok) closed.push(trade._id);
+    else failed.push({ tradeId: trade._id, symbol: trade.symbol, error: res.error });
   }
-}
 
-async function handleTradesCompletionIfAny() {
-  const remaining = await PaperTrade.countDocuments({ status: "OPEN" });
-  if (remaining === 0) {
-    await consumeActiveSignal();
-    scheduleNextAutoRun(1000);
+  if (closed.length) {
+    console.warn("[TradeEngine] Flattened", closed.length, "trade(s) for user", String(userId), reason);
+  }
+  for (const f of failed) {
+    console.error("[TradeEngine] Flatten failed:", String(userId), f.symbol, f.error);
   }
+  return { ok: failed.length === 0, closed, failed };
 }
 
 // ------------------------------------------------------------
@@ -400,46 +669,92 @@ async function tryEnterTrade(user, signal, entryPrice, settings) {
   const mode = decideTradeMode(user, settings);
   if (mode === "off") return { ok: true, msg: "engine disabled" };
 
-  const existing = await PaperTrade.findOne({ userId: user._id, status: "OPEN" });
-  if (existing) return { ok: true, msg: "user already has open trade" };
+  // M2Signal is one document per symbol across days, so the signal match
+  // only counts today's trades
+  const [openCount, duplicate] = await Promise.all([
+    PaperTrade.countDocuments({ userId: user._id, status: "OPEN" }),
+    PaperTrade.exists({
+      userId: user._id,
+      $or: [
+        { signalId: signal._id, entryTime: { $gte: startOfDayIST() } },
+        { symbol: signal.symbol, status: "OPEN" },
+      ],
+    }),
+  ]);
+  if (duplicate) return { ok: true, msg: "signal already traded" };
+  if (openCount >= CFG.MAX_OPEN_PER_USER) {
+    return { ok: true, msg: "user position limit reached", atCapacity: true };
+  }
+
+  const riskState = await risk.getDailyRiskState(user);
+  if (riskState.blocked) {
+    return { ok: true, msg: "daily loss limit reached", riskBlocked: riskState.reasons };
+  }
+
+  const profile = getUserProfile(user);
+  if (profile.maxTradesPerDay && (await countTradesToday(user._id)) >= profile.maxTradesPerDay) {
+    return { ok: true, msg: "daily trade limit reached" };
+  }
+
+  const side = sideOf(signal);
+
+  // paper entries pay simulated slippage; levels are built off the fill
+  const entryLtp = entryPrice;
+  if (mode === "paper") {
+    entryPrice = paperSim.simulateFill(entryLtp, side, CFG, liveQuote(signal.symbol, entryLtp));
+  }
 
-  let qty = 1;
-  if (mode === "live") {
-    qty = await computeLiveQty(user, entryPrice);
-    if (qty < 1) return { ok: false, error: "insufficient margin" };
+  const levels = buildTradeLevels(entryPrice, profile.targetPct, profile.stopPct, side);
+
+  const sized = mode === "live"
+    ? await sizeLivePosition(user, profile, entryPrice, levels.stopPrice)
+    : sizePaperPosition(profile, entryPrice, levels.stopPrice);
+  if (sized.qty < 1) {
+    if (sized.reason === "funds unavailable") return { ok: false, error: sized.reason };
+    return { ok: true, msg: sized.reason };
   }
+  const qty = sized.qty;
 
   const base = {
     userId: user._id,
     signalId: signal._id,
     signalCapturedAt: signal.capturedAt || signal.updatedAt || new Date(),
     symbol: signal.symbol,
+    side,
     qty,
     entryPrice,
-    targetPrice: Number((entryPrice * (1 + CFG.TARGET_PCT / 100)).toFixed(2)),
-    stopPrice: Number((entryPrice * (1 - CFG.STOP_PCT / 100)).toFixed(2)),
+    entryLtp,
+    ...levels,
+    openQty: qty,
+    initialStopPrice: levels.stopPrice,
+    stopMode: "FIXED",
+    sizing: sized.sizing,
     entryTime: new Date(),
     tradeMode: mode,
     rsiAtEntry: signal.rsi,
+    configVersion,
     status: "OPEN",
   };
 
   if (mode === "paper") {
+    const targets = buildScaleOutTargets(entryPrice, side, profile.targetPct);
+    if (targets.length) base.targets = targets;
     const doc = await PaperTrade.create(base);
     return { ok: true, trade: doc };
   }
 
-  const token = await resolveToken(signal.symbol);
-  if (!token) {
-    console.warn("[TradeEngine] LIVE order blocked: symboltoken missing", {
-      symbol: signal.symbol,
+  const broker = getBrokerAdapter(user);
+  if (!broker) {
+    console.warn("[TradeEngine] LIVE order blocked: no order adapter", {
+      broker: user.broker?.brokerName,
       userId: String(user._id),
     });
-    return { ok: false, error: "symboltoken missing" };
+    return { ok: false, error: "broker cannot place orders" };
   }
 
-  const targetDiff = Number((base.targetPrice - entryPrice).toFixed(2));
-  const stopDiff = Number((entryPrice - base.stopPrice).toFixed(2));
+  const dir = sideDir(side);
+  const targetDiff = Number(((base.targetPrice - entryPrice) * dir).toFixed(2));
+  const stopDiff = Number(((entryPrice - base.stopPrice) * dir).toFixed(2));
   if (!(targetDiff > 0 && stopDiff > 0)) {
     console.warn("[TradeEngine] LIVE order blocked: invalid target/stop deltas", {
       symbol: signal.symbol,
@@ -449,112 +764,65 @@ async function tryEnterTrade(user, signal, entryPrice, settings) {
     return { ok: false, error: "invalid target/stop" };
   }
 
-  const bracket = {
-    squareoff: targetDiff,
-    stoploss: stopDiff,
-    trailingStopLoss: CFG.BO_TRAILING > 0 ? Number(CFG.BO_TRAILING.toFixed(2)) : undefined,
+  const order = {
+    userId: user._id,
+    symbol: signal.symbol,
+    qty,
+    side,
+    entryPrice,
+    targetDiff,
+    stopDiff,
+    trailing: CFG.BO_TRAILING > 0 ? Number(CFG.BO_TRAILING.toFixed(2)) : undefined,
   };
 
   console.info("[TradeEngine] LIVE BO order request", {
     userId: String(user._id),
+    broker: broker.name,
     symbol: signal.symbol,
-    token,
     qty,
-    bracket,
+    targetDiff,
+    stopDiff,
   });
 
-  let placed = await angelTrade.placeMarketOrder({
-    userId: user._id,
-    symbol: signal.symbol,
-    symboltoken: token,
-    qty,
-    side: "BUY",
-    bracket,
-  });
+  let placed = await broker.placeBracketOrder(order);
 
   if (!placed?.ok) {
-    console.warn("[TradeEngine] Live buy failed, retrying once...", {
+    console.warn(`[TradeEngine] Live ${side} failed, retrying once...`, {
+      broker: broker.name,
       symbol: signal.symbol,
-      token,
       qty,
-      bracket,
       error: placed?.error,
     });
-    placed = await angelTrade.placeMarketOrder({
-      userId: user._id,
-      symbol: signal.symbol,
-      symboltoken: token,
-      qty,
-      side: "BUY",
-      bracket,
-    });
+    placed = await broker.placeBracketOrder(order);
   }
 
   if (!placed?.ok) {
-    console.warn("[TradeEngine] Live buy failed after retry", {
+    console.warn(`[TradeEngine] Live ${side} failed after retry`, {
+      broker: broker.name,
       symbol: signal.symbol,
-      token,
       qty,
-      bracket,
       error: placed?.error,
     });
     return { ok: false, error: placed?.error || "live order failed" };
   }
 
   console.info("[TradeEngine] LIVE order placed", {
+    broker: broker.name,
     symbol: signal.symbol,
     qty,
-    bracket,
-    orderId: placed.orderId || placed?.raw?.data?.orderid || placed?.raw?.orderid,
+    orderId: placed.orderId,
   });
 
   const liveDoc = await PaperTrade.create({
     ...base,
-    broker: "ANGEL_ONE",
+    broker: broker.tag,
     brokerOrderId: placed.orderId,
   });
 
   return { ok: true, trade: liveDoc };
 }
 
-async function autoEnterOnSignal(userId = null) {
-  if (isAfterCutoff()) return { ok: true, msg: "cutoff passed" };
-
-  const tradeRunning = await hasOpenTrades();
-  if (tradeRunning) {
-    ensureTradeTickListener();
-    await ensureTradeSubscription(currentTradeSymbol);
-    return { ok: true, msg: "trade already active" };
-  }
-
-  const signal = await ensureSignalForEntry();
-  if (!signal) return { ok: true, msg: "no pending signals" };
-
-  const entryPrice = await fetchEntryPrice(signal.symbol);
-  if (!entryPrice) return { ok: false, error: "LTP unavailable" };
-
-  currentTradeSymbol = signal.symbol;
-  await ensureTradeSubscription(signal.symbol);
-  ensureTradeTickListener();
-
-  const settings = getSettings();
-
-  if (userId) {
-    const uid = String(userId);
-    if (isLocked(uid)) return { ok: true, msg: "locked" };
-
-    lock(uid);
-    try {
-      const user = await User.findById(uid).lean();
-      if (!user) return { ok: false, error: "user not found" };
-      const result = await tryEnterTrade(user, signal, entryPrice, settings);
-      return { ...result, signal: signal.symbol };
-    } finally {
-      unlock(uid);
-    }
-  }
-
-  const users = await User.find().lean();
+async function enterSignalForUsers(users, signal, entryPrice, settings) {
   const out = [];
 
   for (const user of users) {
@@ -575,15 +843,70 @@ async function autoEnterOnSignal(userId = null) {
     }
   }
 
-  if (!out.some((r) => r.trade)) {
-    console.warn("[TradeEngine] Signal", signal.symbol, "produced no trades.");
+  return out;
+}
+
+async function autoEnterOnSignal(userId = null) {
+  if (isAfterCutoff()) return { ok: true, msg: "cutoff passed" };
+
+  // also re-attaches tick listeners for positions left open by a restart
+  await syncTradeSubscriptions();
+
+  // signals stay pending until the feed recovers (or they go stale)
+  const feedBlocked = feedHealth.entryBlockReason();
+  if (feedBlocked) return { ok: true, msg: "market feed unhealthy", feed: feedBlocked };
+
+  const signals = await fetchPendingSignals();
+  if (!signals.length) return { ok: true, msg: "no pending signals" };
+
+  let users;
+  if (userId) {
+    const user = await User.findById(String(userId)).lean();
+    if (!user) return { ok: false, error: "user not found" };
+    users = [user];
+  } else {
+    users = await User.find().lean();
   }
 
-  return {
-    ok: true,
-    signal: { id: signal._id, symbol: signal.symbol, entryPrice },
-    results: out,
-  };
+  const settings = await getSettings();
+  const openSymbols = new Set(await getOpenSymbols());
+  const out = [];
+
+  for (const signal of signals) {
+    const isNewPosition = !openSymbols.has(signal.symbol);
+    if (isNewPosition && openSymbols.size >= CFG.MAX_OPEN_GLOBAL) {
+      // remaining signals stay pending until a slot frees (or they go stale)
+      out.push({ signal: { id: signal._id, symbol: signal.symbol }, msg: "global position limit reached" });
+      break;
+    }
+
+    const entryPrice = await fetchEntryPrice(signal.symbol);
+    if (!entryPrice) {
+      out.push({ signal: { id: signal._id, symbol: signal.symbol }, ok: false, error: "LTP unavailable" });
+      continue;
+    }
+
+    const results = await enterSignalForUsers(users, signal, entryPrice, settings);
+    const traded = results.some((r) => r.trade);
+    if (traded) openSymbols.add(signal.symbol);
+
+    // Bulk runs settle the signal; if every user was only blocked by their
+    // position limit it stays pending so it can fill once a slot frees.
+    if (!userId) {
+      const waiting = !traded && results.some((r) => r.atCapacity);
+      if (!waiting) await consumeSignal(signal, traded ? "entered" : "no-trades");
+      if (!traded) console.warn("[TradeEngine] Signal", signal.symbol, "produced no trades.");
+    }
+
+    out.push({
+      signal: { id: signal._id, symbol: signal.symbol, side: sideOf(signal), entryPrice },
+      results,
+    });
+  }
+
+  await syncTradeSubscriptions();
+
+  return { ok: true, signals: out };
 }
 
 // ------------------------------------------------------------
@@ -603,32 +926,92 @@ async function tryExitTradesForUser(userId) {
     const ltp = num(ltpMap[trade.symbol]);
     if (!ltp) continue;
 
-    let reason = "";
-    if (isCutoffExit) reason = "CUTOFF";
-    else if (ltp >= trade.targetPrice) reason = "TARGET";
-    else if (ltp <= trade.stopPrice) reason = "STOPLOSS";
+    const plan = planTradeTick(trade, ltp, isCutoffExit);
+    await PaperTrade.updateOne({ _id: trade._id, status: "OPEN" }, plan.update);
+    if (!plan.reason) continue;
 
-    if (!reason) continue;
+    const { pnlAbs, pnlPct } = plan.update.$set;
+    closed.push({ ...trade, exitPrice: plan.update.$set.exitPrice, pnlAbs, pnlPct, reason: plan.reason });
+  }
 
-    const pnlAbs = (ltp - trade.entryPrice) * trade.qty;
-    const pnlPct = (pnlAbs / trade.entryPrice) * 100;
+  if (closed.length) await onTradesClosed([userId]);
+  return { ok: true, closed };
+}
 
-    await PaperTrade.findByIdAndUpdate(trade._id, {
-      $set: {
-        exitPrice: ltp,
-        exitTime: new Date(),
-        pnlAbs: Number(pnlAbs.toFixed(2)),
-        pnlPct: Number(pnlPct.toFixed(2)),
-        notes: reason,
-        status: "CLOSED",
-        updatedAt: new Date(),
-      },
+// ------------------------------------------------------------
+// MANUAL CLOSE (user / admin initiated)
+// ------------------------------------------------------------
+// Exit one OPEN trade (broker square-off for live) and mark it CLOSED.
+// No close hook: callers run onTradesClosed themselves.
+async function closeTrade(trade, reason, ltp) {
+  let exitPrice = ltp;
+  let exitOrderId = null;
+  let exitReason = reason;
+  let cancelledEntry = false;
+
+  if (trade.tradeMode === "live") {
+    const broker = getAdapterForTrade(trade);
+    if (!broker) return { ok: false, error: `no order adapter for ${trade.broker}` };
+
+    const sq = await broker.squareOff({
+      userId: trade.userId,
+      orderId: trade.brokerOrderId,
+      symbol: trade.symbol,
+      qty: remainingQty(trade),
+      side: sideOf(trade),
+      ltp,
     });
-    closed.push({ ...trade, exitPrice: ltp, pnlAbs, pnlPct, reason });
+    if (!sq.ok) return { ok: false, error: sq.error || "broker square-off failed" };
+
+    exitOrderId = sq.orderId;
+    exitPrice = sq.avgPrice || ltp; // fill price if the book already has it
+    cancelledEntry = !!sq.cancelledEntry;
+    // a bracket leg beat us to it: that fill is the real exit
+    if (sq.alreadyExited && (sq.exitReason === "TARGET" || sq.exitReason === "STOPLOSS")) exitReason = sq.exitReason;
   }
 
-  if (closed.length) await handleTradesCompletionIfAny();
-  return { ok: true, closed };
+  if (!exitPrice && !cancelledEntry) return { ok: false, error: "LTP unavailable" };
+
+  const update = cancelledEntry
+    ? buildFlatCloseUpdate(trade, "ENTRY_CANCELLED")
+    : buildCloseUpdate(trade, exitPrice, exitReason);
+  if (exitOrderId) update.$set.exitOrderId = exitOrderId;
+
+  const closed = await PaperTrade.findOneAndUpdate(
+    { _id: trade._id, status: "OPEN" },
+    update,
+    { new: true }
+  ).lean();
+  if (!closed) return { ok: false, error: "Trade already closed" };
+  return { ok: true, trade: closed };
+}
+
+async function closeTradeManually(tradeId, reason = "MANUAL") {
+  const trade = await PaperTrade.findById(tradeId).lean();
+  if (!trade) return { ok: false, error: "Trade not found" };
+  if (trade.status !== "OPEN") return { ok: false, error: "Trade already closed" };
+
+  const ltpMap = await getOptimizedLTPMap([trade.symbol]);
+  const res = await closeTrade(trade, reason, num(ltpMap[trade.symbol]));
+  if (!res.ok) return res;
+
+  await onTradesClosed([trade.userId]);
+  return res;
+}
+
+async function closeAllTradesForUser(userId, reason = "MANUAL") {
+  const open = await PaperTrade.find({ userId, status: "OPEN" }).select("_id symbol").lean();
+  const results = [];
+  for (const t of open) {
+    const res = await closeTradeManually(t._id, reason);
+    results.push({ tradeId: t._id, symbol: t.symbol, ok: res.ok, error: res.error, exitPrice: res.trade?.exitPrice });
+  }
+  return {
+    ok: results.every((r) => r.ok),
+    closed: results.filter((r) => r.ok).length,
+    failed: results.filter((r) => !r.ok).length,
+    results,
+  };
 }
 
 async function checkOpenTradesAndUpdate(userId = null) {
@@ -666,8 +1049,7 @@ async function getLivePnLSnapshot(userId = null) {
 
     const openMapped = open.map((t) => {
       const ltp = num(ltpMap[t.symbol]);
-      const pnlAbs = ltp ? (ltp - t.entryPrice) * t.qty : null;
-      const pnlPct = pnlAbs != null ? (pnlAbs / t.entryPrice) * 100 : null;
+      const { pnlAbs = null, pnlPct = null } = ltp ? calcPnL(t, ltp) : {};
       return { ...t, ltp, pnlAbs, pnlPct };
     });
 
@@ -706,8 +1088,7 @@ async function getLivePnLSnapshot(userId = null) {
   for (const [uid, trades] of grouped.entries()) {
     const mapped = trades.map((t) => {
       const ltp = num(ltpMap[t.symbol]);
-      const pnlAbs = ltp ? (ltp - t.entryPrice) * t.qty : null;
-      const pnlPct = pnlAbs != null ? (pnlAbs / t.entryPrice) * 100 : null;
+      const { pnlAbs = null, pnlPct = null } = ltp ? calcPnL(t, ltp) : {};
       return { ...t, ltp, pnlAbs, pnlPct };
     });
 
@@ -755,8 +1136,7 @@ async function getAllTrades(options = {}) {
       let pnlPct = t.pnlPct;
 
       if (isOpen && ltp) {
-        pnlAbs = (ltp - t.entryPrice) * t.qty;
-        pnlPct = (pnlAbs / t.entryPrice) * 100;
+        ({ pnlAbs, pnlPct } = calcPnL(t, ltp));
       }
 
       return {
@@ -764,8 +1144,10 @@ async function getAllTrades(options = {}) {
         userId: t.userId,
         signalId: t.signalId,
         symbol: t.symbol,
-        direction: "BUY",
+        direction: sideOf(t),
         quantity: t.qty,
+        openQty: remainingQty(t),
+        exitLegs: t.exitLegs || [],
         entryPrice: t.entryPrice,
         targetPrice: t.targetPrice,
         stopPrice: t.stopPrice,
@@ -793,6 +1175,22 @@ async function getAllTrades(options = {}) {
 module.exports = {
   autoEnterOnSignal,
   checkOpenTradesAndUpdate,
+  closeTradeManually,
+  closeAllTradesForUser,
+  buildCloseUpdate,
+  buildFlatCloseUpdate,
+  onTradesClosed,
+  buildScaleOutTargets,
+  getPartialExit,
+  buildPartialExitUpdate,
   getLivePnLSnapshot,
   getAllTrades,
+  buildTradeLevels,
+  getExitReason,
+  isStopExit,
+  trailStop,
+  getUserProfile,
+  calcPnL,
+  applyStrategyConfig,
+  CFG,
 };
@@ -0,0 +1,281 @@
+// services/universe.service.js
+"use strict";
+
+/**
+ * Universe management
+ * -------------------
+ * ✓ Named symbol lists in Mongo (NIFTY500, F&O, watchlists, exclusion lists)
+ * ✓ zod-validated CRUD + CSV import (replace / append)
+ * ✓ resolveUniverse(): symbols minus exclusion lists, plus the M1 filters
+ * ✓ DEFAULT is seeded from nse_universe.json the first time it is needed
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const { z } = require("zod");
+const Universe = require("../models/Universe");
+const { toFyersSymbol } = require("./fyersSdk");
+
+const DEFAULT_NAME = "DEFAULT";
+const KINDS = ["INDEX", "FNO", "WATCHLIST", "EXCLUSION", "CUSTOM"];
+const MAX_SYMBOLS = 5000;
+
+// ------------------------------- SYMBOLS -------------------------------
+// Exchange series suffixes; tickers themselves may contain "-" (BAJAJ-AUTO)
+const SERIES_RE = /-(EQ|BE|BZ|SM|ST)$/i;
+
+const tickerOf = (sym) => String(sym).trim().toUpperCase().replace(/^NSE:/, "").replace(SERIES_RE, "");
+
+function normalizeSymbol(sym) {
+  const s = String(sym || "").trim().toUpperCase();
+  if (!s) return null;
+  return /^NSE:/.test(s) ? s : toFyersSymbol(s.replace(SERIES_RE, ""));
+}
+
+function normalizeSymbols(list = []) {
+  return [...new Set(list.map(normalizeSymbol).filter(Boolean))];
+}
+
+// ------------------------------- SCHEMA --------------------------------
+const name = z
+  .string()
+  .trim()
+  .min(1)
+  .max(40)
+  .regex(/^[A-Za-z0-9_&-]+$/, "letters, digits, _ & - only")
+  .transform((s) => s.toUpperCase());
+
+const limit = z.number().positive().nullable();
+
+const UniverseSchema = z
+  .object({
+    name,
+    description: z.string().max(500),
+    kind: z.enum(KINDS),
+    symbols: z.array(z.string().min(1).max(40)).max(MAX_SYMBOLS),
+    filters: z
+      .object({ minPrice: limit, maxPrice: limit, minAvgVolume: limit })
+      .partial()
+      .strict(),
+    excludeLists: z.array(name),
+    exclude: z.array(z.string().min(1).max(40)).max(MAX_SYMBOLS),
+  })
+  .strict()
+  .refine(
+    (u) => !(u.filters?.minPrice && u.filters?.maxPrice && u.filters.minPrice >= u.filters.maxPrice),
+    { message: "filters.minPrice must be below filters.maxPrice" }
+  );
+
+function validate(schema, input) {
+  const parsed = schema.safeParse(input);
+  if (parsed.success) return { ok: true, data: parsed.data };
+  const error = parsed.error.issues
+    .map((i) => `${i.path.join(".") || "universe"}: ${i.message}`)
+    .join("; ");
+  return { ok: false, error };
+}
+
+// ---------------------------------- CSV --------------------------------
+/**
+ * One symbol per row. A header row naming a "symbol" column (NSE exports:
+ * SYMBOL, SERIES, …) is detected; without it the first column is used.
+ */
+function parseSymbolsCsv(text = "") {
+  const rows = String(text)
+    .split(/\r?\n/)
+    .map((l) => l.split(",").map((c) => c.trim().replace(/^"|"$/g, "")))
+    .filter((r) => r.some(Boolean));
+  if (!rows.length) return [];
+
+  const header = rows[0].map((c) => c.toLowerCase());
+  const col = header.findIndex((c) => c === "symbol" || c === "ticker" || c === "tradingsymbol");
+  const data = col >= 0 ? rows.slice(1) : rows;
+  const idx = col >= 0 ? col : 0;
+
+  return normalizeSymbols(data.map((r) => r[idx]));
+}
+
+// --------------------------------- STORE -------------------------------
+const summary = (u) => ({
+  _id: u._id,
+  name: u.name,
+  description: u.description,
+  kind: u.kind,
+  count: (u.symbols || []).length,
+  filters: u.filters,
+  excludeLists: u.excludeLists,
+  excludeCount: (u.exclude || []).length,
+  updatedAt: u.updatedAt,
+});
+
+// DEFAULT mirrors the legacy static file until an admin edits it
+async function ensureDefault() {
+  const existing = await Universe.findOne({ name: DEFAULT_NAME }).lean();
+  if (existing) return existing;
+
+  let symbols = [];
+  try {
+    const raw = await fs.readFile(path.join(__dirname, "../nse_universe.json"), "utf8");
+    symbols = normalizeSymbols(JSON.parse(raw || "[]"));
+  } catch (err) {
+    console.error("[Universe] nse_universe.json unreadable:", err.message);
+  }
+
+  const seeded = await Universe.findOneAndUpdate(
+    { name: DEFAULT_NAME },
+    {
+      $setOnInsert: {
+        name: DEFAULT_NAME,
+        description: "Seeded from nse_universe.json",
+        kind: "CUSTOM",
+        symbols,
+        createdBy: "system",
+      },
+    },
+    { upsert: true, new: true }
+  ).lean();
+  console.log(`[Universe] Seeded ${DEFAULT_NAME} (${symbols.length})`);
+  return seeded;
+}
+
+async function listUniverses() {
+  await ensureDefault();
+  const docs = await Universe.find().sort({ name: 1 }).lean();
+  return docs.map(summary);
+}
+
+async function getUniverse(universeName) {
+  if (String(universeName).toUpperCase() === DEFAULT_NAME) return ensureDefault();
+  return Universe.findOne({ name: String(universeName).toUpperCase() }).lean();
+}
+
+async function createUniverse(input = {}, by = "admin") {
+  const v = validate(UniverseSchema, {
+    description: "",
+    kind: "CUSTOM",
+    symbols: [],
+    filters: {},
+    excludeLists: [],
+    exclude: [],
+    ...input,
+  });
+  if (!v.ok) return v;
+
+  if (await Universe.exists({ name: v.data.name })) return { ok: false, error: "universe already exists" };
+
+  const doc = await Universe.create({
+    ...v.data,
+    symbols: normalizeSymbols(v.data.symbols),
+    exclude: normalizeSymbols(v.data.exclude),
+    createdBy: by,
+  });
+  return { ok: true, universe: summary(doc.toObject()) };
+}
+
+// Partial update; the merged document is validated as a whole (name is fixed)
+async function updateUniverse(universeName, patch = {}, by = "admin") {
+  const existing = await getUniverse(universeName);
+  if (!existing) return { ok: false, notFound: true, error: "universe not found" };
+
+  const { description, kind, symbols, filters, excludeLists, exclude } = existing;
+  const { name: _ignored, ...rest } = patch;
+  const v = validate(UniverseSchema, {
+    description,
+    kind,
+    symbols,
+    excludeLists,
+    exclude,
+    ...rest,
+    name: existing.name,
+    filters: { ...filters, ...(rest.filters || {}) },
+  });
+  if (!v.ok) return v;
+
+  const doc = await Universe.findOneAndUpdate(
+    { name: existing.name },
+    {
+      $set: {
+        ...v.data,
+        symbols: normalizeSymbols(v.data.symbols),
+        exclude: normalizeSymbols(v.data.exclude),
+        updatedBy: by,
+      },
+    },
+    { new: true }
+  ).lean();
+  return { ok: true, universe: summary(doc) };
+}
+
+async function deleteUniverse(universeName) {
+  const doc = await Universe.findOneAndDelete({ name: String(universeName).toUpperCase() }).lean();
+  if (!doc) return { ok: false, notFound: true, error: "universe not found" };
+  return { ok: true };
+}
+
+/**
+ * CSV import into a universe (created when missing).
+ * mode "replace" swaps the symbol list, "append" merges into it.
+ */
+async function importCsv(universeName, csv, { mode = "replace", kind, by = "admin" } = {}) {
+  const symbols = parseSymbolsCsv(csv);
+  if (!symbols.length) return { ok: false, error: "no symbols found in CSV" };
+  if (!["replace", "append"].includes(mode)) return { ok: false, error: "mode must be replace or append" };
+
+  const existing = await getUniverse(universeName);
+  if (!existing) {
+    const created = await createUniverse({ name: universeName, kind: kind || "CUSTOM", symbols }, by);
+    return created.ok ? { ...created, imported: symbols.length, created: true } : created;
+  }
+
+  const merged = mode === "append" ? normalizeSymbols([...existing.symbols, ...symbols]) : symbols;
+  const updated = await updateUniverse(existing.name, { symbols: merged, ...(kind ? { kind } : {}) }, by);
+  return updated.ok ? { ...updated, imported: symbols.length, created: false } : updated;
+}
+
+// -------------------------------- RESOLVE ------------------------------
+/**
+ * Symbols M1 should scan for `universeName` (unknown names fall back to
+ * DEFAULT): the list minus its own exclusions and every referenced
+ * EXCLUSION list, matched by ticker so -EQ / -BE series both count.
+ */
+async function resolveUniverse(universeName = DEFAULT_NAME) {
+  let doc = await getUniverse(universeName);
+  if (!doc) {
+    console.warn(`[Universe] ${universeName} not found → ${DEFAULT_NAME}`);
+    doc = await ensureDefault();
+  }
+
+  const excluded = new Set((doc.exclude || []).map(tickerOf));
+  if (doc.excludeLists?.length) {
+    const lists = await Universe.find({ name: { $in: doc.excludeLists } }).select("name symbols").lean();
+    const missing = doc.excludeLists.filter((n) => !lists.some((l) => l.name === n));
+    if (missing.length) console.warn(`[Universe] exclusion lists not found: ${missing.join(", ")}`);
+    for (const l of lists) for (const s of l.symbols) excluded.add(tickerOf(s));
+  }
+
+  const symbols = doc.symbols.filter((s) => !excluded.has(tickerOf(s)));
+  return {
+    name: doc.name,
+    symbols,
+    excludedCount: doc.symbols.length - symbols.length,
+    filters: {
+      minPrice: doc.filters?.minPrice ?? null,
+      maxPrice: doc.filters?.maxPrice ?? null,
+      minAvgVolume: doc.filters?.minAvgVolume ?? null,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_NAME,
+  KINDS,
+  normalizeSymbol,
+  parseSymbolsCsv,
+  listUniverses,
+  getUniverse,
+  createUniverse,
+  updateUniverse,
+  deleteUniverse,
+  importCsv,
+  resolveUniverse,
+};
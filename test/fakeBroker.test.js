@@ -0,0 +1,96 @@
+// test/fakeBroker.test.js
+"use strict";
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const fake = require("../services/brokers/fake.adapter");
+const brokers = require("../services/brokers");
+
+const USER = "user-1";
+const order = (over = {}) => ({
+  userId: USER,
+  symbol: "NSE:SBIN-EQ",
+  qty: 10,
+  side: "BUY",
+  entryPrice: 800,
+  targetDiff: 12,
+  stopDiff: 6,
+  ...over,
+});
+
+beforeEach(() => fake.reset());
+
+test("getFunds returns the default balance until one is set", async () => {
+  assert.deepEqual(await fake.getFunds(USER), { ok: true, availableMargin: 100000 });
+
+  fake.setFunds(USER, 2500);
+  assert.deepEqual(await fake.getFunds(USER), { ok: true, availableMargin: 2500 });
+  assert.equal((await fake.getFunds("someone-else")).availableMargin, 100000);
+});
+
+test("placeBracketOrder needs both bracket legs", async () => {
+  const res = await fake.placeBracketOrder(order({ stopDiff: 0 }));
+  assert.equal(res.ok, false);
+  assert.match(res.error, /Bracket order required/);
+  assert.deepEqual((await fake.getPositions(USER)).positions, []);
+});
+
+test("an entry fills at entryPrice and opens a position", async () => {
+  const placed = await fake.placeBracketOrder(order());
+  assert.equal(placed.ok, true);
+
+  const status = await fake.getOrderStatus({ userId: USER, orderId: placed.orderId });
+  assert.deepEqual(
+    { status: status.status, avgPrice: status.avgPrice, filledQty: status.filledQty },
+    { status: "FILLED", avgPrice: 800, filledQty: 10 }
+  );
+
+  const { positions } = await fake.getPositions(USER);
+  assert.equal(positions.length, 1);
+  assert.deepEqual(
+    { symbol: positions[0].symbol, qty: positions[0].qty, side: positions[0].side, avgPrice: positions[0].avgPrice },
+    { symbol: "NSE:SBIN-EQ", qty: 10, side: "BUY", avgPrice: 800 }
+  );
+});
+
+test("failNext rejects exactly one order", async () => {
+  fake.failNext("RMS: margin exceeds");
+  assert.deepEqual(await fake.placeBracketOrder(order()), { ok: false, error: "RMS: margin exceeds" });
+  assert.equal((await fake.placeBracketOrder(order())).ok, true);
+});
+
+test("squareOff flattens the position at the given price", async () => {
+  const placed = await fake.placeBracketOrder(order({ side: "SELL" }));
+  const sq = await fake.squareOff({
+    userId: USER,
+    orderId: placed.orderId,
+    symbol: "NSE:SBIN-EQ",
+    qty: 10,
+    side: "SELL",
+    ltp: 795.5,
+  });
+
+  assert.equal(sq.ok, true);
+  assert.equal(sq.avgPrice, 795.5);
+  assert.deepEqual((await fake.getPositions(USER)).positions, []);
+
+  const { orders } = await fake.getOrderBook(USER);
+  const exit = orders.find((o) => o.orderId === sq.orderId);
+  assert.deepEqual(
+    { parentId: exit.parentId, status: exit.status, qty: exit.qty, avgPrice: exit.avgPrice },
+    { parentId: placed.orderId, status: "FILLED", qty: 10, avgPrice: 795.5 }
+  );
+});
+
+test("BROKER_ADAPTER=FAKE routes every user and trade through the fake adapter", () => {
+  const prev = process.env.BROKER_ADAPTER;
+  process.env.BROKER_ADAPTER = "FAKE";
+  try {
+    assert.equal(brokers.getBrokerAdapter({ broker: { brokerName: "ANGEL" } }), fake);
+    assert.equal(brokers.getAdapterForTrade({ broker: "ANGEL_ONE" }), fake);
+  } finally {
+    if (prev === undefined) delete process.env.BROKER_ADAPTER;
+    else process.env.BROKER_ADAPTER = prev;
+  }
+});
@@ -0,0 +1,268 @@
+// test/indicators.test.js
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const ind = require("../utils/indicators");
+
+const MIN = 60000;
+const closesToCandles = (closes) => closes.map((x, i) => [i * MIN, x, x, x, x, 1]);
+
+// Published tables round each value (and some intermediate averages) to 2 dp
+function assertSeries(actual, expected, tol, label) {
+  assert.equal(actual.length, expected.length, `${label}: length`);
+  actual.forEach((v, i) => {
+    assert.ok(Math.abs(v - expected[i]) <= tol, `${label}[${i}]: ${v} vs ${expected[i]}`);
+  });
+}
+
+function assertClose(actual, expected, tol = 1e-9, label = "value") {
+  assert.ok(Math.abs(actual - expected) <= tol, `${label}: ${actual} vs ${expected}`);
+}
+
+// Deterministic random walk (LCG), a few sessions of minute bars
+function randomCandles(n = 400, seed = 7) {
+  let s = seed;
+  const rnd = () => ((s = (s * 1664525 + 1013904223) % 4294967296) / 4294967296);
+  const out = [];
+  let price = 100;
+  const start = Date.UTC(2025, 0, 6, 3, 45); // 09:15 IST
+  for (let i = 0; i < n; i++) {
+    const ts = start + Math.floor(i / 150) * 86400000 + (i % 150) * MIN;
+    const o = price;
+    const c = Math.max(1, o + (rnd() - 0.5) * 2);
+    const h = Math.max(o, c) + rnd();
+    const l = Math.min(o, c) - rnd();
+    out.push([ts, o, h, l, c, Math.round(1000 + rnd() * 9000)]);
+    price = c;
+  }
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Reference series
+// ---------------------------------------------------------------------------
+
+// StockCharts "Relative Strength Index" worked example (Wilder, 14 periods)
+const RSI_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.1, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28,
+  46.0, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25, 45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57,
+  43.42, 42.66, 43.13,
+];
+const RSI_EXPECTED = [
+  70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38, 54.71, 50.42, 39.99, 41.46, 41.87,
+  45.46, 37.3, 33.08, 37.77,
+];
+
+// StockCharts "Moving Averages" worked example (10 periods)
+const MA_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36,
+  24.05, 23.75, 23.83, 23.95, 23.63, 23.82, 23.87, 23.65, 23.19, 23.1, 23.33, 22.68, 23.1, 22.4, 22.17,
+];
+const SMA10_EXPECTED = [
+  22.22, 22.21, 22.23, 22.26, 22.31, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21, 23.38, 23.53, 23.65, 23.71,
+  23.69, 23.61, 23.51, 23.43, 23.28, 23.13,
+];
+const EMA10_EXPECTED = [
+  22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.8, 22.97, 23.13, 23.28, 23.34, 23.43, 23.51, 23.54, 23.47,
+  23.4, 23.39, 23.26, 23.23, 23.08, 22.92,
+];
+
+test("RSI(14) matches the published Wilder example", () => {
+  const out = ind.rsi(closesToCandles(RSI_CLOSES));
+  assert.deepEqual(out.slice(0, 14), new Array(14).fill(null));
+  // the worksheet rounds the first average gain / loss, hence ~0.07 drift early on
+  assertSeries(out.slice(14), RSI_EXPECTED, 0.08, "rsi");
+});
+
+test("calcRSI14FromCandles agrees with the RSI series", () => {
+  const candles = closesToCandles(RSI_CLOSES);
+  const series = ind.rsi(candles);
+  for (let n = 15; n <= candles.length; n++) {
+    assert.equal(ind.calcRSI14FromCandles(candles.slice(0, n)), Number(series[n - 1].toFixed(2)));
+  }
+  assert.equal(ind.calcRSI14FromCandles(candles.slice(0, 14)), null);
+});
+
+test("RSI is 100 without losses", () => {
+  const out = ind.rsi(closesToCandles(Array.from({ length: 20 }, (_, i) => 100 + i)));
+  assert.equal(ind.lastOf(out), 100);
+});
+
+test("SMA(10) and EMA(10) match the published example", () => {
+  const candles = closesToCandles(MA_CLOSES);
+  const sma = ind.sma(candles, { period: 10 });
+  const ema = ind.ema(candles, { period: 10 });
+
+  assert.deepEqual(sma.slice(0, 9), new Array(9).fill(null));
+  assert.deepEqual(ema.slice(0, 9), new Array(9).fill(null));
+  assertSeries(sma.slice(9), SMA10_EXPECTED, 0.0101, "sma");
+  assertSeries(ema.slice(9), EMA10_EXPECTED, 0.0101, "ema");
+  assert.equal(ema[9], sma[9]); // seeded with the SMA
+});
+
+test("source option picks the candle field", () => {
+  const candles = [
+    [0, 1, 10, 0.5, 2, 100],
+    [MIN, 2, 20, 1.5, 3, 300],
+  ];
+  assert.equal(ind.lastOf(ind.sma(candles, { period: 2, source: "high" })), 15);
+  assert.equal(ind.lastOf(ind.sma(candles, { period: 2, source: "volume" })), 200);
+  assert.equal(ind.lastOf(ind.sma(candles, { period: 2 })), 2.5);
+});
+
+test("MACD is EMA(12) - EMA(26) with an EMA(9) signal", () => {
+  const candles = randomCandles(120);
+  const macd = ind.macd(candles);
+  const fast = ind.ema(candles, { period: 12 });
+  const slow = ind.ema(candles, { period: 26 });
+
+  assert.equal(macd[24], null);
+  const line = [];
+  macd.forEach((m, i) => {
+    if (i < 25) return;
+    assertClose(m.macd, fast[i] - slow[i], 1e-9, `macd[${i}]`);
+    line.push([i * MIN, 0, 0, 0, m.macd, 0]);
+  });
+
+  const signal = ind.ema(line, { period: 9 });
+  macd.slice(25).forEach((m, j) => {
+    if (signal[j] === null) return assert.equal(m.signal, null);
+    assertClose(m.signal, signal[j], 1e-9, `signal[${j}]`);
+    assertClose(m.histogram, m.macd - m.signal, 1e-9, `histogram[${j}]`);
+  });
+});
+
+test("Bollinger bands use the population standard deviation", () => {
+  // mean 5, population std-dev 2
+  const out = ind.bollinger(closesToCandles([2, 4, 4, 4, 5, 5, 7, 9]), { period: 8, mult: 2 });
+  assert.deepEqual(out.slice(0, 7), new Array(7).fill(null));
+  assertClose(out[7].middle, 5);
+  assertClose(out[7].upper, 9);
+  assertClose(out[7].lower, 1);
+});
+
+test("VWAP accumulates typical price × volume and resets each IST session", () => {
+  const day1 = Date.UTC(2025, 0, 6, 3, 45);
+  const day2 = day1 + 86400000;
+  const out = ind.vwap([
+    [day1, 10, 12, 9, 9, 100],          // tp 10
+    [day1 + MIN, 10, 14, 11, 14, 300],  // tp 13
+    [day2, 20, 21, 18, 21, 50],         // tp 20, new session
+  ]);
+  assertClose(out[0], 10);
+  assertClose(out[1], (10 * 100 + 13 * 300) / 400);
+  assertClose(out[2], 20);
+});
+
+test("ATR is Wilder-smoothed true range including gaps", () => {
+  const out = ind.atr(
+    [
+      [0, 10, 11, 9, 10, 0],           // TR 2 (high - low)
+      [MIN, 10, 12, 10, 11, 0],        // TR 2
+      [2 * MIN, 14, 15, 14, 14.5, 0],  // TR 4 (gap from 11)
+      [3 * MIN, 14, 15, 13, 14, 0],    // TR 2
+    ],
+    { period: 3 }
+  );
+  assert.deepEqual(out.slice(0, 2), [null, null]);
+  assertClose(out[2], 8 / 3);
+  assertClose(out[3], ((8 / 3) * 2 + 2) / 3);
+});
+
+test("ADX is 100 with +DI only in a one-way trend", () => {
+  // every bar one point higher: +DM 1, -DM 0, TR 1.5
+  const candles = Array.from({ length: 40 }, (_, i) => [i * MIN, 100.5 + i, 101 + i, 100 + i, 100.5 + i, 0]);
+  const out = ind.adx(candles, { period: 14 });
+
+  assert.equal(out[13], null);
+  assert.equal(out[14].adx, null);
+  assert.equal(out[26].adx, null);
+  assertClose(out[27].adx, 100);
+  const last = ind.lastOf(out);
+  assertClose(last.plusDI, 100 / 1.5);
+  assertClose(last.minusDI, 0);
+  assertClose(last.adx, 100);
+});
+
+test("Supertrend follows the trend and flips on a reversal", () => {
+  const up = Array.from({ length: 30 }, (_, i) => [i * MIN, 100 + i, 101 + i, 99.5 + i, 100.8 + i, 0]);
+  const down = Array.from({ length: 15 }, (_, i) => {
+    const p = 125 - i * 3;
+    return [(30 + i) * MIN, p, p + 0.5, p - 3, p - 2.8, 0];
+  });
+  const out = ind.supertrend([...up, ...down], { period: 10, mult: 3 });
+
+  assert.equal(out[8], null);
+  const trending = out[29];
+  assert.equal(trending.direction, 1);
+  assert.ok(trending.value < up[29][3], "line under the low in an uptrend");
+  const reversed = ind.lastOf(out);
+  assert.equal(reversed.direction, -1);
+  assert.ok(reversed.value > down[14][2], "line over the high in a downtrend");
+});
+
+// ---------------------------------------------------------------------------
+// Streaming
+// ---------------------------------------------------------------------------
+const OPTS = {
+  SMA: { period: 20 },
+  EMA: { period: 20, source: "high" },
+  RSI: { period: 14 },
+  VWAP: {},
+  ATR: { period: 14 },
+  MACD: {},
+  BOLLINGER: { period: 20, mult: 2 },
+  SUPERTREND: { period: 10, mult: 3 },
+  ADX: { period: 14 },
+};
+
+// Forming-bar updates: open-only, then partial range, then the closed bar
+function ticksOf([ts, o, h, l, c, v]) {
+  const mid = (o + c) / 2;
+  return [
+    [ts, o, o, o, o, Math.round(v / 3)],
+    [ts, o, Math.max(o, mid), Math.min(o, mid), mid, Math.round(v / 2)],
+    [ts, o, h, l, c, v],
+  ];
+}
+
+function assertSameValue(a, b, label) {
+  if (a === null || b === null || typeof a === "number") {
+    if (a === null || b === null) return assert.equal(a, b, label);
+    return assertClose(a, b, 1e-9, label);
+  }
+  for (const k of Object.keys(b)) assertSameValue(a[k], b[k], `${label}.${k}`);
+}
+
+test("every indicator streams to the same values as its batch series", () => {
+  const candles = randomCandles();
+  for (const name of ind.INDICATORS) {
+    const batch = ind.series(name, candles, OPTS[name]);
+    const live = ind.createIndicator(name, OPTS[name]);
+
+    candles.forEach((candle, i) => {
+      let value;
+      for (const tick of ticksOf(candle)) value = live.next(tick);
+      assertSameValue(value, batch[i], `${name}[${i}]`);
+      assertSameValue(live.value, batch[i], `${name}.value[${i}]`);
+    });
+  }
+});
+
+test("a forming bar is revised, not double counted", () => {
+  const rsi = ind.createIndicator("RSI", { period: 2 });
+  rsi.next([0, 10, 10, 10, 10, 0]);
+  rsi.next([MIN, 11, 11, 11, 11, 0]);
+  const first = rsi.next([2 * MIN, 9, 9, 9, 9, 0]);
+  const revised = rsi.next([2 * MIN, 12, 12, 12, 12, 0]);
+
+  assert.notEqual(first, revised);
+  assert.equal(revised, ind.lastOf(ind.rsi(closesToCandles([10, 11, 12]), { period: 2 })));
+  assert.equal(revised, 100);
+});
+
+test("unknown indicators are rejected", () => {
+  assert.throws(() => ind.createIndicator("KAMA"), /Unknown indicator: KAMA/);
+  assert.deepEqual(ind.INDICATORS, ["SMA", "EMA", "RSI", "VWAP", "ATR", "MACD", "BOLLINGER", "SUPERTREND", "ADX"]);
+});
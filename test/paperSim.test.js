@@ -0,0 +1,92 @@
+// test/paperSim.test.js
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const paperSim = require("../services/paperSim.service");
+
+// Default NSE intraday schedule, spelled out so CHARGES_* env overrides can't leak in
+const NSE = {
+  BROKERAGE_FLAT: 20,
+  BROKERAGE_PCT: 0.03,
+  STT_SELL_PCT: 0.025,
+  EXCHANGE_PCT: 0.00297,
+  SEBI_PER_CRORE: 10,
+  GST_PCT: 18,
+  STAMP_BUY_PCT: 0.003,
+};
+
+const CFG = { TICK_SIZE: 0.05, PAPER_SLIPPAGE_BPS: 0, PAPER_SLIPPAGE_TICKS: 0 };
+
+test("BUY round trip: percentage brokerage under the cap, STT on the exit", () => {
+  // buy 100 @ 500 (50,000), sell 100 @ 510 (51,000); turnover 101,000
+  const charges = paperSim.computeCharges({ side: "BUY", price: 500, qty: 100 }, [{ price: 510, qty: 100 }], NSE);
+
+  assert.deepEqual(charges, {
+    brokerage: 30.3, // 0.03% → 15 + 15.30
+    stt: 12.75, // 0.025% of 51,000
+    exchange: 3, // 0.00297% of 101,000 = 2.9997
+    sebi: 0.1, // ₹10 / crore of 101,000 = 0.101
+    gst: 6.01, // 18% of 30.30 + 2.9997 + 0.101 = 6.0121
+    stamp: 1.5, // 0.003% of 50,000
+    total: 53.66,
+  });
+});
+
+test("SELL round trip: flat-capped brokerage per order, STT on the entry", () => {
+  // short 200 @ 1000 (200,000), cover 100 @ 990 + 100 @ 980 (197,000); turnover 397,000
+  const charges = paperSim.computeCharges(
+    { side: "SELL", price: 1000, qty: 200 },
+    [
+      { price: 990, qty: 100 },
+      { price: 980, qty: 100 },
+    ],
+    NSE
+  );
+
+  assert.deepEqual(charges, {
+    brokerage: 60, // three orders, each over the ₹20 cap
+    stt: 50, // 0.025% of 200,000
+    exchange: 11.79, // 0.00297% of 397,000 = 11.7909
+    sebi: 0.4, // 0.397
+    gst: 12.99, // 18% of 60 + 11.7909 + 0.397 = 12.9938
+    stamp: 5.91, // 0.003% of 197,000
+    total: 141.09,
+  });
+});
+
+test("an open trade with no exits is charged on the entry only", () => {
+  const charges = paperSim.computeCharges({ side: "BUY", price: 500, qty: 100 }, [], NSE);
+  assert.equal(charges.stt, 0);
+  assert.equal(charges.brokerage, 15);
+  assert.equal(charges.stamp, 1.5);
+});
+
+test("slippage is bps plus ticks against the trader, rounded off the tick grid", () => {
+  const cfg = { ...CFG, PAPER_SLIPPAGE_BPS: 5, PAPER_SLIPPAGE_TICKS: 1 };
+  // 5 bps of 500 = 0.25, + 1 tick
+  assert.equal(paperSim.simulateFill(500, "BUY", cfg), 500.3);
+  assert.equal(paperSim.simulateFill(500, "SELL", cfg), 499.7);
+
+  // 10 bps of 101.03 = 0.101: BUY 101.131 → 101.15, SELL 100.929 → 100.90
+  const bps = { ...CFG, PAPER_SLIPPAGE_BPS: 10 };
+  assert.equal(paperSim.simulateFill(101.03, "BUY", bps), 101.15);
+  assert.equal(paperSim.simulateFill(101.03, "SELL", bps), 100.9);
+});
+
+test("a sane quote starts the fill from the touch; a bad one is ignored", () => {
+  const cfg = { ...CFG, PAPER_SLIPPAGE_TICKS: 1 };
+  const quote = { bid: 100.95, ask: 101.05 };
+  assert.equal(paperSim.simulateFill(101, "BUY", cfg, quote), 101.1);
+  assert.equal(paperSim.simulateFill(101, "SELL", cfg, quote), 100.9);
+
+  // ask more than 2% from the LTP, or a crossed book → back to the LTP
+  assert.equal(paperSim.simulateFill(101, "BUY", cfg, { bid: 100.95, ask: 104 }), 101.05);
+  assert.equal(paperSim.simulateFill(101, "SELL", cfg, { bid: 101.1, ask: 101 }), 100.95);
+});
+
+test("exits trade the opposite side of the entry", () => {
+  assert.equal(paperSim.exitAction("BUY"), "SELL");
+  assert.equal(paperSim.exitAction("SELL"), "BUY");
+});
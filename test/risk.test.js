@@ -0,0 +1,133 @@
+// test/risk.test.js
+"use strict";
+
+/*
+  Daily kill switch: each limit on its own blocks the day, and the engine then
+  refuses new entries. Mongo is replaced by in-memory stubs on the models;
+  the clock is pinned to 11:00 IST.
+*/
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Settings, DateTime } = require("luxon");
+
+const settings = require("../services/settings.service");
+settings.getSettings = async () => ({
+  isPaperTradingActive: true,
+  isLiveExecutionAllowed: false,
+  marketHalt: false,
+});
+
+const PaperTrade = require("../models/PaperTrade");
+const User = require("../models/User");
+const M2Signal = require("../models/M2Signal");
+const marketSocket = require("../services/marketSocket.service");
+const feedHealth = require("../services/feedHealth.service");
+const risk = require("../services/risk.service");
+const tradeEngine = require("../services/tradeEngine.service");
+
+const USER_ID = "64b000000000000000000002";
+const SYMBOL = "NSE:SBIN-EQ";
+
+const query = (value) => ({ sort: () => query(value), select: () => query(value), lean: async () => value });
+
+let now;
+let trades;
+let user;
+
+// A trade closed `minutesAgo` before now; netPnlAbs defaults to pnlAbs - 20 charges
+function closedTrade(pnlAbs, minutesAgo, over = {}) {
+  return {
+    _id: `closed-${trades.length + 1}`,
+    userId: USER_ID,
+    symbol: SYMBOL,
+    status: "CLOSED",
+    pnlAbs,
+    netPnlAbs: pnlAbs - 20,
+    entryTime: new Date(now - (minutesAgo + 5) * 60000),
+    exitTime: new Date(now - minutesAgo * 60000),
+    ...over,
+  };
+}
+
+before(() => {
+  now = DateTime.fromISO("2025-01-06T11:00", { zone: "Asia/Kolkata" }).toMillis();
+  Settings.now = () => now;
+
+  const rows = (filter = {}) =>
+    trades
+      .filter((r) => !filter.status || r.status === filter.status)
+      .sort((a, b) => (b.exitTime || 0) - (a.exitTime || 0));
+  PaperTrade.find = (filter) => query(rows(filter));
+  PaperTrade.findOne = () => query(trades.find((r) => r.sizing?.capital > 0) || null);
+  PaperTrade.countDocuments = async (filter = {}) => rows(filter).length;
+  PaperTrade.exists = async () => null;
+  PaperTrade.distinct = async () => [];
+  PaperTrade.create = async () => assert.fail("a blocked user must not open a trade");
+
+  User.findById = () => query(user);
+  M2Signal.find = () =>
+    query([{ _id: "signal-1", symbol: SYMBOL, side: "BUY", rsi: 45, inEntryZone: true, capturedAt: new Date() }]);
+  marketSocket.getLastTick = (symbol) => (symbol === SYMBOL ? { symbol, ltp: 500, ts: now } : null);
+  marketSocket.subscribe = async () => {};
+  marketSocket.unsubscribe = async () => {};
+  feedHealth.entryBlockReason = () => null;
+  feedHealth.isStale = () => false;
+});
+
+after(() => {
+  Settings.now = () => Date.now();
+});
+
+beforeEach(() => {
+  trades = [];
+  user = { _id: USER_ID, autoTradingEnabled: true, strategy: {} };
+});
+
+async function assertEntryRefused(reason) {
+  const res = await tradeEngine.autoEnterOnSignal(USER_ID);
+  const result = res.signals[0].results[0];
+  assert.equal(result.msg, "daily loss limit reached");
+  assert.deepEqual(result.riskBlocked, [reason]);
+}
+
+test("DAILY_MAX_LOSS trips on net realised loss", async () => {
+  user.strategy = { dailyMaxLoss: 1000 };
+  // gross -990 stays under the limit; net -1030 after charges does not
+  trades.push(closedTrade(-1200, 30), closedTrade(210, 10));
+
+  const state = await risk.getDailyRiskState(user);
+  assert.equal(state.blocked, true);
+  assert.deepEqual(state.reasons, ["DAILY_MAX_LOSS"]);
+  assert.equal(state.realizedPnl, -1030);
+  assert.equal(state.grossRealizedPnl, -990);
+
+  await assertEntryRefused("DAILY_MAX_LOSS");
+});
+
+test("DAILY_MAX_LOSS_PCT trips on net loss against the entry capital", async () => {
+  user.strategy = { dailyMaxLossPct: 2 };
+  trades.push(closedTrade(-380, 10, { sizing: { capital: 20000 } }));
+
+  // net -400 of 20000 = -2%
+  const state = await risk.getDailyRiskState(user);
+  assert.equal(state.blocked, true);
+  assert.deepEqual(state.reasons, ["DAILY_MAX_LOSS_PCT"]);
+  assert.equal(state.capital, 20000);
+  assert.equal(state.realizedPnlPct, -2);
+
+  await assertEntryRefused("DAILY_MAX_LOSS_PCT");
+});
+
+test("MAX_CONSECUTIVE_LOSSES counts net losers from the latest exit back", async () => {
+  user.strategy = { maxConsecutiveLosses: 3 };
+  // the 10-point winner is a net loser after charges; the older win ends the streak
+  trades.push(closedTrade(500, 60), closedTrade(-50, 30), closedTrade(-80, 20), closedTrade(10, 10));
+
+  const state = await risk.getDailyRiskState(user);
+  assert.equal(state.blocked, true);
+  assert.deepEqual(state.reasons, ["MAX_CONSECUTIVE_LOSSES"]);
+  assert.equal(state.consecutiveLosses, 3);
+
+  await assertEntryRefused("MAX_CONSECUTIVE_LOSSES");
+});
@@ -0,0 +1,155 @@
+// test/signalRule.test.js
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const SignalRule = require("../models/SignalRule");
+const rules = require("../services/signalRule.service");
+
+const MIN = 60000;
+
+// [ts, o, h, l, c, v]: closes 100…104, volume spikes on the last bar
+const ONE_MIN = [100, 101, 102, 103, 104].map((c, i) => [i * MIN, c - 0.5, c + 1, c - 1, c, i === 4 ? 4000 : 1000]);
+const FIVE_MIN = [[0, 99.5, 105, 99, 104, 8000]];
+
+const bars = (tf) => (tf === "5m" ? FIVE_MIN : tf === "1m" ? ONE_MIN : []);
+const holds = (when) => rules.evaluateNode(when, rules.createContext(bars));
+
+const close = { field: "close" };
+const rule = (when, over = {}) => ({ name: "test rule", when, ...over });
+
+// ------------------------------ VALIDATION -----------------------------
+test("a nested rule validates and picks up defaults", () => {
+  const res = rules.validateRule(
+    rule({
+      all: [
+        { left: { ind: "RSI", tf: "5m", period: 14 }, op: "between", right: [40, 60] },
+        { any: [{ left: close, op: ">", right: { ind: "EMA", period: 20 } }, { not: { left: close, op: "<", right: 50 } }] },
+        { left: { ind: "MACD", out: "histogram" }, op: ">", right: 0 },
+      ],
+    })
+  );
+  assert.equal(res.ok, true, res.error);
+  assert.deepEqual(
+    { side: res.rule.side, enabled: res.rule.enabled, priority: res.rule.priority },
+    { side: "ANY", enabled: true, priority: 100 }
+  );
+});
+
+test("invalid rules are rejected with the offending path", () => {
+  const cases = [
+    [{ when: { left: close, op: ">", right: 1 } }, /name/],
+    [rule({ left: close, op: "==", right: 1 }), /when/],
+    [rule({ left: { ind: "KAMA" }, op: ">", right: 1 }), /when/],
+    [rule({ left: { field: "close", tf: "2m" }, op: ">", right: 1 }), /when/],
+    [rule({ left: close, op: "between", right: [60, 40] }), /range must be \[low, high\]/],
+    [rule({ all: [] }), /when/],
+    [rule({ left: close, op: ">", right: 1, extra: true }), /when/],
+    [rule({ left: close, op: ">", right: 1 }, { side: "LONG" }), /side/],
+  ];
+  for (const [input, error] of cases) {
+    const res = rules.validateRule(input);
+    assert.equal(res.ok, false, JSON.stringify(input));
+    assert.match(res.error, error);
+  }
+});
+
+test("indicator options are checked against the indicator", () => {
+  const macdOut = rules.validateRule(rule({ left: { ind: "MACD", out: "upper" }, op: ">", right: 0 }));
+  assert.equal(macdOut.ok, false);
+  assert.match(macdOut.error, /MACD out must be one of macd, signal, histogram/);
+
+  const rsiOut = rules.validateRule(rule({ left: { ind: "RSI", out: "value" }, op: ">", right: 0 }));
+  assert.match(rsiOut.error, /RSI has no out/);
+
+  const macdPeriods = rules.validateRule(rule({ left: { ind: "MACD", fast: 26, slow: 12 }, op: ">", right: 0 }));
+  assert.match(macdPeriods.error, /MACD fast must be below slow/);
+});
+
+// ------------------------------ EVALUATION -----------------------------
+test("comparisons read the last bar and indicator values", () => {
+  assert.equal(holds({ left: close, op: ">", right: 103 }), true);
+  assert.equal(holds({ left: close, op: "<=", right: 103 }), false);
+  // SMA(3) of 102, 103, 104
+  assert.equal(holds({ left: { ind: "SMA", period: 3 }, op: ">=", right: 103 }), true);
+  assert.equal(holds({ left: { ind: "SMA", period: 3 }, op: ">", right: 103 }), false);
+  assert.equal(holds({ left: close, op: ">", right: { ind: "SMA", period: 3 } }), true);
+});
+
+test("times scales an operand and source picks the candle field", () => {
+  // volume 4000 vs 1.5 × SMA(3) of volume = 1.5 × 2000
+  const spike = { left: { field: "volume" }, op: ">", right: { ind: "SMA", source: "volume", period: 3, times: 1.5 } };
+  assert.equal(holds(spike), true);
+  assert.equal(holds({ ...spike, right: { ...spike.right, times: 2.5 } }), false);
+});
+
+test("between and outside are inclusive ranges", () => {
+  assert.equal(holds({ left: close, op: "between", right: [100, 104] }), true);
+  assert.equal(holds({ left: close, op: "outside", right: [100, 104] }), false);
+  assert.equal(holds({ left: close, op: "outside", right: [90, 103] }), true);
+});
+
+test("tf reads the matching timeframe", () => {
+  assert.equal(holds({ left: { field: "volume", tf: "5m" }, op: ">", right: 5000 }), true);
+  assert.equal(holds({ left: { field: "volume" }, op: ">", right: 5000 }), false);
+});
+
+test("all / any / not combine conditions", () => {
+  const yes = { left: close, op: ">", right: 100 };
+  const no = { left: close, op: "<", right: 100 };
+
+  assert.equal(holds({ all: [yes, yes] }), true);
+  assert.equal(holds({ all: [yes, no] }), false);
+  assert.equal(holds({ any: [no, yes] }), true);
+  assert.equal(holds({ any: [no, no] }), false);
+  assert.equal(holds({ not: no }), true);
+  assert.equal(holds({ all: [yes, { not: { any: [no, { all: [yes, no] }] } }] }), true);
+});
+
+test("an operand without enough bars never matches", () => {
+  const warming = { left: { ind: "SMA", period: 10 }, op: ">", right: 0 };
+  assert.equal(holds(warming), false);
+  assert.equal(holds({ left: 0, op: "<", right: { ind: "SMA", period: 10 } }), false);
+  assert.equal(holds({ left: { field: "close", tf: "15m" }, op: ">", right: 0 }), false);
+});
+
+test("one context reads each timeframe's bars once", () => {
+  const calls = [];
+  const ctx = rules.createContext((tf) => {
+    calls.push(tf);
+    return bars(tf);
+  });
+  rules.evaluateNode({ all: [{ left: close, op: ">", right: 1 }, { left: { ind: "SMA", period: 3 }, op: ">", right: 1 }] }, ctx);
+  rules.evaluateNode({ left: close, op: ">", right: 1 }, ctx);
+  assert.deepEqual(calls, ["1m"]);
+});
+
+test("matchRule returns the first matching rule in priority order", () => {
+  const list = [
+    { name: "quiet", when: { left: { field: "volume" }, op: "<", right: 500 } },
+    { name: "breakout", when: { left: close, op: ">", right: 103 } },
+    { name: "trend", when: { left: close, op: ">", right: 100 } },
+  ];
+  assert.equal(rules.matchRule(list, bars).name, "breakout");
+  assert.equal(rules.matchRule(list.slice(0, 1), bars), null);
+});
+
+test("stored rules are re-validated and filtered by side", async () => {
+  const find = SignalRule.find;
+  const docs = [
+    { name: "long", side: "BUY", enabled: true, priority: 1, when: { left: close, op: ">", right: 1 } },
+    { name: "short", side: "SELL", enabled: true, priority: 2, when: { left: close, op: "<", right: 1 } },
+    { name: "either", side: "ANY", enabled: true, priority: 3, when: { left: close, op: ">", right: 1 } },
+    { name: "broken", side: "ANY", enabled: true, priority: 4, when: { left: close, op: "~", right: 1 } },
+  ];
+  SignalRule.find = () => ({ sort: () => ({ lean: async () => docs }) });
+  try {
+    const active = await rules.loadActiveRules();
+    assert.deepEqual(active.map((r) => r.name), ["long", "short", "either"]);
+    assert.deepEqual(rules.rulesFor("BUY").map((r) => r.name), ["long", "either"]);
+    assert.deepEqual(rules.rulesFor("SELL").map((r) => r.name), ["short", "either"]);
+  } finally {
+    SignalRule.find = find;
+  }
+});
@@ -0,0 +1,110 @@
+// test/sizing.test.js
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { computePositionSize } = require("../services/sizing.service");
+
+const size = (p) => computePositionSize({ entryPrice: 100, stopPrice: 98, ...p });
+
+test("FIXED_QTY takes whole shares and reports notional and risk", () => {
+  const res = size({ mode: "FIXED_QTY", prefs: { sizingQty: 25.9 } });
+  assert.equal(res.qty, 25);
+  assert.equal(res.reason, undefined);
+  assert.deepEqual(
+    { riskPerShare: res.sizing.riskPerShare, notional: res.sizing.notional, riskAbs: res.sizing.riskAbs },
+    { riskPerShare: 2, notional: 2500, riskAbs: 50 }
+  );
+});
+
+test("FIXED_AMOUNT buys the notional it can afford", () => {
+  assert.equal(size({ mode: "FIXED_AMOUNT", entryPrice: 333, prefs: { sizingAmount: 10000 } }).qty, 30);
+});
+
+test("MARGIN_PCT uses the allowed share of available cash", () => {
+  const res = size({ mode: "MARGIN_PCT", entryPrice: 500, capital: 20000, allowedMarginPct: 0.5 });
+  assert.equal(res.qty, 20);
+  assert.equal(res.sizing.param, 0.5);
+});
+
+test("an unknown mode falls back to MARGIN_PCT", () => {
+  const res = size({ mode: "KELLY", entryPrice: 500, capital: 20000, allowedMarginPct: 0.5 });
+  assert.equal(res.sizing.mode, "MARGIN_PCT");
+  assert.equal(res.qty, 20);
+});
+
+test("PCT_CAPITAL sizes a percentage of cash as notional", () => {
+  const res = size({ mode: "PCT_CAPITAL", entryPrice: 250, capital: 40000, prefs: { sizingCapitalPct: 25 } });
+  assert.equal(res.qty, 40);
+});
+
+test("FIXED_RISK divides the risk budget by the stop distance on either side", () => {
+  // |200 - 196.5| = 3.5 → 1000 / 3.5 = 285.7
+  const long = size({ mode: "FIXED_RISK", entryPrice: 200, stopPrice: 196.5, prefs: { sizingRisk: 1000 } });
+  const short = size({ mode: "FIXED_RISK", entryPrice: 200, stopPrice: 203.5, prefs: { sizingRisk: 1000 } });
+  assert.equal(long.qty, 285);
+  assert.equal(short.qty, 285);
+  assert.equal(long.sizing.riskAbs, 997.5);
+});
+
+test("a mode without its parameter is refused", () => {
+  for (const mode of ["FIXED_QTY", "FIXED_AMOUNT", "PCT_CAPITAL", "FIXED_RISK"]) {
+    const res = size({ mode, capital: 50000 });
+    assert.equal(res.qty, 0, mode);
+    assert.equal(res.reason, `sizing inputs missing for ${mode}`);
+  }
+  // no stop distance, no risk-based size
+  const flat = size({ mode: "FIXED_RISK", stopPrice: 100, prefs: { sizingRisk: 500 } });
+  assert.equal(flat.reason, "sizing inputs missing for FIXED_RISK");
+});
+
+test("cash-based modes without funds report funds unavailable", () => {
+  assert.equal(size({ mode: "MARGIN_PCT" }).reason, "funds unavailable");
+  assert.equal(size({ mode: "PCT_CAPITAL", prefs: { sizingCapitalPct: 10 } }).reason, "funds unavailable");
+});
+
+test("a budget below one share rounds down to 0", () => {
+  const amount = size({ mode: "FIXED_AMOUNT", entryPrice: 150, prefs: { sizingAmount: 100 } });
+  assert.deepEqual({ qty: amount.qty, reason: amount.reason }, { qty: 0, reason: "position size below 1" });
+
+  const risk = size({ mode: "FIXED_RISK", entryPrice: 100, stopPrice: 90, prefs: { sizingRisk: 9 } });
+  assert.deepEqual({ qty: risk.qty, reason: risk.reason }, { qty: 0, reason: "position size below 1" });
+});
+
+test("MIS leverage caps the size at cash × leverage", () => {
+  // 1000 / 0.1 = 10,000 shares; 20,000 cash × 5 / 100 = 1,000
+  const res = size({
+    mode: "FIXED_RISK",
+    stopPrice: 99.9,
+    capital: 20000,
+    prefs: { sizingRisk: 1000 },
+    caps: { misLeverage: 5 },
+  });
+  assert.equal(res.sizing.rawQty, 10000);
+  assert.equal(res.qty, 1000);
+  assert.deepEqual(res.sizing.capsApplied, ["MIS_LEVERAGE"]);
+});
+
+test("maxCapitalPerTrade caps the notional", () => {
+  const res = size({ mode: "FIXED_QTY", entryPrice: 250, prefs: { sizingQty: 100 }, caps: { maxCapitalPerTrade: 10000 } });
+  assert.equal(res.qty, 40);
+  assert.deepEqual(res.sizing.capsApplied, ["MAX_CAPITAL_PER_TRADE"]);
+});
+
+test("a price above maxCapitalPerTrade sizes to 0", () => {
+  const res = size({ mode: "FIXED_QTY", entryPrice: 12000, prefs: { sizingQty: 5 }, caps: { maxCapitalPerTrade: 10000 } });
+  assert.deepEqual({ qty: res.qty, reason: res.reason }, { qty: 0, reason: "price above max capital per trade" });
+});
+
+test("caps apply in order and the tightest one wins", () => {
+  const res = size({
+    mode: "FIXED_QTY",
+    prefs: { sizingQty: 500 },
+    capital: 8000,
+    caps: { misLeverage: 5, maxNotionalPerSymbol: 30000, maxCapitalPerTrade: 25000 },
+  });
+  // leverage → 400, notional → 300, capital per trade → 250
+  assert.equal(res.qty, 250);
+  assert.deepEqual(res.sizing.capsApplied, ["MIS_LEVERAGE", "MAX_NOTIONAL_PER_SYMBOL", "MAX_CAPITAL_PER_TRADE"]);
+});
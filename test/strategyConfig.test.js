@@ -0,0 +1,61 @@
+// test/strategyConfig.test.js
+"use strict";
+
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const StrategyConfig = require("../models/StrategyConfig");
+const strategyConfig = require("../services/strategyConfig.service");
+
+const { findOne, bulkWrite } = StrategyConfig;
+const DOC = { _id: "cfg-3", version: 3, params: {}, isActive: false };
+
+afterEach(() => {
+  StrategyConfig.findOne = findOne;
+  StrategyConfig.bulkWrite = bulkWrite;
+});
+
+test("the active-version index allows only one isActive: true document", () => {
+  const index = StrategyConfig.schema.indexes().find(([keys]) => keys.isActive === 1);
+  const { name, unique, partialFilterExpression } = index[1];
+  assert.deepEqual(
+    { name, unique, partialFilterExpression },
+    { name: "one_active_version", unique: true, partialFilterExpression: { isActive: true } }
+  );
+});
+
+test("activation swaps the active version in one ordered bulk write", async () => {
+  let call;
+  StrategyConfig.findOne = () => ({ lean: async () => DOC });
+  StrategyConfig.bulkWrite = async (ops, opts) => {
+    call = { ops, opts };
+  };
+
+  const res = await strategyConfig.activateVersion(3, "admin@x");
+  assert.equal(res.ok, true);
+  assert.equal(res.config.isActive, true);
+
+  assert.deepEqual(call.opts, { ordered: true });
+  const [off, on] = call.ops;
+  assert.deepEqual(off.updateMany.filter, { isActive: true, _id: { $ne: "cfg-3" } });
+  assert.deepEqual(off.updateMany.update, { $set: { isActive: false } });
+  assert.deepEqual(on.updateOne.filter, { _id: "cfg-3" });
+  assert.equal(on.updateOne.update.$set.isActive, true);
+  assert.equal(on.updateOne.update.$set.activatedBy, "admin@x");
+});
+
+test("a concurrent activation surfaces as a conflict", async () => {
+  StrategyConfig.findOne = () => ({ lean: async () => DOC });
+  StrategyConfig.bulkWrite = async () => {
+    throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+  };
+
+  const res = await strategyConfig.activateVersion(3);
+  assert.equal(res.ok, false);
+  assert.equal(res.conflict, true);
+});
+
+test("an unknown version is not found", async () => {
+  StrategyConfig.findOne = () => ({ lean: async () => null });
+  assert.deepEqual(await strategyConfig.activateVersion(99), { ok: false, error: "version not found" });
+});
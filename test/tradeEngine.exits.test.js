@@ -0,0 +1,194 @@
+// test/tradeEngine.exits.test.js
+"use strict";
+
+/*
+  Stop management and scale-out on the pure engine helpers. Paper slippage is
+  switched off so exit fills equal the LTP.
+*/
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+
+const tradeEngine = require("../services/tradeEngine.service");
+
+const { CFG } = tradeEngine;
+const TRAIL = { BREAKEVEN_TRIGGER_PCT: 1, TRAIL_TRIGGER_PCT: 2, TRAIL_DISTANCE_PCT: 0.5 };
+
+let saved;
+
+before(() => {
+  saved = { ...CFG };
+  Object.assign(CFG, { PAPER_SLIPPAGE_BPS: 0, PAPER_SLIPPAGE_TICKS: 0, SCALE_OUT_BREAKEVEN: true });
+});
+
+after(() => {
+  Object.assign(CFG, saved);
+});
+
+// Feed ltps through trailStop, carrying the stop state like the tick loop does
+function walk(trade, ltps) {
+  const steps = [];
+  for (const ltp of ltps) {
+    const next = tradeEngine.trailStop(trade, ltp, TRAIL);
+    trade = { ...trade, bestPrice: next.bestPrice, stopPrice: next.stopPrice, stopMode: next.stopMode };
+    steps.push({ ltp, stopPrice: next.stopPrice, stopMode: next.stopMode, moved: !!next.adjustment });
+  }
+  return steps;
+}
+
+// Apply a { $set, $push } update to an in-memory trade
+function apply(trade, update) {
+  const out = { ...trade, ...update.$set };
+  for (const [k, v] of Object.entries(update.$push || {})) out[k] = [...(trade[k] || []), v];
+  return out;
+}
+
+const legQty = (trade) => trade.exitLegs.reduce((s, l) => s + l.qty, 0);
+
+test("a BUY stop moves to breakeven, trails the high and never loosens", () => {
+  const trade = { side: "BUY", entryPrice: 100, stopPrice: 98, stopMode: "FIXED" };
+
+  assert.deepEqual(walk(trade, [100.5, 101, 99, 104, 102, 103]), [
+    { ltp: 100.5, stopPrice: 98, stopMode: "FIXED", moved: false },
+    { ltp: 101, stopPrice: 100, stopMode: "BREAKEVEN", moved: true },
+    { ltp: 99, stopPrice: 100, stopMode: "BREAKEVEN", moved: false },
+    { ltp: 104, stopPrice: 103.48, stopMode: "TRAIL", moved: true }, // 104 × 0.995
+    { ltp: 102, stopPrice: 103.48, stopMode: "TRAIL", moved: false },
+    { ltp: 103, stopPrice: 103.48, stopMode: "TRAIL", moved: false },
+  ]);
+});
+
+test("a SELL stop moves to breakeven, trails the low and never loosens", () => {
+  const trade = { side: "SELL", entryPrice: 100, stopPrice: 102, stopMode: "FIXED" };
+
+  assert.deepEqual(walk(trade, [99.5, 99, 101, 96, 98, 97]), [
+    { ltp: 99.5, stopPrice: 102, stopMode: "FIXED", moved: false },
+    { ltp: 99, stopPrice: 100, stopMode: "BREAKEVEN", moved: true },
+    { ltp: 101, stopPrice: 100, stopMode: "BREAKEVEN", moved: false },
+    { ltp: 96, stopPrice: 96.48, stopMode: "TRAIL", moved: true }, // 96 × 1.005
+    { ltp: 98, stopPrice: 96.48, stopMode: "TRAIL", moved: false },
+    { ltp: 97, stopPrice: 96.48, stopMode: "TRAIL", moved: false },
+  ]);
+});
+
+test("breakeven never pulls back a stop that is already past entry", () => {
+  const long = tradeEngine.trailStop({ side: "BUY", entryPrice: 100, stopPrice: 100.5 }, 101.5, TRAIL);
+  assert.equal(long.stopPrice, 100.5);
+  assert.equal(long.adjustment, null);
+
+  const short = tradeEngine.trailStop({ side: "SELL", entryPrice: 100, stopPrice: 99.5 }, 98.5, TRAIL);
+  assert.equal(short.stopPrice, 99.5);
+  assert.equal(short.adjustment, null);
+});
+
+test("the stop adjustment records where it moved from and why", () => {
+  const at = new Date("2025-01-06T05:00:00Z");
+  const next = tradeEngine.trailStop({ side: "BUY", entryPrice: 100, stopPrice: 98 }, 101, TRAIL, at);
+  assert.deepEqual(next.adjustment, { at, from: 98, to: 100, rule: "BREAKEVEN", ltp: 101 });
+});
+
+test("a BUY scale-out banks legs, never exceeds the open qty and sums PnL across fills", () => {
+  let trade = {
+    side: "BUY",
+    tradeMode: "paper",
+    symbol: "NSE:SBIN-EQ",
+    entryPrice: 100,
+    qty: 10,
+    stopPrice: 98,
+    targetPrice: 104,
+    // the 5% leg sits beyond the final 4% target and is dropped
+    targets: tradeEngine.buildScaleOutTargets(100, "BUY", 4, [
+      { targetPct: 2, qtyPct: 50 },
+      { targetPct: 1, qtyPct: 50 },
+      { targetPct: 5, qtyPct: 10 },
+    ]),
+  };
+  assert.deepEqual(
+    trade.targets.map((t) => [t.level, t.price]),
+    [
+      ["T1", 101],
+      ["T2", 102],
+    ]
+  );
+
+  assert.equal(tradeEngine.getPartialExit(trade, 100.5), null);
+
+  // T1: half of 10 at 101.2
+  const t1 = tradeEngine.getPartialExit(trade, 101.2);
+  assert.deepEqual({ level: t1.target.level, qty: t1.qty }, { level: "T1", qty: 5 });
+  let update = tradeEngine.buildPartialExitUpdate(trade, t1, 101.2);
+  assert.equal(update.$set.openQty, 5);
+  assert.equal(update.$push.exitLegs.pnlAbs, 6); // 1.2 × 5
+  assert.equal(update.$set.pnlAbs, 12); // 6 banked + 1.2 × 5 open
+  assert.equal(update.$set.stopPrice, 100); // remainder to breakeven
+  trade = apply(trade, update);
+
+  // T2 would take another 5 = everything left: marked filled, nothing split off
+  const t2 = tradeEngine.getPartialExit(trade, 102.5);
+  assert.deepEqual({ level: t2.target.level, qty: t2.qty }, { level: "T2", qty: 0 });
+  update = tradeEngine.buildPartialExitUpdate(trade, t2, 102.5);
+  assert.equal(update.$set.openQty, undefined);
+  assert.equal(update.$push, undefined);
+  assert.equal(update.$set.pnlAbs, 18.5); // 6 + 2.5 × 5
+  trade = apply(trade, update);
+  assert.equal(tradeEngine.getPartialExit(trade, 103), null);
+
+  const close = tradeEngine.buildCloseUpdate(trade, 104, "TARGET");
+  trade = apply(trade, close);
+  assert.equal(legQty(trade), 10);
+  assert.deepEqual(
+    trade.exitLegs.map((l) => [l.leg, l.qty, l.pnlAbs]),
+    [
+      ["T1", 5, 6],
+      ["FINAL", 5, 20],
+    ]
+  );
+  assert.equal(trade.pnlAbs, 26);
+  assert.equal(trade.netPnlAbs, Number((26 - trade.charges.total).toFixed(2)));
+});
+
+test("a SELL scale-out takes the leg below entry and sums PnL across fills", () => {
+  let trade = {
+    side: "SELL",
+    tradeMode: "paper",
+    symbol: "NSE:SBIN-EQ",
+    entryPrice: 200,
+    qty: 7,
+    stopPrice: 204,
+    targetPrice: 196,
+    targets: tradeEngine.buildScaleOutTargets(200, "SELL", 2, [{ targetPct: 1, qtyPct: 30 }]),
+  };
+  assert.equal(trade.targets[0].price, 198);
+  assert.equal(tradeEngine.getPartialExit(trade, 198.5), null);
+
+  // 30% of 7 → 2 shares at 197.9
+  const t1 = tradeEngine.getPartialExit(trade, 197.9);
+  assert.equal(t1.qty, 2);
+  const update = tradeEngine.buildPartialExitUpdate(trade, t1, 197.9);
+  assert.equal(update.$set.openQty, 5);
+  assert.equal(update.$push.exitLegs.pnlAbs, 4.2); // 2.1 × 2
+  assert.equal(update.$set.pnlAbs, 14.7); // 4.2 + 2.1 × 5
+  assert.equal(update.$set.stopPrice, 200);
+  trade = apply(trade, update);
+
+  trade = apply(trade, tradeEngine.buildCloseUpdate(trade, 200, "BREAKEVEN"));
+  assert.equal(legQty(trade), 7);
+  assert.equal(trade.pnlAbs, 4.2); // the remainder scratched at entry
+});
+
+test("a leg too small to split off is only marked filled", () => {
+  const trade = {
+    side: "BUY",
+    tradeMode: "paper",
+    entryPrice: 100,
+    qty: 1,
+    stopPrice: 98,
+    targets: tradeEngine.buildScaleOutTargets(100, "BUY", 4, [{ targetPct: 1, qtyPct: 50 }]),
+  };
+  const partial = tradeEngine.getPartialExit(trade, 101);
+  assert.equal(partial.qty, 0);
+
+  const update = tradeEngine.buildPartialExitUpdate(trade, partial, 101);
+  assert.equal(update.$set.targets[0].filled, true);
+  assert.equal(update.$set.openQty, undefined);
+});
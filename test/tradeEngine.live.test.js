@@ -0,0 +1,224 @@
+// test/tradeEngine.live.test.js
+"use strict";
+
+/*
+  Live entry / manual exit through the engine with BROKER_ADAPTER=FAKE.
+  Mongo is replaced by in-memory stubs on the models; the clock is pinned to
+  10:00 IST so the entry cutoff never interferes.
+*/
+
+process.env.BROKER_ADAPTER = "FAKE";
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { Settings, DateTime } = require("luxon");
+
+const settings = require("../services/settings.service");
+settings.getSettings = async () => ({
+  isPaperTradingActive: true,
+  isLiveExecutionAllowed: true,
+  marketHalt: false,
+});
+
+const PaperTrade = require("../models/PaperTrade");
+const User = require("../models/User");
+const M2Signal = require("../models/M2Signal");
+const marketSocket = require("../services/marketSocket.service");
+const feedHealth = require("../services/feedHealth.service");
+const risk = require("../services/risk.service");
+const fake = require("../services/brokers/fake.adapter");
+const tradeEngine = require("../services/tradeEngine.service");
+
+const USER_ID = "64b000000000000000000001";
+const SYMBOL = "NSE:SBIN-EQ";
+
+const query = (value) => ({ sort: () => query(value), select: () => query(value), lean: async () => value });
+
+let trades;
+let user;
+let signal;
+let ltp;
+
+before(() => {
+  const t = DateTime.fromISO("2025-01-06T10:00", { zone: "Asia/Kolkata" }).toMillis();
+  Settings.now = () => t;
+
+  const openRows = () => trades.filter((r) => r.status === "OPEN");
+  PaperTrade.create = async (doc) => {
+    const row = { _id: `trade-${trades.length + 1}`, ...doc };
+    trades.push(row);
+    return row;
+  };
+  PaperTrade.countDocuments = async () => openRows().length;
+  PaperTrade.exists = async () => null;
+  PaperTrade.distinct = async () => [...new Set(openRows().map((r) => r.symbol))];
+  PaperTrade.find = () => query(openRows());
+  PaperTrade.findById = (id) => query(trades.find((r) => r._id === id) || null);
+  PaperTrade.findOneAndUpdate = (filter, update) => {
+    const row = trades.find((r) => r._id === filter._id && r.status === filter.status);
+    if (row) {
+      Object.assign(row, update.$set);
+      for (const [k, v] of Object.entries(update.$push || {})) row[k] = [...(row[k] || []), v];
+    }
+    return query(row || null);
+  };
+
+  User.findById = () => query(user);
+  M2Signal.find = () => query([signal]);
+  marketSocket.getLastTick = (symbol) => (symbol === SYMBOL ? { symbol, ltp, ts: Date.now() } : null);
+  marketSocket.subscribe = async () => {};
+  marketSocket.unsubscribe = async () => {};
+  feedHealth.entryBlockReason = () => null;
+  feedHealth.isStale = () => false;
+  risk.getDailyRiskState = async () => ({ blocked: false, reasons: [] });
+  risk.getDailyRiskStateById = async () => ({ blocked: false, reasons: [], limits: {} });
+});
+
+after(() => {
+  Settings.now = () => Date.now();
+});
+
+beforeEach(() => {
+  fake.reset();
+  trades = [];
+  ltp = 500;
+  user = {
+    _id: USER_ID,
+    autoTradingEnabled: true,
+    angelLiveEnabled: true,
+    angelAllowedMarginPct: 0.5,
+    broker: { brokerName: "ANGEL", connected: true },
+    strategy: {},
+  };
+  signal = {
+    _id: "signal-1",
+    symbol: SYMBOL,
+    side: "BUY",
+    rsi: 45,
+    inEntryZone: true,
+    capturedAt: new Date(),
+  };
+});
+
+test("a live entry is sized from getFunds and placed as a bracket order", async () => {
+  fake.setFunds(USER_ID, 20000);
+
+  const res = await tradeEngine.autoEnterOnSignal(USER_ID);
+  assert.equal(res.ok, true);
+
+  assert.equal(trades.length, 1);
+  const trade = trades[0];
+  // MARGIN_PCT: 20000 cash × 0.5 allowed margin / 500
+  assert.equal(trade.qty, 20);
+  assert.equal(trade.tradeMode, "live");
+  assert.equal(trade.broker, "FAKE");
+  assert.equal(trade.sizing.capital, 20000);
+
+  const placed = fake.orders.get(trade.brokerOrderId);
+  assert.deepEqual(
+    { symbol: placed.symbol, qty: placed.qty, side: placed.side, status: placed.status },
+    { symbol: SYMBOL, qty: 20, side: "BUY", status: "FILLED" }
+  );
+  assert.equal(placed.targetDiff, Number((trade.targetPrice - 500).toFixed(2)));
+  assert.equal(placed.stopDiff, Number((500 - trade.stopPrice).toFixed(2)));
+});
+
+test("a rejected bracket order is retried once", async () => {
+  fake.failNext("RMS: blocked");
+
+  await tradeEngine.autoEnterOnSignal(USER_ID);
+  assert.equal(trades.length, 1);
+  assert.equal(fake.orders.size, 1);
+});
+
+test("an entry rejected twice leaves no trade behind", async () => {
+  const prev = fake.placeBracketOrder;
+  fake.placeBracketOrder = async () => ({ ok: false, error: "RMS: blocked" });
+  try {
+    const res = await tradeEngine.autoEnterOnSignal(USER_ID);
+    assert.equal(trades.length, 0);
+    assert.equal(res.signals[0].results[0].error, "RMS: blocked");
+  } finally {
+    fake.placeBracketOrder = prev;
+  }
+});
+
+test("a manual close squares off at the broker and books the broker fill", async () => {
+  await tradeEngine.autoEnterOnSignal(USER_ID);
+  const trade = trades[0];
+
+  ltp = 503.4;
+  const res = await tradeEngine.closeTradeManually(trade._id, "MANUAL");
+  assert.equal(res.ok, true);
+
+  assert.equal(trade.status, "CLOSED");
+  assert.equal(trade.exitPrice, 503.4);
+  assert.equal(trade.notes, "MANUAL");
+  assert.ok(trade.exitOrderId);
+
+  const exit = fake.orders.get(trade.exitOrderId);
+  assert.deepEqual(
+    { parentId: exit.parentId, side: exit.side, qty: exit.qty },
+    { parentId: trade.brokerOrderId, side: "SELL", qty: trade.qty }
+  );
+  assert.deepEqual((await fake.getPositions(USER_ID)).positions, []);
+});
+
+test("a failed broker square-off keeps the trade OPEN", async () => {
+  await tradeEngine.autoEnterOnSignal(USER_ID);
+  const trade = trades[0];
+
+  const prev = fake.squareOff;
+  fake.squareOff = async () => ({ ok: false, error: "exchange closed" });
+  try {
+    const res = await tradeEngine.closeTradeManually(trade._id, "MANUAL");
+    assert.deepEqual(res, { ok: false, error: "exchange closed" });
+    assert.equal(trade.status, "OPEN");
+  } finally {
+    fake.squareOff = prev;
+  }
+});
+
+test("a cancelled pending entry closes flat with no PnL or charges", async () => {
+  await tradeEngine.autoEnterOnSignal(USER_ID);
+  const trade = trades[0];
+
+  const prev = fake.squareOff;
+  fake.squareOff = async () => ({ ok: true, orderId: null, avgPrice: null, cancelledEntry: true });
+  try {
+    ltp = 496;
+    const res = await tradeEngine.closeTradeManually(trade._id, "MANUAL");
+    assert.equal(res.ok, true);
+  } finally {
+    fake.squareOff = prev;
+  }
+
+  assert.equal(trade.status, "CLOSED");
+  assert.equal(trade.exitPrice, trade.entryPrice);
+  assert.equal(trade.notes, "ENTRY_CANCELLED");
+  assert.deepEqual(
+    { pnlAbs: trade.pnlAbs, grossPnlAbs: trade.grossPnlAbs, netPnlAbs: trade.netPnlAbs, charges: trade.charges.total },
+    { pnlAbs: 0, grossPnlAbs: 0, netPnlAbs: 0, charges: 0 }
+  );
+});
+
+test("a bracket leg that already filled is booked under its own reason", async () => {
+  await tradeEngine.autoEnterOnSignal(USER_ID);
+  const trade = trades[0];
+
+  const prev = fake.squareOff;
+  fake.squareOff = async () => ({ ok: true, orderId: "LEG-1", avgPrice: 512.5, alreadyExited: true, exitReason: "TARGET" });
+  try {
+    ltp = 509;
+    const res = await tradeEngine.closeTradeManually(trade._id, "MANUAL");
+    assert.equal(res.ok, true);
+  } finally {
+    fake.squareOff = prev;
+  }
+
+  assert.equal(trade.status, "CLOSED");
+  assert.equal(trade.notes, "TARGET");
+  assert.equal(trade.exitPrice, 512.5);
+  assert.equal(trade.exitOrderId, "LEG-1");
+  assert.equal(trade.pnlAbs, Number(((512.5 - trade.entryPrice) * trade.qty).toFixed(2)));
+});
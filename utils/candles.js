@@ -0,0 +1,34 @@
+// utils/candles.js
+"use strict";
+
+/**
+ * Candle helpers shared by M2, the candle store and the backtest.
+ * A candle is [ts, o, h, l, c, v] with ts = bucket start in epoch ms.
+ */
+
+const TF_MINUTES = { "1m": 1, "3m": 3, "5m": 5, "15m": 15 };
+
+const bucket = (ts, minutes = 1) => Math.floor(ts / (minutes * 60000)) * minutes * 60000;
+
+// 1m candles → N-minute candles. Buckets are epoch-aligned, which lines up
+// with the 09:15 IST open for 3 / 5 / 15 minutes. The last bar may be forming.
+function aggregateCandles(candles = [], minutes = 1) {
+  if (minutes <= 1) return candles;
+  const size = minutes * 60000;
+  const out = [];
+  for (const c of candles) {
+    const ts = Math.floor(c[0] / size) * size;
+    const last = out[out.length - 1];
+    if (!last || last[0] !== ts) {
+      out.push([ts, c[1], c[2], c[3], c[4], c[5] || 0]);
+    } else {
+      last[2] = Math.max(last[2], c[2]);
+      last[3] = Math.min(last[3], c[3]);
+      last[4] = c[4];
+      last[5] += c[5] || 0;
+    }
+  }
+  return out;
+}
+
+module.exports = { TF_MINUTES, bucket, aggregateCandles };
@@ -7,8 +7,19 @@
  *   [ts, open, high, low, close, volume],
  *   ...
  * ]
+ * ({ ts, open|o, high|h, low|l, close|c, volume|v } objects work too)
  *
- * We will compute RSI(14) on closing prices.
+ * calcRSI14FromCandles() is the original RSI(14) used by M2.
+ *
+ * Library
+ * -------
+ * Batch:   sma / ema / rsi / vwap / atr / macd / bollinger / supertrend / adx
+ *          (candles, opts) → series aligned with candles, null while warming up
+ *          SMA / EMA / RSI take opts.source: open | high | low | close | volume
+ * Stream:  createIndicator(name, opts) → { next(candle), value }
+ *          O(1) per call. A candle with the same ts as the previous call
+ *          revises the forming bar; a new ts closes it. Batch = stream over
+ *          the candles, so both always agree.
  */
 
 function calcRSI14FromCandles(candles) {
@@ -53,6 +64,368 @@ function calcRSI14FromCandles(candles) {
   return Number(rsi.toFixed(2));
 }
 
+// ------------------------------------------------------------------------
+// Bars
+// ------------------------------------------------------------------------
+function toBar(c) {
+  if (Array.isArray(c)) {
+    return { ts: Number(c[0]), o: Number(c[1]), h: Number(c[2]), l: Number(c[3]), c: Number(c[4]), v: Number(c[5]) || 0 };
+  }
+  return {
+    ts: Number(c.ts),
+    o: Number(c.o ?? c.open),
+    h: Number(c.h ?? c.high),
+    l: Number(c.l ?? c.low),
+    c: Number(c.c ?? c.close),
+    v: Number(c.v ?? c.volume) || 0,
+  };
+}
+
+const close = (bar) => bar.c;
+const SOURCES = { open: "o", high: "h", low: "l", close: "c", volume: "v" };
+const sourceOf = (name) => (name && SOURCES[name] ? (bar) => bar[SOURCES[name]] : close);
+const IST_OFFSET_MS = 330 * 60000;
+const sessionOf = (ts) => Math.floor((ts + IST_OFFSET_MS) / 86400000); // IST calendar day
+
+// ------------------------------------------------------------------------
+// Definitions
+// Each def is { init() → state, step(state, input) → { value, apply() } }.
+// step never mutates state; apply() commits the input as a closed bar.
+// ------------------------------------------------------------------------
+const noop = () => {};
+
+function smaDef(period = 20, src = close) {
+  return {
+    init: () => ({ buf: new Array(period), idx: 0, count: 0, sum: 0, sumSq: 0 }),
+    step(s, input) {
+      const x = src(input);
+      const full = s.count === period;
+      const out = full ? s.buf[s.idx] : 0;
+      const sum = s.sum + x - out;
+      const sumSq = s.sumSq + x * x - out * out;
+      const count = full ? period : s.count + 1;
+      return {
+        value: count === period ? sum / period : null,
+        window: { sum, sumSq, count },
+        apply() {
+          s.buf[s.idx] = x;
+          s.idx = (s.idx + 1) % period;
+          s.count = count;
+          s.sum = sum;
+          s.sumSq = sumSq;
+        },
+      };
+    },
+  };
+}
+
+// Seeded with the SMA of the first `period` inputs
+function emaDef(period = 20, src = close) {
+  const k = 2 / (period + 1);
+  return {
+    init: () => ({ n: 0, sum: 0, ema: null }),
+    step(s, input) {
+      const x = src(input);
+      if (s.ema === null) {
+        const n = s.n + 1;
+        const sum = s.sum + x;
+        const value = n === period ? sum / period : null;
+        return {
+          value,
+          apply() {
+            s.n = n;
+            s.sum = sum;
+            if (value !== null) s.ema = value;
+          },
+        };
+      }
+      const value = s.ema + k * (x - s.ema);
+      return { value, apply() { s.ema = value; } };
+    },
+  };
+}
+
+// Wilder's RSI — same math as calcRSI14FromCandles
+function rsiDef(period = 14, src = close) {
+  const rsiOf = (g, l) => (l === 0 ? 100 : 100 - 100 / (1 + g / l));
+  return {
+    init: () => ({ prev: null, n: 0, gains: 0, losses: 0, avgGain: null, avgLoss: null }),
+    step(s, input) {
+      const x = src(input);
+      if (s.prev === null) return { value: null, apply() { s.prev = x; } };
+
+      const diff = x - s.prev;
+      const gain = diff > 0 ? diff : 0;
+      const loss = diff < 0 ? -diff : 0;
+
+      if (s.avgGain === null) {
+        const n = s.n + 1;
+        const gains = s.gains + gain;
+        const losses = s.losses + loss;
+        const ready = n === period;
+        return {
+          value: ready ? rsiOf(gains / period, losses / period) : null,
+          apply() {
+            Object.assign(s, { prev: x, n, gains, losses });
+            if (ready) {
+              s.avgGain = gains / period;
+              s.avgLoss = losses / period;
+            }
+          },
+        };
+      }
+
+      const avgGain = (s.avgGain * (period - 1) + gain) / period;
+      const avgLoss = (s.avgLoss * (period - 1) + loss) / period;
+      return {
+        value: rsiOf(avgGain, avgLoss),
+        apply() {
+          Object.assign(s, { prev: x, avgGain, avgLoss });
+        },
+      };
+    },
+  };
+}
+
+// Session VWAP on typical price; resets at each IST day
+function vwapDef() {
+  return {
+    init: () => ({ session: null, pv: 0, vol: 0 }),
+    step(s, bar) {
+      const session = sessionOf(bar.ts);
+      const fresh = session !== s.session;
+      const tp = (bar.h + bar.l + bar.c) / 3;
+      const pv = (fresh ? 0 : s.pv) + tp * bar.v;
+      const vol = (fresh ? 0 : s.vol) + bar.v;
+      return {
+        value: vol > 0 ? pv / vol : tp,
+        apply() {
+          Object.assign(s, { session, pv, vol });
+        },
+      };
+    },
+  };
+}
+
+// Wilder's ATR; the first true range is high - low
+function atrDef(period = 14) {
+  return {
+    init: () => ({ prevClose: null, n: 0, sum: 0, atr: null }),
+    step(s, bar) {
+      const tr = s.prevClose === null
+        ? bar.h - bar.l
+        : Math.max(bar.h - bar.l, Math.abs(bar.h - s.prevClose), Math.abs(bar.l - s.prevClose));
+
+      if (s.atr === null) {
+        const n = s.n + 1;
+        const sum = s.sum + tr;
+        const value = n === period ? sum / period : null;
+        return {
+          value,
+          apply() {
+            Object.assign(s, { prevClose: bar.c, n, sum });
+            if (value !== null) s.atr = value;
+          },
+        };
+      }
+
+      const value = (s.atr * (period - 1) + tr) / period;
+      return { value, apply() { Object.assign(s, { prevClose: bar.c, atr: value }); } };
+    },
+  };
+}
+
+function macdDef(fast = 12, slow = 26, signal = 9) {
+  const fastDef = emaDef(fast);
+  const slowDef = emaDef(slow);
+  const signalDef = emaDef(signal, (x) => x);
+  return {
+    init: () => ({ fast: fastDef.init(), slow: slowDef.init(), signal: signalDef.init() }),
+    step(s, bar) {
+      const f = fastDef.step(s.fast, bar);
+      const sl = slowDef.step(s.slow, bar);
+      const macd = f.value !== null && sl.value !== null ? f.value - sl.value : null;
+      const sig = macd !== null ? signalDef.step(s.signal, macd) : { value: null, apply: noop };
+      return {
+        value: macd === null
+          ? null
+          : { macd, signal: sig.value, histogram: sig.value === null ? null : macd - sig.value },
+        apply() {
+          f.apply();
+          sl.apply();
+          sig.apply();
+        },
+      };
+    },
+  };
+}
+
+// Middle = SMA, bands = ± mult × population std-dev
+function bollingerDef(period = 20, mult = 2) {
+  const base = smaDef(period);
+  return {
+    init: base.init,
+    step(s, bar) {
+      const r = base.step(s, bar);
+      if (r.value === null) return { value: null, apply: r.apply };
+      const variance = Math.max(0, r.window.sumSq / period - r.value * r.value);
+      const band = mult * Math.sqrt(variance);
+      return {
+        value: { middle: r.value, upper: r.value + band, lower: r.value - band },
+        apply: r.apply,
+      };
+    },
+  };
+}
+
+// direction 1 = uptrend (line = lower band), -1 = downtrend (line = upper band)
+function supertrendDef(period = 10, mult = 3) {
+  const atr = atrDef(period);
+  return {
+    init: () => ({ atr: atr.init(), upper: null, lower: null, dir: null, prevClose: null }),
+    step(s, bar) {
+      const a = atr.step(s.atr, bar);
+      if (a.value === null) {
+        return { value: null, apply() { a.apply(); s.prevClose = bar.c; } };
+      }
+
+      const hl2 = (bar.h + bar.l) / 2;
+      const basicUpper = hl2 + mult * a.value;
+      const basicLower = hl2 - mult * a.value;
+      const upper = s.upper === null || basicUpper < s.upper || s.prevClose > s.upper ? basicUpper : s.upper;
+      const lower = s.lower === null || basicLower > s.lower || s.prevClose < s.lower ? basicLower : s.lower;
+
+      let dir;
+      if (s.dir === null) dir = bar.c > upper ? 1 : -1;
+      else if (s.dir === 1) dir = bar.c < lower ? -1 : 1;
+      else dir = bar.c > upper ? 1 : -1;
+
+      return {
+        value: { value: dir === 1 ? lower : upper, direction: dir },
+        apply() {
+          a.apply();
+          Object.assign(s, { upper, lower, dir, prevClose: bar.c });
+        },
+      };
+    },
+  };
+}
+
+// Wilder's ADX with +DI / -DI
+function adxDef(period = 14) {
+  return {
+    init: () => ({
+      prev: null,
+      n: 0,
+      tr: 0, plus: 0, minus: 0,  // Wilder-smoothed sums
+      dxN: 0, dxSum: 0, adx: null,
+    }),
+    step(s, bar) {
+      if (s.prev === null) return { value: null, apply() { s.prev = bar; } };
+
+      const up = bar.h - s.prev.h;
+      const down = s.prev.l - bar.l;
+      const plusDM = up > down && up > 0 ? up : 0;
+      const minusDM = down > up && down > 0 ? down : 0;
+      const tr = Math.max(bar.h - bar.l, Math.abs(bar.h - s.prev.c), Math.abs(bar.l - s.prev.c));
+
+      const n = s.n + 1;
+      const smooth = (acc, x) => (n <= period ? acc + x : acc - acc / period + x);
+      const trS = smooth(s.tr, tr);
+      const plusS = smooth(s.plus, plusDM);
+      const minusS = smooth(s.minus, minusDM);
+
+      const commit = { prev: bar, n, tr: trS, plus: plusS, minus: minusS };
+      if (n < period) return { value: null, apply() { Object.assign(s, commit); } };
+
+      const plusDI = trS > 0 ? (100 * plusS) / trS : 0;
+      const minusDI = trS > 0 ? (100 * minusS) / trS : 0;
+      const diSum = plusDI + minusDI;
+      const dx = diSum > 0 ? (100 * Math.abs(plusDI - minusDI)) / diSum : 0;
+
+      let adx = null;
+      let dxN = s.dxN;
+      let dxSum = s.dxSum;
+      if (s.adx === null) {
+        dxN += 1;
+        dxSum += dx;
+        if (dxN === period) adx = dxSum / period;
+      } else {
+        adx = (s.adx * (period - 1) + dx) / period;
+      }
+
+      return {
+        value: { adx, plusDI, minusDI },
+        apply() {
+          Object.assign(s, commit, { dxN, dxSum });
+          if (adx !== null) s.adx = adx;
+        },
+      };
+    },
+  };
+}
+
+const DEFS = {
+  SMA: (o = {}) => smaDef(o.period ?? 20, sourceOf(o.source)),
+  EMA: (o = {}) => emaDef(o.period ?? 20, sourceOf(o.source)),
+  RSI: (o = {}) => rsiDef(o.period ?? 14, sourceOf(o.source)),
+  VWAP: () => vwapDef(),
+  ATR: (o = {}) => atrDef(o.period ?? 14),
+  MACD: (o = {}) => macdDef(o.fast ?? 12, o.slow ?? 26, o.signal ?? 9),
+  BOLLINGER: (o = {}) => bollingerDef(o.period ?? 20, o.mult ?? 2),
+  SUPERTREND: (o = {}) => supertrendDef(o.period ?? 10, o.mult ?? 3),
+  ADX: (o = {}) => adxDef(o.period ?? 14),
+};
+
+// ------------------------------------------------------------------------
+// Streaming + batch
+// ------------------------------------------------------------------------
+function createIndicator(name, opts = {}) {
+  const make = DEFS[String(name).toUpperCase()];
+  if (!make) throw new Error(`Unknown indicator: ${name}`);
+
+  const def = make(opts);
+  const state = def.init();
+  let barTs = null;
+  let pending = null;
+
+  return {
+    next(candle) {
+      const bar = toBar(candle);
+      if (pending && bar.ts !== barTs) pending.apply(); // previous bar closed
+      barTs = bar.ts;
+      pending = def.step(state, bar);
+      return pending.value;
+    },
+    get value() {
+      return pending ? pending.value : null;
+    },
+  };
+}
+
+function series(name, candles = [], opts = {}) {
+  const ind = createIndicator(name, opts);
+  return candles.map((c) => ind.next(c));
+}
+
+const lastOf = (arr) => (arr.length ? arr[arr.length - 1] : null);
+
 module.exports = {
-  calcRSI14FromCandles
+  calcRSI14FromCandles,
+
+  sma: (candles, opts) => series("SMA", candles, opts),
+  ema: (candles, opts) => series("EMA", candles, opts),
+  rsi: (candles, opts) => series("RSI", candles, opts),
+  vwap: (candles, opts) => series("VWAP", candles, opts),
+  atr: (candles, opts) => series("ATR", candles, opts),
+  macd: (candles, opts) => series("MACD", candles, opts),
+  bollinger: (candles, opts) => series("BOLLINGER", candles, opts),
+  supertrend: (candles, opts) => series("SUPERTREND", candles, opts),
+  adx: (candles, opts) => series("ADX", candles, opts),
+
+  series,
+  lastOf,
+  createIndicator,
+  INDICATORS: Object.keys(DEFS),
+  SOURCES: Object.keys(SOURCES),
 };